@@ -1,13 +1,77 @@
 import React, { useState, useRef } from "react";
-import { viewFunction } from "./utils/aptos";
-import { encryptText, decryptText, hexToBytes, bytesToHex } from "./utils/crypto";
-import { uploadToIPFS, downloadFromIPFS, testIPFS, getIPFSFileInfo } from "./utils/ipfs";
+import { MODULE_ADDRESS, viewFunction, getRevealedPayload, getCapsuleTimeKey, decodeMoveBytes, describeRevealStatus, REVEAL_STATUS, signEncryptionKeyMessage, waitForTransaction, getCreatedCapsuleId, getCapsuleShareLink, getSharedCapsuleId, getConfig, describeTransactionError, aptToOctas, formatAssetAmount, formatAddress, estimateStorageFee, APT_METADATA_ADDRESS } from "./utils/aptos";
+import {
+  encryptText,
+  decryptText,
+  encryptFile,
+  decryptFile,
+  encryptTextForRecipient,
+  decryptTextWithKeyPair,
+  encryptTextForRecipients,
+  decryptTextWithWrappedKey,
+  encryptTextToRound,
+  decryptTextFromRound,
+  deriveKeyPairFromSignature,
+  wrapContentKey,
+  getEnvelopeKdf,
+  hexToBytes,
+  bytesToHex
+} from "./utils/crypto";
+import { CONTENT_VERSION, KDF_X25519_HKDF, KDF_X25519_MULTI, KDF_TLOCK, ENVELOPE_ERRORS, parseContent, describeEnvelopeError, encodeX25519Params } from "./utils/envelope";
+import { getBeacon } from "./utils/beacon";
+import { sealWithTimeKey, isTimeSealed, openWithTimeKey, sealTimeKeyToDeadline, openSealedTimeKey, splitTimeKey, timeKeyCommitment, saveTimeKey, loadTimeKey } from "./utils/timelock";
+import { uploadToIPFS, downloadFromIPFS, testIPFS, getIPFSFileInfo, uploadCapsulePayload, downloadCapsulePayload } from "./utils/ipfs";
+import CapsuleList, { isCheckInDue } from "./components/CapsuleList";
+import GuardianDashboard from "./components/GuardianDashboard";
+import PublicFeed from "./components/PublicFeed";
+import AdminPanel from "./components/AdminPanel";
 
-const MODULE_ADDR = "0x40584014251cc83138a7bfb2b83c13ed3b227bff6d481238f586216b69cec2f6";
-const FUNC_CREATE = `${MODULE_ADDR}::time_capsule::create_capsule`;
-const FUNC_LEN = `${MODULE_ADDR}::time_capsule::get_capsules_len`;
-const FUNC_META = `${MODULE_ADDR}::time_capsule::capsule_meta`;
-const FUNC_REVEAL = `${MODULE_ADDR}::time_capsule::reveal_encrypted`;
+const FUNC_CREATE = `${MODULE_ADDRESS}::time_capsule::create_capsule`;
+const FUNC_CREATE_MULTI = `${MODULE_ADDRESS}::time_capsule::create_capsule_multi`;
+const FUNC_CREATE_TLOCK = `${MODULE_ADDRESS}::time_capsule::create_tlock_capsule`;
+const FUNC_CREATE_WITH_APT = `${MODULE_ADDRESS}::time_capsule::create_capsule_with_apt`;
+const FUNC_CREATE_SWITCH = `${MODULE_ADDRESS}::time_capsule::create_switch_capsule`;
+const FUNC_CREATE_STAGED = `${MODULE_ADDRESS}::time_capsule::create_staged_capsule`;
+const FUNC_CREATE_WITH_VISIBILITY = `${MODULE_ADDRESS}::time_capsule::create_capsule_with_visibility`;
+const FUNC_VISIBILITY = `${MODULE_ADDRESS}::time_capsule::capsule_visibility`;
+const FUNC_CREATE_OFFCHAIN = `${MODULE_ADDRESS}::time_capsule::create_offchain_capsule`;
+
+// Mirrors VISIBILITY_* in the Move module
+const VISIBILITY = { private: 0, receivers: 1, public: 2 };
+const VISIBILITY_NAMES = ["private", "receivers", "public"];
+
+// In "auto" payload storage, envelopes larger than this go to IPFS and only a reference goes on-chain
+const OFFCHAIN_THRESHOLD_BYTES = 4096;
+// Roughly what an off-chain capsule stores instead: CID, SHA-256 and size
+const PAYLOAD_REF_BYTES = 100;
+const FUNC_SEGMENT_UNLOCK_TIMES = `${MODULE_ADDRESS}::time_capsule::segment_unlock_times`;
+const FUNC_REVEAL_SEGMENTS = `${MODULE_ADDRESS}::time_capsule::reveal_segments`;
+const FUNC_SEGMENT_TIME_KEYS = `${MODULE_ADDRESS}::time_capsule::segment_time_keys`;
+const FUNC_PUBLISH_SEGMENT_TIME_KEY = `${MODULE_ADDRESS}::time_capsule::publish_segment_time_key`;
+const FUNC_HEARTBEAT = `${MODULE_ADDRESS}::time_capsule::heartbeat`;
+const FUNC_HEARTBEAT_INTERVAL = `${MODULE_ADDRESS}::time_capsule::heartbeat_interval`;
+const FUNC_IS_UNLOCKED = `${MODULE_ADDRESS}::time_capsule::is_unlocked`;
+const FUNC_GUARDIANS = `${MODULE_ADDRESS}::time_capsule::guardians`;
+const FUNC_ADD_GUARDIANS = `${MODULE_ADDRESS}::time_capsule::add_guardians`;
+const FUNC_ESCROW_BALANCES = `${MODULE_ADDRESS}::time_capsule::escrow_balances`;
+const FUNC_LEN = `${MODULE_ADDRESS}::time_capsule::get_capsules_len`;
+const FUNC_META = `${MODULE_ADDRESS}::time_capsule::capsule_meta`;
+const FUNC_RECEIVERS = `${MODULE_ADDRESS}::time_capsule::capsule_receivers`;
+const FUNC_HOLDERS = `${MODULE_ADDRESS}::time_capsule::capsule_holders`;
+const FUNC_WRAPPED_KEY = `${MODULE_ADDRESS}::time_capsule::wrapped_key`;
+const FUNC_CLAIM = `${MODULE_ADDRESS}::time_capsule::claim_capsule`;
+const FUNC_CANCEL = `${MODULE_ADDRESS}::time_capsule::cancel_capsule`;
+const FUNC_IS_CANCELLED = `${MODULE_ADDRESS}::time_capsule::is_cancelled`;
+const FUNC_UPDATE_UNLOCK = `${MODULE_ADDRESS}::time_capsule::update_unlock_time`;
+const FUNC_CONSENT_UNLOCK = `${MODULE_ADDRESS}::time_capsule::consent_to_unlock_time`;
+const FUNC_UNLOCK_HISTORY = `${MODULE_ADDRESS}::time_capsule::unlock_history`;
+const FUNC_UNLOCK_CONSENTS = `${MODULE_ADDRESS}::time_capsule::unlock_consents`;
+const FUNC_CLAIMED_BY = `${MODULE_ADDRESS}::time_capsule::claimed_by`;
+const FUNC_PUBLISH_TIME_KEY = `${MODULE_ADDRESS}::time_capsule::publish_time_key`;
+const FUNC_KEY_COMMITMENT = `${MODULE_ADDRESS}::time_capsule::key_commitment`;
+const FUNC_TIME_KEY = `${MODULE_ADDRESS}::time_capsule::time_key`;
+const FUNC_REGISTER_KEY = `${MODULE_ADDRESS}::time_capsule::register_encryption_key`;
+const FUNC_ENCRYPTION_KEY = `${MODULE_ADDRESS}::time_capsule::encryption_key`;
 
 // Utility function to truncate long text
 const truncateText = (text, maxLength = 20) => {
@@ -24,16 +88,33 @@ export default function App() {
   const [message, setMessage] = useState("");
   const [unlockAt, setUnlockAt] = useState("");
   const [passphrase, setPassphrase] = useState("");
+  const [encryptionMode, setEncryptionMode] = useState("passphrase"); // "passphrase" | "recipient" | "tlock"
   const [selectedFiles, setSelectedFiles] = useState([]);
+  const [giftApt, setGiftApt] = useState("");
+  const [unlockMode, setUnlockMode] = useState("date"); // "date" | "switch"
+  const [heartbeatDays, setHeartbeatDays] = useState("90");
+  const [visibility, setVisibility] = useState("private");
+  const [storageMode, setStorageMode] = useState("auto"); // Where the encrypted payload goes: "auto" | "onchain" | "ipfs"
+  const [sections, setSections] = useState([]); // Later sections of a staged capsule: { unlockAt, text }
 
-  const [capsuleId, setCapsuleId] = useState("");
+  const [capsuleId, setCapsuleId] = useState(getSharedCapsuleId); // Prefilled when opened from a share link
+  const [shareLink, setShareLink] = useState("");
   const [revealPass, setRevealPass] = useState("");
   const [revealedContent, setRevealedContent] = useState(null);
+  const [timeline, setTimeline] = useState([]);
+  const [newUnlockAt, setNewUnlockAt] = useState("");
+  const [guardianInput, setGuardianInput] = useState("");
+  const [guardianThreshold, setGuardianThreshold] = useState("");
 
   const fileInputRef = useRef();
 
   const nowSeconds = () => Math.floor(Date.now() / 1000);
   const isValidAddress = (addr) => /^0x[0-9a-f]{64}$/i.test(addr);
+  const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+  // Receivers are entered comma, space or newline separated; duplicates are dropped
+  const parseReceivers = (input) => [...new Set(
+    input.split(/[\s,]+/).map(addr => addr.trim().toLowerCase()).filter(Boolean)
+  )];
 
   const connectWallet = async () => {
     try {
@@ -77,25 +158,84 @@ export default function App() {
     setStatus("File removed. Select new files if needed.");
   };
 
+  // Registered X25519 public key of an account as hex ("" if none)
+  const fetchEncryptionKey = async (address) => {
+    const res = await viewFunction(FUNC_ENCRYPTION_KEY, [address]);
+    const keyHex = res?.[0] || "";
+    return keyHex.startsWith("0x") ? keyHex.slice(2) : keyHex;
+  };
+
+  const getWalletKeyPair = async () => {
+    setStatus("✍️ Please sign the encryption key message in your wallet...\n\nThe signature is used to derive your capsule key and never leaves this device.");
+    return deriveKeyPairFromSignature(await signEncryptionKeyMessage());
+  };
+
+  const registerEncryptionKey = async () => {
+    if (!account) return alert("Connect wallet first");
+    setIsLoading(true);
+    try {
+      const keyPair = await getWalletKeyPair();
+      const publicKeyHex = bytesToHex(keyPair.publicKey);
+      
+      if (await fetchEncryptionKey(account) === publicKeyHex) {
+        return setStatus(`✅ Encryption key already registered\n\n🔑 Public key: ${publicKeyHex}\n\nSenders can create capsules that only your wallet can open.`);
+      }
+      
+      setStatus("⛓️ Registering your encryption key on Aptos...");
+      const tx = await window.aptos.signAndSubmitTransaction({
+        type: "entry_function_payload",
+        function: FUNC_REGISTER_KEY,
+        type_arguments: [],
+        arguments: [keyPair.publicKey]
+      });
+      
+      setStatus(`🎉 Encryption key registered!\n\n📋 Transaction: ${tx.hash}\n🔑 Public key: ${publicKeyHex}\n\nSenders can now create capsules that only your wallet can open - no passphrase needed.`);
+    } catch (e) {
+      console.error("Register key error:", e);
+      setStatus(`❌ Failed to register encryption key: ${describeTransactionError(e)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const checkCapsuleStatus = async (id) => {
     try {
-      const [total, meta] = await Promise.all([
+      const [total, meta, receiversRes, holdersRes, intervalRes, unlockedRes, visibilityRes] = await Promise.all([
         viewFunction(FUNC_LEN, []),
-        viewFunction(FUNC_META, [id])
+        viewFunction(FUNC_META, [id]),
+        viewFunction(FUNC_RECEIVERS, [id]),
+        viewFunction(FUNC_HOLDERS, [id]),
+        viewFunction(FUNC_HEARTBEAT_INTERVAL, [id]),
+        viewFunction(FUNC_IS_UNLOCKED, [id]),
+        viewFunction(FUNC_VISIBILITY, [id])
       ]);
+      const receivers = receiversRes[0] || [meta[1]];
+      // Each receiver slot is a token; whoever owns it now has the right to open the capsule
+      const holders = holdersRes[0] || receivers;
+      const isHolder = holders.some(h => sameAddress(account, h));
+      const isAuthorized = sameAddress(account, meta[0]) || isHolder;
+      const capsuleVisibility = VISIBILITY_NAMES[Number(visibilityRes[0])] || "private";
       return {
         exists: true,
         sender: meta[0],
         receiver: meta[1],
+        receivers,
+        holders,
+        isHolder,
         unlockTime: Number(meta[2]),
+        heartbeatInterval: Number(intervalRes[0]),
         contentType: meta[3],
-        isUnlocked: nowSeconds() >= Number(meta[2]),
-        isAuthorized: account === meta[0] || account === meta[1],
+        isUnlocked: !!unlockedRes[0], // Also true once guardians approved an early unlock
+        isAuthorized,
+        visibility: capsuleVisibility,
+        // Mirrors can_read in the contract: who gets the payload once the capsule is open
+        canRead: capsuleVisibility === "public" || (capsuleVisibility === "receivers" ? isHolder : isAuthorized),
         totalCapsules: total[0]
       };
     } catch (e) {
       console.error("Capsule check failed:", e);
-      return { exists: false };
+      const cancelled = await viewFunction(FUNC_IS_CANCELLED, [id]).then(res => !!res[0], () => false);
+      return { exists: false, cancelled };
     }
   };
 
@@ -117,30 +257,131 @@ export default function App() {
     }
   };
 
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareLink);
+      setStatus(`📋 Share link copied!\n\n${shareLink}`);
+    } catch (e) {
+      setStatus(`❌ Could not copy the link - select it and copy it manually:\n\n${shareLink}`);
+    }
+  };
+
+  const addSection = () => setSections(prev => [...prev, { unlockAt: "", text: "" }]);
+  const updateSection = (index, changes) => setSections(prev => prev.map((section, i) => i === index ? { ...section, ...changes } : section));
+  const removeSection = (index) => setSections(prev => prev.filter((_, i) => i !== index));
+
   const createCapsule = async () => {
     if (!account) return alert("Connect wallet first");
-    if (!receiver || (!message.trim() && selectedFiles.length === 0) || !unlockAt || !passphrase) {
+    const usePassphrase = encryptionMode === "passphrase";
+    const useTlock = encryptionMode === "tlock";
+    const useSwitch = unlockMode === "switch";
+    const useOpen = encryptionMode === "open";
+    const isPublic = visibility === "public";
+    // A public announcement needs no particular receiver; the sender holds its token
+    const receivers = isPublic && !receiver.trim() ? [account] : parseReceivers(receiver);
+    if (receivers.length === 0 || (!message.trim() && selectedFiles.length === 0) || (!useSwitch && !unlockAt) || (usePassphrase && !passphrase)) {
       return alert("Please fill all required fields and select at least a message or files");
     }
-    if (!isValidAddress(receiver)) {
-      return alert("Invalid receiver address format");
+    const invalidReceivers = receivers.filter(addr => !isValidAddress(addr));
+    if (invalidReceivers.length > 0) {
+      return alert(`Invalid receiver address format:\n${invalidReceivers.join('\n')}`);
+    }
+    let giftOctas;
+    try {
+      giftOctas = aptToOctas(giftApt);
+    } catch (e) {
+      return alert(e.message);
+    }
+    if (giftOctas !== "0" && (receivers.length !== 1 || useTlock || useSwitch)) {
+      return alert("APT gifts can only be attached to a capsule with a single receiver and a fixed unlock date, in passphrase or wallet-key mode.");
+    }
+    const heartbeatSeconds = Math.round(Number(heartbeatDays) * 86400);
+    if (useSwitch && useTlock) {
+      return alert("Time-lock mode needs a fixed unlock date. Use passphrase or wallet-key mode for a dead man's switch.");
+    }
+    if (useSwitch && !(heartbeatSeconds >= 3600)) {
+      return alert("Check-in interval must be at least 1 hour.");
+    }
+    // Off-chain payloads are recorded by create_offchain_capsule, which takes none of these extras
+    const canGoOffChain = !useSwitch && giftOctas === "0" && sections.length === 0;
+    if (storageMode === "ipfs" && !canGoOffChain) {
+      return alert("IPFS payload storage works with a fixed unlock date, without a gift or later sections.");
+    }
+    if (visibility !== "private" && (useSwitch || giftOctas !== "0" || sections.length > 0)) {
+      return alert("Receiver-only and public capsules need a fixed unlock date, without a gift or later sections.");
+    }
+    if (isPublic && !useOpen && !useTlock) {
+      return alert("Public capsules must be readable by anyone after unlock: use time-lock or no encryption.");
+    }
+    if (useOpen && !isPublic) {
+      return alert("Only public capsules can be stored without encryption.");
+    }
+    // Later sections reuse the capsule's passphrase or receiver key, so multi-receiver and time-lock capsules can't be staged
+    const stagedSections = useSwitch ? [] : sections;
+    if (stagedSections.length > 0) {
+      if (useTlock || (encryptionMode === "recipient" && receivers.length > 1) || giftOctas !== "0") {
+        return alert("Staged capsules work with a passphrase or a single wallet-key receiver, without an APT gift.");
+      }
+      if (stagedSections.some(section => !section.unlockAt || !section.text.trim())) {
+        return alert("Every later section needs an unlock time and a message.");
+      }
+    }
+    
+    // The admin settings can reject the capsule, so check them before anything is encrypted or uploaded
+    let config = null;
+    try {
+      config = await getConfig();
+    } catch (e) {
+      console.warn("Could not read the contract config:", e.message);
+    }
+    if (config?.paused) {
+      return alert("Creating capsules is paused by the admin right now. Existing capsules still unlock as usual.");
+    }
+    const expectedContentType = selectedFiles.length > 0 ? (message.trim() ? "mixed" : "file") : "text";
+    if (config && config.allowedContentTypes.length > 0 && !config.allowedContentTypes.includes(expectedContentType)) {
+      return alert(`This contract only accepts ${config.allowedContentTypes.join(", ")} capsules, not ${expectedContentType}.`);
+    }
+    if (config && config.creationFee !== "0" && !window.confirm(
+      `Creating a capsule costs a ${formatAssetAmount(APT_METADATA_ADDRESS, config.creationFee)} fee, paid to ${formatAddress(config.treasury)}.\n\nContinue?`
+    )) {
+      return;
     }
     
     setIsLoading(true);
+    setShareLink("");
     try {
-      const unlockSeconds = Math.floor(new Date(unlockAt).getTime() / 1000);
+      // A dead man's switch first opens one full interval from now, then slides with every check-in
+      const unlockSeconds = useSwitch
+        ? nowSeconds() + heartbeatSeconds
+        : Math.floor(new Date(unlockAt).getTime() / 1000);
       if (unlockSeconds <= nowSeconds()) {
         setIsLoading(false);
         return alert("Unlock time must be in future");
       }
       
+      const sectionTimes = stagedSections.map(section => Math.floor(new Date(section.unlockAt).getTime() / 1000));
+      if (sectionTimes.some((time, i) => time <= (i === 0 ? unlockSeconds : sectionTimes[i - 1]))) {
+        setIsLoading(false);
+        return alert("Each section must unlock after the capsule and after the section before it");
+      }
+      
       const trimmedPassphrase = passphrase.trim();
-      if (trimmedPassphrase.length === 0) {
+      if (usePassphrase && trimmedPassphrase.length === 0) {
         setIsLoading(false);
         return alert("Passphrase cannot be empty");
       }
+      
+      let recipientKeys = [];
+      if (encryptionMode === "recipient") {
+        recipientKeys = await Promise.all(receivers.map(fetchEncryptionKey));
+        const missing = receivers.filter((_, i) => !recipientKeys[i]);
+        if (missing.length > 0) {
+          setIsLoading(false);
+          return setStatus(`❌ ${missing.length === 1 ? "This receiver has" : "These receivers have"} not registered an encryption key yet:\n${missing.join('\n')}\n\nAsk them to connect their wallet and click "🔑 Register Encryption Key", or use passphrase mode instead.`);
+        }
+      }
 
-      setStatus("📤 Uploading files to IPFS...\n\nUsing distributed IPFS network for cross-device compatibility...");
+      setStatus("📤 Encrypting and uploading files to IPFS...\n\nUsing distributed IPFS network for cross-device compatibility...");
       
       // Upload files to IPFS with improved error handling
       let fileData = [];
@@ -148,10 +389,13 @@ export default function App() {
       
       for (let i = 0; i < selectedFiles.length; i++) {
         const file = selectedFiles[i];
-        setStatus(`📤 Uploading file ${i + 1}/${selectedFiles.length}: ${file.name}\n\nTrying multiple IPFS gateways for reliability...`);
+        setStatus(`🔒 Encrypting file ${i + 1}/${selectedFiles.length}: ${file.name}\n\nEach file gets its own random AES-256-GCM key...`);
         
         try {
-          const ipfsHash = await uploadToIPFS(file);
+          const encrypted = await encryptFile(file);
+          
+          setStatus(`📤 Uploading file ${i + 1}/${selectedFiles.length}: ${file.name}\n\nTrying multiple IPFS gateways for reliability...`);
+          const ipfsHash = await uploadToIPFS(encrypted.file);
           setStatus(`✅ Uploaded ${file.name}\n\n📍 IPFS Hash: ${ipfsHash}\n🌐 File is now available worldwide!`);
           
           // Verify the file is accessible
@@ -166,7 +410,9 @@ export default function App() {
             size: file.size,
             ipfsHash: ipfsHash,
             uploadMethod: 'ipfs', // Always use real IPFS now
-            verified: true
+            verified: true,
+            // The key only exists inside the encrypted capsule content
+            encryption: { cipher: 'AES-256-GCM', key: encrypted.key }
           });
           
         } catch (error) {
@@ -191,7 +437,7 @@ export default function App() {
         text: message.trim(),
         files: fileData,
         timestamp: Date.now(),
-        version: "3.0", // Updated version for cross-device compatibility
+        version: CONTENT_VERSION,
         deviceInfo: {
           userAgent: navigator.userAgent,
           platform: navigator.platform,
@@ -207,13 +453,36 @@ export default function App() {
         contentType = "file";
       }
 
-      setStatus("🔒 Encrypting content with AES-256...\n\nYour data is being secured for the time capsule...");
+      setStatus(usePassphrase
+        ? "🔒 Encrypting content with AES-256-GCM...\n\nYour data is being secured for the time capsule..."
+        : useTlock
+          ? "🔒 Time-lock encrypting content to the unlock time...\n\nIt will open on its own once the beacon reaches that round..."
+          : useOpen
+          ? "🔒 Sealing public content until the unlock time...\n\nAnyone will be able to read it once the time key is published..."
+          : "🔒 Encrypting content to the receiver's wallet key...\n\nOnly the receiver's wallet will be able to open it...");
       
       // Encrypt the entire content object as JSON
       const contentJson = JSON.stringify(content, null, 2);
-      console.log("Content to encrypt:", contentJson.substring(0, 200) + "...");
+      console.log("Content to encrypt:", { textLength: content.text.length, files: fileData.length });
       
-      const encryptedHex = encryptText(contentJson, trimmedPassphrase);
+      // A group of wallet-key receivers shares one ciphertext; each gets the content key wrapped on-chain
+      let encryptedHex;
+      let wrappedKeys = [];
+      let tlockRound = 0;
+      if (usePassphrase) {
+        encryptedHex = await encryptText(contentJson, trimmedPassphrase);
+      } else if (useOpen) {
+        // Public and unencrypted: only the time key keeps it closed until unlock
+        encryptedHex = bytesToHex(new TextEncoder().encode(contentJson));
+      } else if (useTlock) {
+        const beacon = getBeacon();
+        tlockRound = await beacon.roundAt(unlockSeconds * 1000);
+        encryptedHex = await encryptTextToRound(contentJson, tlockRound, beacon);
+      } else if (receivers.length === 1) {
+        encryptedHex = await encryptTextForRecipient(contentJson, recipientKeys[0]);
+      } else {
+        ({ encryptedHex, wrappedKeys } = await encryptTextForRecipients(contentJson, recipientKeys));
+      }
       console.log("Encrypted hex length:", encryptedHex.length);
       
       // Validate encryption worked
@@ -221,40 +490,164 @@ export default function App() {
         throw new Error("Invalid encrypted data format");
       }
       
-      // Test decryption before submitting
-      try {
-        const testDecrypt = decryptText(encryptedHex, trimmedPassphrase);
-        const testContent = JSON.parse(testDecrypt);
-        console.log("Encryption test passed, files count:", testContent.files?.length || 0);
-      } catch (testError) {
-        throw new Error(`Encryption validation failed: ${testError.message}`);
+      // Test decryption before submitting (wallet-key capsules can only be opened by the receiver)
+      if (usePassphrase) {
+        try {
+          const testDecrypt = await decryptText(encryptedHex, trimmedPassphrase);
+          const testContent = JSON.parse(testDecrypt);
+          console.log("Encryption test passed, files count:", testContent.files?.length || 0);
+        } catch (testError) {
+          throw new Error(`Encryption validation failed: ${testError.message}`);
+        }
+      }
+      
+      // Seal with a time key; only its commitment goes on-chain until unlock.
+      // Tlock capsules are already locked to the beacon round and must not depend on the sender.
+      let timeKey = null;
+      let commitment = null;
+      if (!useTlock) {
+        ({ sealedHex: encryptedHex, timeKey, commitment } = await sealWithTimeKey(encryptedHex));
+        saveTimeKey(commitment, timeKey);
+      }
+      // The capsule must not depend on the sender coming back to publish the key, so it is also sealed to the unlock time
+      const sealedTimeKey = timeKey ? await sealTimeKeyToDeadline(timeKey, unlockSeconds, getBeacon()) : null;
+      
+      // Every later section gets its own time key, sealed to that section's unlock time
+      const sectionPayloads = [];
+      const sectionCommitments = [];
+      const sectionSealedKeys = [];
+      for (const [index, section] of stagedSections.entries()) {
+        const sectionJson = JSON.stringify({ text: section.text.trim(), files: [], timestamp: Date.now(), version: CONTENT_VERSION });
+        const sectionHex = usePassphrase
+          ? await encryptText(sectionJson, trimmedPassphrase)
+          : await encryptTextForRecipient(sectionJson, recipientKeys[0]);
+        const { sealedHex, timeKey: sectionKey, commitment: sectionCommitment } = await sealWithTimeKey(sectionHex);
+        saveTimeKey(sectionCommitment, sectionKey);
+        sectionPayloads.push(hexToBytes(sealedHex));
+        sectionCommitments.push(sectionCommitment);
+        sectionSealedKeys.push(await sealTimeKeyToDeadline(sectionKey, sectionTimes[index], getBeacon()));
       }
       
       const encryptedBytes = hexToBytes(encryptedHex);
       console.log("Encrypted bytes length:", encryptedBytes.length);
       
+      // Large envelopes go to IPFS; the chain keeps only what is needed to find and verify them
+      const useOffChain = canGoOffChain && (storageMode === "ipfs" || (storageMode === "auto" && encryptedBytes.length > OFFCHAIN_THRESHOLD_BYTES));
+      let payloadRef = null;
+      if (useOffChain) {
+        setStatus(`📤 Uploading the encrypted capsule (${(encryptedBytes.length / 1024).toFixed(1)} KB) to IPFS...\n\nOnly its CID and hash will be stored on-chain.`);
+        payloadRef = await uploadCapsulePayload(encryptedBytes);
+      } else if (config && encryptedBytes.length > config.maxPayloadSize) {
+        throw new Error(`Encrypted capsule is ${encryptedBytes.length} bytes, over the contract's ${config.maxPayloadSize} byte limit${canGoOffChain ? " - store it on IPFS instead" : ""}`);
+      }
+      
       setStatus("⛓️ Creating capsule on Aptos blockchain...\n\nSubmitting transaction to network...");
       
-      const transaction = {
-        type: "entry_function_payload",
-        function: FUNC_CREATE,
-        type_arguments: [],
-        arguments: [receiver, unlockSeconds.toString(), encryptedBytes, contentType]
-      };
+      const transaction = payloadRef
+        ? {
+          type: "entry_function_payload",
+          function: FUNC_CREATE_OFFCHAIN,
+          type_arguments: [],
+          arguments: [receivers, unlockSeconds.toString(), payloadRef.cid, payloadRef.hash, payloadRef.size.toString(), contentType, wrappedKeys, commitment || [], sealedTimeKey || [], tlockRound.toString(), VISIBILITY[visibility]]
+        }
+        : visibility !== "private"
+        ? {
+          type: "entry_function_payload",
+          function: FUNC_CREATE_WITH_VISIBILITY,
+          type_arguments: [],
+          arguments: [receivers, unlockSeconds.toString(), encryptedBytes, contentType, wrappedKeys, commitment || [], sealedTimeKey || [], tlockRound.toString(), VISIBILITY[visibility]]
+        }
+        : stagedSections.length > 0
+        ? {
+          type: "entry_function_payload",
+          function: FUNC_CREATE_STAGED,
+          type_arguments: [],
+          arguments: [receivers, unlockSeconds.toString(), encryptedBytes, contentType, wrappedKeys, commitment, sealedTimeKey, sectionTimes.map(String), sectionPayloads, sectionCommitments, sectionSealedKeys]
+        }
+        : useSwitch
+        ? {
+          type: "entry_function_payload",
+          function: FUNC_CREATE_SWITCH,
+          type_arguments: [],
+          arguments: [receivers, encryptedBytes, contentType, wrappedKeys, commitment, sealedTimeKey, heartbeatSeconds.toString()]
+        }
+        : useTlock
+        ? {
+          type: "entry_function_payload",
+          function: FUNC_CREATE_TLOCK,
+          type_arguments: [],
+          arguments: [receivers, unlockSeconds.toString(), encryptedBytes, contentType, tlockRound.toString()]
+        }
+        : giftOctas !== "0"
+        ? {
+          type: "entry_function_payload",
+          function: FUNC_CREATE_WITH_APT,
+          type_arguments: [],
+          arguments: [receivers[0], unlockSeconds.toString(), encryptedBytes, contentType, commitment, sealedTimeKey, giftOctas]
+        }
+        : receivers.length === 1
+        ? {
+          type: "entry_function_payload",
+          function: FUNC_CREATE,
+          type_arguments: [],
+          arguments: [receivers[0], unlockSeconds.toString(), encryptedBytes, contentType, commitment, sealedTimeKey]
+        }
+        : {
+          type: "entry_function_payload",
+          function: FUNC_CREATE_MULTI,
+          type_arguments: [],
+          arguments: [receivers, unlockSeconds.toString(), encryptedBytes, contentType, wrappedKeys, commitment, sealedTimeKey]
+        };
       
       const tx = await window.aptos.signAndSubmitTransaction(transaction);
       
+      setStatus(`⏳ Waiting for confirmation...\n\n📋 Transaction: ${tx.hash}`);
+      const newCapsuleId = getCreatedCapsuleId(await waitForTransaction(tx.hash));
+      if (newCapsuleId !== null) {
+        // The receiver needs exactly this id; select it here too so the sender can publish its time key later
+        setCapsuleId(String(newCapsuleId));
+        setShareLink(getCapsuleShareLink(newCapsuleId));
+      }
+      
       setStatus(
         `🎉 Time Capsule Created Successfully!\n\n` +
+        (newCapsuleId !== null
+          ? `🆔 Capsule ID: #${newCapsuleId}\n🔗 Share Link: ${getCapsuleShareLink(newCapsuleId)}\n`
+          : `🆔 Capsule ID: not found in the transaction events - look it up in your Outbox\n`) +
         `📋 Transaction: ${tx.hash}\n` +
         `📦 Content Type: ${contentType}\n` +
+        `👥 Receivers: ${receivers.length}\n` +
         `💬 Text Message: ${content.text ? 'Yes' : 'No'}\n` +
         `➕ Files Attached: ${fileData.length}\n` +
-        `🔓 Unlocks at: ${new Date(unlockSeconds * 1000).toLocaleString()}\n\n` +
-        `🔑 Passphrase: "${trimmedPassphrase}"\n` +
-        `⚠️ IMPORTANT: Share this passphrase securely with the receiver!\n\n` +
+        (useSwitch
+          ? `💓 Dead Man's Switch: Opens if you don't check in for ${heartbeatDays} days (first deadline ${new Date(unlockSeconds * 1000).toLocaleString()})\n`
+          : `🔓 Unlocks at: ${new Date(unlockSeconds * 1000).toLocaleString()}\n`) +
+        (sectionTimes.length > 0
+          ? `📚 Later Sections: ${sectionTimes.length}, opening ${sectionTimes.map(time => new Date(time * 1000).toLocaleString()).join(', ')}\n`
+          : '') +
+        (payloadRef
+          ? `📦 Payload: ${(payloadRef.size / 1024).toFixed(1)} KB on IPFS (${payloadRef.cid}), saving ≈ ${formatAssetAmount(APT_METADATA_ADDRESS, estimateStorageFee(payloadRef.size - PAYLOAD_REF_BYTES))} in storage fees\n`
+          : `📦 Payload: ${(encryptedBytes.length / 1024).toFixed(1)} KB on-chain\n`) +
+        (isPublic ? `🌐 Visibility: Public - anyone can read it after unlock and it is listed in the public feed\n` : '') +
+        (visibility === "receivers" ? `👥 Visibility: Receivers only - you won't be able to read it after unlock\n` : '') +
+        (giftOctas !== "0" ? `💰 Gift: ${formatAssetAmount(APT_METADATA_ADDRESS, giftOctas)} held until the receiver claims it\n` : '') +
+        `\n` +
+        (usePassphrase
+          ? `🔑 Encryption: Passphrase\n⚠️ IMPORTANT: Share the passphrase with ${receivers.length === 1 ? 'the receiver' : 'every receiver'} through a separate secure channel!\n\n`
+          : useTlock
+            ? `🔑 Encryption: Time-lock (beacon round ${tlockRound})\n✅ No passphrase or time key to keep - it opens on its own at the unlock time.\n\n`
+          : useOpen
+            ? `🔑 Encryption: None - sealed by the time key until unlock, which is itself time-locked to the unlock time so anyone can open it then\n\n`
+            : `🔑 Encryption: Receiver's wallet key\n✅ No passphrase to share - only the ${receivers.length === 1 ? "receiver's wallet" : "receivers' wallets"} can open it.\n\n`) +
+        (timeKey && useSwitch
+          ? `⏳ Time Key: Sealed to the beacon round after the deadline, so the capsule opens without you; every check-in reseals it. Saved in this browser too - checking in from another browser needs it: ${timeKey}\n\n`
+          : timeKey
+          ? `⏳ Time Key: Sealed to the beacon round at the unlock time, so the receivers can open the capsule without you. Also saved in this browser, which adding guardians needs: ${timeKey}\n` +
+            (sectionTimes.length > 0 ? `📚 Each later section has its own time key, sealed to that section's unlock time the same way.\n` : '') +
+            `\n`
+          : '') +
         `📱 Cross-Device Compatible: YES ✅\n` +
-        `🌐 IPFS Files: Accessible worldwide\n\n` +
+        `🌐 IPFS Files: Encrypted, accessible worldwide\n\n` +
         `📄 File Details:\n${fileData.map(f => `• ${f.name} (${(f.size/1024).toFixed(1)} KB) ✅`).join('\n')}\n` +
         `${uploadErrors.length > 0 ? `\n❌ Upload Errors:\n${uploadErrors.join('\n')}` : ''}\n\n` +
         `🚀 Your time capsule is now secured on the blockchain!`
@@ -264,128 +657,151 @@ export default function App() {
       setMessage("");
       setPassphrase("");
       setSelectedFiles([]);
+      setGiftApt("");
+      setSections([]);
       
     } catch (e) {
       console.error("Create capsule error:", e);
-      setStatus(`❌ Failed to create capsule: ${e.message}\n\n🔧 Troubleshooting:\n1. Check wallet connection\n2. Verify network is Testnet\n3. Ensure sufficient gas fees\n4. Check internet connection\n5. Try with smaller files (<25MB each)`);
+      setStatus(`❌ Failed to create capsule: ${describeTransactionError(e)}\n\n🔧 Troubleshooting:\n1. Check wallet connection\n2. Verify network is Testnet\n3. Ensure sufficient gas fees\n4. Check internet connection\n5. Try with smaller files (<25MB each)`);
     } finally {
       setIsLoading(false);
     }
   };
 
+  // Opens one later section of a staged capsule; sections share the capsule's passphrase or wallet key
+  const decryptSection = async (sectionHex, timeKeyHex, keyPair) => {
+    const innerHex = isTimeSealed(sectionHex) ? await openWithTimeKey(sectionHex, timeKeyHex) : sectionHex;
+    const decryptedText = getEnvelopeKdf(innerHex) === KDF_X25519_HKDF
+      ? await decryptTextWithKeyPair(innerHex, keyPair || await getWalletKeyPair())
+      : await decryptText(innerHex, revealPass.trim());
+    return parseContent(decryptedText);
+  };
+
+  // Timeline of a staged capsule: the capsule itself, then each later section decrypted once open
+  const loadTimeline = async (unlockTime, keyPair) => {
+    const [[times], [openSections]] = await Promise.all([
+      viewFunction(FUNC_SEGMENT_UNLOCK_TIMES, [capsuleId]),
+      viewFunction(FUNC_REVEAL_SEGMENTS, [account, capsuleId])
+    ]);
+    if (times.length < 2) return [];
+    
+    const entries = [{ index: 0, unlockTime, state: "open" }];
+    for (let index = 1; index < times.length; index++) {
+      const entry = { index, unlockTime: Number(times[index]) };
+      const section = openSections[index];
+      if (!section) {
+        entry.state = "locked";
+      } else {
+        try {
+          // Until someone publishes the section's key, it is opened from the copy sealed to the section's unlock time
+          const sectionKey = decodeMoveBytes(section.time_key) || await openSealedTimeKey(decodeMoveBytes(section.sealed_time_key), getBeacon);
+          entry.content = await decryptSection(decodeMoveBytes(section.encrypted), sectionKey, keyPair);
+          entry.state = "open";
+        } catch (err) {
+          entry.state = err.code === ENVELOPE_ERRORS.TIME_LOCKED ? "awaiting-key" : "error";
+          entry.error = err.message;
+        }
+      }
+      entries.push(entry);
+    }
+    return entries;
+  };
+
   const revealCapsule = async () => {
     if (!account) return alert("Connect wallet first");
-    if (!capsuleId || !revealPass) return alert("Enter capsule ID and passphrase");
+    if (!capsuleId) return alert("Enter capsule ID");
     setIsLoading(true);
+    setTimeline([]);
     
     try {
-      const capsule = await checkCapsuleStatus(capsuleId);
-      if (!capsule.exists) {
-        setIsLoading(false);
-        return setStatus("❌ Capsule not found. Please check the ID.");
-      }
-      if (!capsule.isUnlocked) {
-        setIsLoading(false);
-        return setStatus(`🔒 Capsule is still locked.\n\n⏰ Unlocks at: ${new Date(capsule.unlockTime * 1000).toLocaleString()}\n\nPlease wait until the unlock time.`);
-      }
-      if (!capsule.isAuthorized) {
-        setIsLoading(false);
-        return setStatus("❌ Not authorized to view this capsule\n\nOnly the sender and receiver can access the content.");
-      }
-
       setStatus("📥 Retrieving encrypted data from blockchain...\n\nFetching your time capsule content...");
-
-      const encryptedData = await viewFunction(FUNC_REVEAL, [account, capsuleId]);
-      console.log("Raw data from chain:", encryptedData);
-      
-      let encryptedHex;
       
-      if (!encryptedData) {
+      // The reveal view says exactly why it withholds the payload, so there is nothing to guess
+      const [{ status: revealStatus, payloadHex, payloadRef }, capsule] = await Promise.all([
+        getRevealedPayload(account, capsuleId),
+        checkCapsuleStatus(capsuleId)
+      ]);
+      if (revealStatus !== REVEAL_STATUS.OK) {
         setIsLoading(false);
-        return setStatus("❌ No encrypted data found or access denied");
+        return setStatus(describeRevealStatus(revealStatus, { id: capsuleId, unlockTime: capsule.unlockTime, visibility: capsule.visibility }));
       }
       
-      // Handle different data formats from the blockchain
-      if (typeof encryptedData === 'string') {
-        if (encryptedData.length === 0) {
-          setIsLoading(false);
-          return setStatus("❌ Empty encrypted data - you may not be authorized or capsule is still locked");
-        }
-        encryptedHex = encryptedData.startsWith('0x') ? encryptedData.slice(2) : encryptedData;
-        
-      } else if (Array.isArray(encryptedData) && typeof encryptedData[0] === 'number') {
-        if (encryptedData.length === 0) {
-          setIsLoading(false);
-          return setStatus("❌ Empty encrypted data - you may not be authorized or capsule is still locked");
-        }
-        encryptedHex = bytesToHex(encryptedData);
-        
-      } else if (Array.isArray(encryptedData) && encryptedData.length === 1 && typeof encryptedData[0] === 'string') {
-        const hexString = encryptedData[0];
-        if (hexString.length === 0) {
+      let encryptedHex = payloadHex;
+      if (payloadRef) {
+        setStatus(`📥 Downloading the encrypted capsule from IPFS...\n\n${payloadRef.cid}`);
+        try {
+          encryptedHex = bytesToHex(await downloadCapsulePayload(payloadRef.cid, payloadRef.hash, payloadRef.size));
+        } catch (downloadError) {
           setIsLoading(false);
-          return setStatus("❌ Empty encrypted data - you may not be authorized or capsule is still locked");
+          return setStatus(`❌ ${downloadError.message}\n\n🔄 IPFS can take time to propagate - try again shortly.`);
         }
-        encryptedHex = hexString.startsWith('0x') ? hexString.slice(2) : hexString;
-        
-      } else {
-        setIsLoading(false);
-        return setStatus(`❌ Unexpected data format: ${typeof encryptedData}\nData: ${JSON.stringify(encryptedData).substring(0, 200)}`);
       }
-      
-      if (!/^[0-9a-f]+$/i.test(encryptedHex)) {
+      if (!encryptedHex) {
         setIsLoading(false);
-        return setStatus("❌ Invalid capsule data format - corrupted encryption data");
+        return setStatus("❌ Invalid capsule data format - the capsule holds no encrypted data");
       }
 
-      const trimmedPassphrase = revealPass.trim();
-      if (trimmedPassphrase.length === 0) {
-        setIsLoading(false);
-        return setStatus("❌ Passphrase cannot be empty");
-      }
-      
-      setStatus("🔓 Decrypting content with AES-256...\n\nUnlocking your time capsule...");
-      
       let decryptedContent;
+      let keyPair = null;
       try {
-        const decryptedText = decryptText(encryptedHex, trimmedPassphrase);
-        console.log("Decrypted text length:", decryptedText.length);
+        const timeSealed = isTimeSealed(encryptedHex);
+        if (timeSealed) {
+          setStatus("⏳ Fetching the published time key...");
+          encryptedHex = await openWithTimeKey(encryptedHex, await getCapsuleTimeKey(capsuleId));
+        }
         
-        // Try to parse as JSON (new format with files)
-        try {
-          decryptedContent = JSON.parse(decryptedText);
-          console.log("Parsed content:", {
-            hasText: !!decryptedContent.text,
-            filesCount: decryptedContent.files?.length || 0,
-            version: decryptedContent.version
-          });
-        } catch (jsonError) {
-          console.warn("JSON parsing failed, treating as plain text:", jsonError.message);
-          // If JSON parsing fails, treat as plain text (backward compatibility)
-          decryptedContent = {
-            text: decryptedText,
-            files: [],
-            timestamp: null,
-            version: "1.0"
-          };
+        const kdfId = getEnvelopeKdf(encryptedHex);
+        // Unencrypted public capsules carry the content JSON directly under the time key
+        const isPlain = timeSealed && kdfId === null;
+        const useWalletKey = kdfId === KDF_X25519_HKDF || kdfId === KDF_X25519_MULTI;
+        const useTlock = kdfId === KDF_TLOCK;
+        const trimmedPassphrase = revealPass.trim();
+        if (!useWalletKey && !useTlock && !isPlain && trimmedPassphrase.length === 0) {
+          setIsLoading(false);
+          return setStatus("❌ This capsule is passphrase protected.\n\nPlease enter the passphrase you received from the sender.");
         }
         
+        let decryptedText;
+        if (isPlain) {
+          decryptedText = new TextDecoder().decode(hexToBytes(encryptedHex));
+        } else if (useTlock) {
+          setStatus("🔓 Fetching the beacon round and decrypting...\n\nUnlocking your time capsule...");
+          decryptedText = await decryptTextFromRound(encryptedHex, getBeacon);
+        } else if (useWalletKey) {
+          keyPair = await getWalletKeyPair();
+          setStatus("🔓 Decrypting content with your wallet key...\n\nUnlocking your time capsule...");
+          if (kdfId === KDF_X25519_MULTI) {
+            const wrappedKey = await viewFunction(FUNC_WRAPPED_KEY, [account, capsuleId]);
+            decryptedText = await decryptTextWithWrappedKey(encryptedHex, wrappedKey?.[0] || "", keyPair);
+          } else {
+            decryptedText = await decryptTextWithKeyPair(encryptedHex, keyPair);
+          }
+        } else {
+          setStatus("🔓 Decrypting content with AES-256-GCM...\n\nUnlocking your time capsule...");
+          decryptedText = await decryptText(encryptedHex, trimmedPassphrase);
+        }
+        console.log("Decrypted text length:", decryptedText.length);
+        
+        decryptedContent = parseContent(decryptedText);
+        console.log("Parsed content:", {
+          hasText: !!decryptedContent.text,
+          filesCount: decryptedContent.files.length,
+          version: decryptedContent.version
+        });
+        
       } catch (decryptError) {
         console.error("Decryption failed:", decryptError);
         setIsLoading(false);
-        return setStatus(`❌ Decryption failed: ${decryptError.message}\n\n🔧 Possible issues:\n1. Wrong passphrase\n2. Corrupted data\n3. Encryption/decryption mismatch\n\nPlease verify the passphrase with the sender.`);
-      }
-
-      if (!decryptedContent) {
-        setIsLoading(false);
-        return setStatus(`❌ Decryption failed - wrong passphrase or corrupted data`);
+        return setStatus(describeEnvelopeError(decryptError));
       }
 
       setRevealedContent(decryptedContent);
+      const sectionTimeline = await loadTimeline(capsule.unlockTime, keyPair);
+      setTimeline(sectionTimeline);
 
       let statusMessage = `🎉 Time Capsule #${capsuleId} Unlocked Successfully!\n\n` +
         `📤 From: ${capsule.sender}\n` +
-        `📥 To: ${capsule.receiver}\n` +
+        `📥 To: ${capsule.receivers.join(', ')}\n` +
         `📦 Content Type: ${capsule.contentType}\n` +
         `📱 Content Version: ${decryptedContent.version || '1.0'}\n` +
         `⏰ Created: ${decryptedContent.timestamp ? new Date(decryptedContent.timestamp).toLocaleString() : 'Unknown'}\n` +
@@ -424,6 +840,12 @@ export default function App() {
       
       // Always use real IPFS download now
       fileBlob = await downloadFromIPFS(file.ipfsHash, file.name);
+      
+      // Attachments from older capsules were uploaded unencrypted
+      if (file.encryption) {
+        setStatus(`🔓 Decrypting ${file.name}...`);
+        fileBlob = await decryptFile(fileBlob, file.encryption.key, file.type);
+      }
       setStatus(`✅ Downloaded ${file.name} successfully!\n\n📊 Size: ${(fileBlob.size / 1024).toFixed(1)} KB\n🌐 Source: IPFS Network\n📱 Compatible: All devices`);
       
       // Create download link
@@ -456,11 +878,359 @@ export default function App() {
     }
   };
 
-  const getCapsuleMetadata = async () => {
+  const selectCapsule = (id) => {
+    setCapsuleId(String(id));
+    setRevealedContent(null);
+    setTimeline([]);
+    setStatus(`📦 Capsule #${id} selected\n\nEnter the passphrase if needed and click "🔓 Reveal Content".`);
+  };
+
+  const claimCapsule = async () => {
+    if (!account) return alert("Connect wallet first");
+    if (!capsuleId) return alert("Enter capsule ID first");
+    setIsLoading(true);
+    try {
+      const capsule = await checkCapsuleStatus(capsuleId);
+      if (!capsule.exists) return setStatus("❌ Capsule not found");
+      if (!capsule.isUnlocked) return setStatus("🔒 Capsule can only be claimed after it unlocks.");
+      if (!capsule.isHolder) {
+        return setStatus("❌ Only a holder of this capsule's token can claim it.");
+      }
+      
+      const [[claimed], [assets, amounts]] = await Promise.all([
+        viewFunction(FUNC_CLAIMED_BY, [capsuleId]),
+        viewFunction(FUNC_ESCROW_BALANCES, [capsuleId])
+      ]);
+      if (claimed.some(r => sameAddress(account, r))) {
+        return setStatus(`✅ You have already claimed capsule #${capsuleId}.`);
+      }
+      const payout = assets.map((asset, i) => formatAssetAmount(asset, amounts[i]));
+      
+      const tx = await window.aptos.signAndSubmitTransaction({
+        type: "entry_function_payload",
+        function: FUNC_CLAIM,
+        type_arguments: [],
+        arguments: [capsuleId]
+      });
+      setStatus(
+        `📨 Capsule #${capsuleId} claimed!\n\n📋 Transaction: ${tx.hash}\n\n` +
+        (payout.length > 0 ? `💰 Paid to your wallet: ${payout.join(', ')}\n\n` : '') +
+        `The sender can now see that you opened it.`
+      );
+    } catch (e) {
+      console.error("Claim error:", e);
+      setStatus(`❌ Failed to claim capsule: ${describeTransactionError(e)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // The sender's time key for a capsule, from this browser or pasted in; null (with the reason
+  // in the status) if there is none
+  const askForTimeKey = async (id) => {
+    const [commitment] = await viewFunction(FUNC_KEY_COMMITMENT, [String(id)]);
+    const commitmentHex = decodeMoveBytes(commitment);
+    if (!commitmentHex) {
+      setStatus(`🔐 Capsule #${id} is time-locked to a fixed beacon round - it has no time key, and its unlock time can't move.`);
+      return null;
+    }
+    const savedKey = loadTimeKey(commitmentHex);
+    if (savedKey) return savedKey;
+    
+    const timeKey = (window.prompt(`This browser does not hold the time key for capsule #${id}.\n\nPaste the time key shown when the capsule was created:`) || "").trim().replace(/^0x/, "");
+    if (!timeKey) return null;
+    if (!/^[0-9a-f]{64}$/i.test(timeKey) || bytesToHex(await timeKeyCommitment(hexToBytes(timeKey))) !== commitmentHex) {
+      setStatus(`❌ That is not the time key of capsule #${id}.`);
+      return null;
+    }
+    saveTimeKey(commitmentHex, timeKey);
+    return timeKey;
+  };
+
+  const checkIn = async (id = capsuleId) => {
+    if (!account) return alert("Connect wallet first");
+    if (id === "") return alert("Enter capsule ID first");
+    setIsLoading(true);
+    try {
+      const capsule = await checkCapsuleStatus(id);
+      if (!capsule.exists) return setStatus("❌ Capsule not found");
+      if (!sameAddress(account, capsule.sender)) {
+        return setStatus("❌ Only the sender can check in on a capsule.");
+      }
+      if (capsule.heartbeatInterval === 0) {
+        return setStatus("📅 This capsule has a fixed unlock time - there is nothing to check in to.");
+      }
+      if (capsule.isUnlocked) {
+        return setStatus("🔓 The check-in deadline has passed and this capsule is already open.");
+      }
+      
+      // The time key sealed to the old deadline would open too early, so it is resealed to the new one
+      const timeKey = await askForTimeKey(id);
+      if (!timeKey) return;
+      const sealedTimeKey = await sealTimeKeyToDeadline(timeKey, nowSeconds() + capsule.heartbeatInterval, getBeacon());
+      
+      const tx = await window.aptos.signAndSubmitTransaction({
+        type: "entry_function_payload",
+        function: FUNC_HEARTBEAT,
+        type_arguments: [],
+        arguments: [String(id), sealedTimeKey]
+      });
+      setStatus(`💓 Checked in on capsule #${id}!\n\n⏰ Next deadline: ${new Date((nowSeconds() + capsule.heartbeatInterval) * 1000).toLocaleString()}\n📋 Transaction: ${tx.hash}`);
+    } catch (e) {
+      console.error("Check-in error:", e);
+      setStatus(`❌ Failed to check in: ${describeTransactionError(e)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const cancelCapsule = async () => {
+    if (!account) return alert("Connect wallet first");
+    if (!capsuleId) return alert("Enter capsule ID first");
+    setIsLoading(true);
+    try {
+      const capsule = await checkCapsuleStatus(capsuleId);
+      if (!capsule.exists) {
+        return setStatus(capsule.cancelled ? `🗑️ Capsule #${capsuleId} is already cancelled.` : "❌ Capsule not found");
+      }
+      if (!sameAddress(account, capsule.sender)) {
+        return setStatus("❌ Only the sender can cancel a capsule.");
+      }
+      if (capsule.isUnlocked) {
+        return setStatus("🔓 This capsule has already unlocked and can no longer be cancelled.");
+      }
+      if (!window.confirm(`Cancel capsule #${capsuleId}? Its content is deleted from the blockchain and cannot be restored. Any escrowed funds are returned to you.`)) {
+        return;
+      }
+      
+      const tx = await window.aptos.signAndSubmitTransaction({
+        type: "entry_function_payload",
+        function: FUNC_CANCEL,
+        type_arguments: [],
+        arguments: [capsuleId]
+      });
+      setRevealedContent(null);
+      setStatus(`🗑️ Capsule #${capsuleId} cancelled.\n\n📋 Transaction: ${tx.hash}\n\nThe encrypted content was deleted, its storage deposit refunded and any escrowed funds returned to your wallet.`);
+    } catch (e) {
+      console.error("Cancel error:", e);
+      setStatus(`❌ Failed to cancel capsule: ${describeTransactionError(e)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const publishTimeKey = async () => {
+    if (!account) return alert("Connect wallet first");
+    if (!capsuleId) return alert("Enter capsule ID first");
+    setIsLoading(true);
+    try {
+      const capsule = await checkCapsuleStatus(capsuleId);
+      if (!capsule.exists) return setStatus("❌ Capsule not found");
+      if (!capsule.isUnlocked) {
+        return setStatus(`🔒 The time key can only be published after ${new Date(capsule.unlockTime * 1000).toLocaleString()}.`);
+      }
+      
+      const [[published], [commitment]] = await Promise.all([
+        viewFunction(FUNC_TIME_KEY, [capsuleId]),
+        viewFunction(FUNC_KEY_COMMITMENT, [capsuleId])
+      ]);
+      if (!commitment || commitment === "0x") {
+        return setStatus(`⏰ Capsule #${capsuleId} is time-locked to a beacon round and has no time key to publish.`);
+      }
+      
+      if (published && published !== "0x") {
+        // The capsule itself is open; a staged capsule may still have unlocked sections waiting for their keys.
+        // Each section's key is sealed to its own unlock time, so anyone can open and publish it
+        const [[times], [commitments, timeKeys, sealedKeys]] = await Promise.all([
+          viewFunction(FUNC_SEGMENT_UNLOCK_TIMES, [capsuleId]),
+          viewFunction(FUNC_SEGMENT_TIME_KEYS, [capsuleId])
+        ]);
+        const index = timeKeys.findIndex((key, i) => i > 0 && Number(times[i]) <= nowSeconds() && !decodeMoveBytes(key));
+        if (index < 0) {
+          return setStatus(`✅ The time key for capsule #${capsuleId} is already published.`);
+        }
+        
+        const sectionKey = loadTimeKey(commitments[index]) || await openSealedTimeKey(decodeMoveBytes(sealedKeys[index]), getBeacon);
+        
+        const tx = await window.aptos.signAndSubmitTransaction({
+          type: "entry_function_payload",
+          function: FUNC_PUBLISH_SEGMENT_TIME_KEY,
+          type_arguments: [],
+          arguments: [capsuleId, index.toString(), hexToBytes(sectionKey)]
+        });
+        return setStatus(`⏳ Time key published for section ${index + 1} of capsule #${capsuleId}!\n\n📋 Transaction: ${tx.hash}\n\nThe receivers can now read this section.`);
+      }
+      
+      // After a guardian early unlock, the shares they revealed rebuild the key
+      const timeKey = loadTimeKey(commitment) || await getCapsuleTimeKey(capsuleId);
+      if (!timeKey) {
+        return setStatus(`❌ This browser does not hold the time key for capsule #${capsuleId}.\n\nPublish it from the browser the capsule was created in, or by whoever was given the key.`);
+      }
+      
+      const tx = await window.aptos.signAndSubmitTransaction({
+        type: "entry_function_payload",
+        function: FUNC_PUBLISH_TIME_KEY,
+        type_arguments: [],
+        arguments: [capsuleId, hexToBytes(timeKey)]
+      });
+      setStatus(`⏳ Time key published for capsule #${capsuleId}!\n\n📋 Transaction: ${tx.hash}\n\nThe receivers can now reveal the capsule.`);
+    } catch (e) {
+      console.error("Publish time key error:", e);
+      setStatus(`❌ Failed to publish time key: ${describeTransactionError(e)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Sender: move the unlock time (later always, earlier once every receiver has consented).
+  // Receiver: consent to the earlier time entered.
+  const rescheduleCapsule = async () => {
+    if (!account) return alert("Connect wallet first");
+    if (!capsuleId || !newUnlockAt) return alert("Enter capsule ID and the new unlock time first");
+    const newUnlockSeconds = Math.floor(new Date(newUnlockAt).getTime() / 1000);
+    if (newUnlockSeconds <= nowSeconds()) return alert("New unlock time must be in future");
+    
+    setIsLoading(true);
+    try {
+      const capsule = await checkCapsuleStatus(capsuleId);
+      if (!capsule.exists) return setStatus("❌ Capsule not found");
+      if (capsule.isUnlocked) return setStatus("🔓 This capsule has already unlocked and can no longer be rescheduled.");
+      if (capsule.heartbeatInterval > 0) return setStatus("💓 A dead man's switch capsule can't be rescheduled - its unlock time only moves when the sender checks in.");
+      
+      const isSender = sameAddress(account, capsule.sender);
+      const isEarlier = newUnlockSeconds < capsule.unlockTime;
+      
+      if (isSender) {
+        if (isEarlier) {
+          const [proposed, consents] = await viewFunction(FUNC_UNLOCK_CONSENTS, [capsuleId]);
+          const missing = capsule.holders.filter(r => Number(proposed) !== newUnlockSeconds || !consents.some(c => sameAddress(c, r)));
+          if (missing.length > 0) {
+            return setStatus(`🤝 Moving the unlock time earlier needs every receiver's consent.\n\nStill waiting for:\n${missing.join('\n')}\n\nAsk them to enter capsule #${capsuleId}, the same new time, and click "📅 Reschedule / Consent".`);
+          }
+        }
+        
+        // The key stays sealed to the old time otherwise: too early when postponing, too late when moving it earlier
+        const timeKey = await askForTimeKey(capsuleId);
+        if (!timeKey) return;
+        const sealedTimeKey = await sealTimeKeyToDeadline(timeKey, newUnlockSeconds, getBeacon());
+        
+        const tx = await window.aptos.signAndSubmitTransaction({
+          type: "entry_function_payload",
+          function: FUNC_UPDATE_UNLOCK,
+          type_arguments: [],
+          arguments: [capsuleId, newUnlockSeconds.toString(), sealedTimeKey]
+        });
+        setStatus(`📅 Capsule #${capsuleId} rescheduled!\n\n⏰ ${new Date(capsule.unlockTime * 1000).toLocaleString()} → ${new Date(newUnlockSeconds * 1000).toLocaleString()}\n📋 Transaction: ${tx.hash}`);
+      } else if (capsule.isHolder) {
+        if (!isEarlier) {
+          return setStatus("❌ Receivers can only consent to an earlier unlock time. Only the sender can postpone a capsule.");
+        }
+        
+        const tx = await window.aptos.signAndSubmitTransaction({
+          type: "entry_function_payload",
+          function: FUNC_CONSENT_UNLOCK,
+          type_arguments: [],
+          arguments: [capsuleId, newUnlockSeconds.toString()]
+        });
+        setStatus(`🤝 You consented to open capsule #${capsuleId} at ${new Date(newUnlockSeconds * 1000).toLocaleString()}.\n\n📋 Transaction: ${tx.hash}\n\nThe sender can apply it once every receiver has consented.`);
+      } else {
+        setStatus("❌ Only the sender or a receiver can reschedule this capsule.");
+      }
+    } catch (e) {
+      console.error("Reschedule error:", e);
+      setStatus(`❌ Failed to reschedule capsule: ${describeTransactionError(e)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const addGuardians = async () => {
+    if (!account) return alert("Connect wallet first");
     if (!capsuleId) return alert("Enter capsule ID first");
+    const guardians = parseReceivers(guardianInput);
+    if (guardians.length === 0 || !guardianThreshold) return alert("Enter guardian addresses and how many must approve");
+    const invalidGuardians = guardians.filter(addr => !isValidAddress(addr));
+    if (invalidGuardians.length > 0) {
+      return alert(`Invalid guardian address format:\n${invalidGuardians.join('\n')}`);
+    }
+    
+    setIsLoading(true);
     try {
       const capsule = await checkCapsuleStatus(capsuleId);
       if (!capsule.exists) return setStatus("❌ Capsule not found");
+      if (!sameAddress(account, capsule.sender)) return setStatus("❌ Only the sender can add guardians.");
+      if (capsule.isUnlocked) return setStatus("🔓 This capsule has already unlocked - guardians are no longer needed.");
+      
+      const interested = guardians.filter(g => [capsule.sender, ...capsule.receivers, ...capsule.holders].some(a => sameAddress(a, g)));
+      if (interested.length > 0) {
+        return setStatus(`❌ The sender and receivers can't be guardians - they would be approving their own early access:\n${interested.join('\n')}`);
+      }
+      
+      const [[existing, , approvals], [commitment], [segmentTimes]] = await Promise.all([
+        viewFunction(FUNC_GUARDIANS, [capsuleId]),
+        viewFunction(FUNC_KEY_COMMITMENT, [capsuleId]),
+        viewFunction(FUNC_SEGMENT_UNLOCK_TIMES, [capsuleId])
+      ]);
+      if (!commitment || commitment === "0x") {
+        return setStatus(`⏰ Capsule #${capsuleId} is time-locked to a beacon round - guardians can't open it early.`);
+      }
+      // The first entry is the capsule's own unlock time; staged capsules list their later sections after it
+      if (segmentTimes.length > 1) {
+        return setStatus(`❌ Capsule #${capsuleId} is staged - each section has its own time key, so guardians can't open it early.`);
+      }
+      const newGuardians = guardians.filter(g => !existing.some(e => sameAddress(e, g)));
+      const allGuardians = [...existing, ...newGuardians];
+      const total = allGuardians.length;
+      const threshold = Number(guardianThreshold);
+      if (!Number.isInteger(threshold) || threshold < 1 || threshold > total) {
+        return setStatus(`❌ Approvals needed must be between 1 and ${total} (the number of guardians).`);
+      }
+      if (approvals.length > 0 && !window.confirm(`${approvals.length} guardians have already approved.\n\nChanging the guardians splits the time key afresh, so they will have to approve again. Continue?`)) {
+        return;
+      }
+      
+      // Guardians open the capsule early by rebuilding its time key, so each needs a share of it
+      const timeKey = loadTimeKey(commitment);
+      if (!timeKey) {
+        return setStatus(`❌ This browser does not hold the time key for capsule #${capsuleId}.\n\nAdd guardians from the browser the capsule was created in.`);
+      }
+      const guardianKeys = await Promise.all(allGuardians.map(fetchEncryptionKey));
+      const unregistered = allGuardians.filter((_, i) => !guardianKeys[i]);
+      if (unregistered.length > 0) {
+        return setStatus(`❌ These guardians haven't registered an encryption key yet, so they can't be given a share of the time key:\n${unregistered.join('\n')}\n\nAsk them to click "🔑 Register Encryption Key" first.`);
+      }
+      const shares = splitTimeKey(timeKey, threshold, total);
+      const wrappedShares = [];
+      const shareHashes = [];
+      for (let i = 0; i < total; i++) {
+        wrappedShares.push(encodeX25519Params(await wrapContentKey(shares[i], guardianKeys[i])));
+        shareHashes.push(await timeKeyCommitment(shares[i]));
+        shares[i].fill(0);
+      }
+      
+      const tx = await window.aptos.signAndSubmitTransaction({
+        type: "entry_function_payload",
+        function: FUNC_ADD_GUARDIANS,
+        type_arguments: [],
+        arguments: [capsuleId, newGuardians, threshold.toString(), wrappedShares, shareHashes]
+      });
+      setGuardianInput("");
+      setStatus(`🛡️ Guardians updated for capsule #${capsuleId}!\n\n👥 ${total} guardians, ${threshold} must approve to open it early\n📋 Transaction: ${tx.hash}\n\nThey will see it in their Guardian Dashboard.`);
+    } catch (e) {
+      console.error("Add guardians error:", e);
+      setStatus(`❌ Failed to add guardians: ${describeTransactionError(e)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const getCapsuleMetadata = async () => {
+    if (!capsuleId) return alert("Enter capsule ID first");
+    try {
+      const capsule = await checkCapsuleStatus(capsuleId);
+      if (!capsule.exists) {
+        return setStatus(capsule.cancelled ? `🗑️ Capsule #${capsuleId} was cancelled by its sender.` : "❌ Capsule not found");
+      }
       
       const unlockDate = new Date(capsule.unlockTime * 1000);
       const now = new Date();
@@ -468,11 +1238,15 @@ export default function App() {
       
       let statusText = `📦 Capsule #${capsuleId} Metadata\n\n` +
         `📤 Sender: ${capsule.sender}\n` +
-        `📥 Receiver: ${capsule.receiver}\n` +
+        `📥 Receivers: ${capsule.receivers.join(', ')}\n` +
+        (capsule.holders.some((h, i) => !sameAddress(h, capsule.receivers[i]))
+          ? `🎟️ Token Holders: ${capsule.holders.join(', ')}\n`
+          : '') +
         `📦 Content Type: ${capsule.contentType}\n` +
         `⏰ Unlock Time: ${unlockDate.toLocaleString()}\n` +
         `🔒 Status: ${capsule.isUnlocked ? "🔓 UNLOCKED" : "🔒 LOCKED"}\n` +
-        `👤 Authorization: ${capsule.isAuthorized ? "✅ AUTHORIZED" : "❌ NOT AUTHORIZED"}\n` +
+        `👁️ Visibility: ${capsule.visibility === "public" ? "🌐 Public" : capsule.visibility === "receivers" ? "👥 Receivers only" : "🔒 Private"}\n` +
+        `👤 Authorization: ${capsule.canRead ? "✅ AUTHORIZED" : "❌ NOT AUTHORIZED"}\n` +
         `📱 Your Address: ${account}\n` +
         `🌐 Cross-Device: YES ✅`;
       
@@ -483,6 +1257,38 @@ export default function App() {
         statusText += `\n\n⏰ Time remaining: ${days}d ${hours}h ${minutes}m`;
       }
       
+      const [[history], [proposed, consents], [assets, amounts], [guardians, threshold, approvals, unlockedEarlyAt]] = await Promise.all([
+        viewFunction(FUNC_UNLOCK_HISTORY, [capsuleId]),
+        viewFunction(FUNC_UNLOCK_CONSENTS, [capsuleId]),
+        viewFunction(FUNC_ESCROW_BALANCES, [capsuleId]),
+        viewFunction(FUNC_GUARDIANS, [capsuleId])
+      ]);
+      const formatTime = (seconds) => new Date(Number(seconds) * 1000).toLocaleString();
+      if (history.length > 0) {
+        statusText += `\n\n📅 Unlock Time Changes (${history.length}):\n` + history.map(change =>
+          `• ${formatTime(change.changed_at)}: ${formatTime(change.old_unlock_time)} → ${formatTime(change.new_unlock_time)}`
+        ).join('\n');
+      }
+      if (Number(proposed) > 0) {
+        statusText += `\n\n🤝 Proposed earlier unlock: ${formatTime(proposed)} (${consents.length}/${capsule.holders.length} holders consented)`;
+      }
+      if (capsule.heartbeatInterval > 0) {
+        statusText += `\n\n💓 Dead Man's Switch: Opens if the sender misses a check-in (every ${(capsule.heartbeatInterval / 86400).toFixed(1)} days)`;
+        if (!capsule.isUnlocked && isCheckInDue(capsule.unlockTime - nowSeconds(), capsule.heartbeatInterval)) {
+          statusText += `\n⚠️ Check-in due before ${unlockDate.toLocaleString()}!`;
+        }
+      }
+      if (guardians.length > 0) {
+        statusText += `\n\n🛡️ Guardians (${approvals.length}/${threshold} approvals for early unlock):\n` +
+          guardians.map(g => `• ${g}${approvals.some(a => sameAddress(a, g)) ? ' ✅' : ''}`).join('\n');
+        if (Number(unlockedEarlyAt) > 0) {
+          statusText += `\n🔓 Unlocked early by guardians on ${formatTime(unlockedEarlyAt)}`;
+        }
+      }
+      if (assets.length > 0) {
+        statusText += `\n\n💰 Escrowed: ${assets.map((asset, i) => formatAssetAmount(asset, amounts[i])).join(', ')}`;
+      }
+      
       setStatus(statusText);
     } catch (e) {
       console.error(e);
@@ -490,6 +1296,9 @@ export default function App() {
     }
   };
 
+  // Rough size of the sealed envelope: the JSON content plus a reference per attached file and the encryption headers
+  const estimatedPayloadBytes = new TextEncoder().encode(message).length + selectedFiles.length * 250 + 300;
+
   return (
     <div className="container">
       <header className="app-header">
@@ -508,23 +1317,36 @@ export default function App() {
             <button onClick={testIPFSConnection} disabled={isLoading} className="test-btn">
               {isLoading ? "Testing..." : "🧪 Test IPFS"}
             </button>
+            <button onClick={registerEncryptionKey} disabled={isLoading} className="test-btn">
+              🔑 Register Encryption Key
+            </button>
           </div>
         )}
       </div>
       
+      <CapsuleList account={account} onSelect={selectCapsule} onCheckIn={checkIn} />
+      
+      <GuardianDashboard account={account} onSelect={selectCapsule} />
+      
+      <PublicFeed onSelect={selectCapsule} />
+      
+      <AdminPanel account={account} />
+      
       <div className="main-content">
         <div className="section create-section">
           <h3>📝 Create Time Capsule</h3>
           
           <div className="form-group">
-            <label>Receiver Address:</label>
-            <input 
+            <label>Receiver Address(es):</label>
+            <textarea 
               value={receiver} 
               onChange={e => setReceiver(e.target.value)} 
-              placeholder="0x..." 
+              placeholder="0x... (separate multiple receivers with commas or new lines)" 
               disabled={isLoading}
               className="address-input"
+              rows={2}
             />
+            <small>👥 Add several addresses to send one capsule to a whole group.</small>
           </div>
           
           <div className="form-group">
@@ -569,7 +1391,7 @@ export default function App() {
                       <div className="file-details">
                         {file.type || 'Unknown type'} • {(file.size / 1024).toFixed(1)} KB
                         <br />
-                        <small>🌐 Will work on any device via IPFS</small>
+                        <small>🔒 Encrypted before upload • 🌐 Works on any device via IPFS</small>
                       </div>
                     </div>
                     <button 
@@ -586,31 +1408,189 @@ export default function App() {
           )}
           
           <div className="form-group">
-            <label>Unlock Date & Time:</label>
-            <input 
-              type="datetime-local" 
-              value={unlockAt} 
-              onChange={e => setUnlockAt(e.target.value)}
-              min={new Date().toISOString().slice(0, 16)}
+            <label>Unlock Mode:</label>
+            <select 
+              value={unlockMode} 
+              onChange={e => setUnlockMode(e.target.value)} 
               disabled={isLoading}
-            />
+            >
+              <option value="date">📅 Fixed date</option>
+              <option value="switch">💓 Dead man's switch (opens when I stop checking in)</option>
+            </select>
+          </div>
+          
+          {unlockMode === "switch" ? (
+            <div className="form-group">
+              <label>Check-in Interval (days):</label>
+              <input 
+                type="number" 
+                value={heartbeatDays} 
+                onChange={e => setHeartbeatDays(e.target.value)} 
+                min="1"
+                disabled={isLoading}
+              />
+              <small>💓 Click "💓 Check In" before each deadline to push it back a full interval. Miss one and the capsule opens for its receivers.</small>
+            </div>
+          ) : (
+            <div className="form-group">
+              <label>Unlock Date & Time:</label>
+              <input 
+                type="datetime-local" 
+                value={unlockAt} 
+                onChange={e => setUnlockAt(e.target.value)}
+                min={new Date().toISOString().slice(0, 16)}
+                disabled={isLoading}
+              />
+            </div>
+          )}
+          
+          {unlockMode === "date" && (
+            <div className="form-group">
+              <label>Later Sections (optional):</label>
+              {sections.map((section, index) => (
+                <div key={index} className="section-row">
+                  <div className="section-fields">
+                    <input 
+                      type="datetime-local" 
+                      value={section.unlockAt} 
+                      onChange={e => updateSection(index, { unlockAt: e.target.value })}
+                      min={unlockAt || new Date().toISOString().slice(0, 16)}
+                      disabled={isLoading}
+                    />
+                    <textarea 
+                      placeholder={`Section ${index + 2} message...`}
+                      value={section.text} 
+                      onChange={e => updateSection(index, { text: e.target.value })} 
+                      rows={3}
+                      disabled={isLoading}
+                    />
+                  </div>
+                  <button onClick={() => removeSection(index)} className="remove-btn" disabled={isLoading}>
+                    ❌
+                  </button>
+                </div>
+              ))}
+              <button onClick={addSection} disabled={isLoading || sections.length >= 20} className="test-btn">
+                📚 Add Section
+              </button>
+              <small>📚 Each section opens on its own date, after the capsule itself - the receiver sees them appear one by one on a timeline.</small>
+            </div>
+          )}
+          
+          <div className="form-group">
+            <label>Visibility:</label>
+            <select 
+              value={visibility} 
+              onChange={e => {
+                const next = e.target.value;
+                setVisibility(next);
+                // Public capsules can't need a secret to read; switch to a mode anyone can open and back
+                if (next === "public" && encryptionMode !== "tlock") setEncryptionMode("open");
+                if (next !== "public" && encryptionMode === "open") setEncryptionMode("passphrase");
+              }} 
+              disabled={isLoading}
+            >
+              <option value="private">🔒 Private (you and the receivers)</option>
+              <option value="receivers">👥 Receivers only</option>
+              <option value="public">🌐 Public (anyone, after unlock)</option>
+            </select>
+            {visibility === "public" && (
+              <small>🌐 Listed in the public feed. Anyone can read it once it unlocks - use it for announcements, reveals or sealed predictions. Leave the receiver empty to keep the capsule token yourself.</small>
+            )}
           </div>
           
           <div className="form-group">
-            <label>Encryption Passphrase:</label>
+            <label>Encryption Mode:</label>
+            <select 
+              value={encryptionMode} 
+              onChange={e => setEncryptionMode(e.target.value)} 
+              disabled={isLoading}
+            >
+              {visibility === "public" ? (
+                <option value="open">🌐 None (sealed until unlock, then readable by anyone)</option>
+              ) : (
+                <>
+                  <option value="passphrase">🔑 Shared passphrase</option>
+                  <option value="recipient">👛 Receiver's wallet key (no passphrase)</option>
+                </>
+              )}
+              <option value="tlock">⏰ Time-lock (opens on its own at unlock)</option>
+            </select>
+          </div>
+          
+          {encryptionMode === "open" ? (
+            <div className="form-group">
+              <small>🌐 The content is sealed with a time key that you publish after the unlock time - until then nobody can read it, afterwards everyone can.</small>
+            </div>
+          ) : encryptionMode === "tlock" ? (
+            <div className="form-group">
+              <small>⏰ The content is time-lock encrypted to the drand beacon round at the unlock time. Nobody can decrypt it before then, and it opens even if you lose access or disappear. Anyone who gets the ciphertext after that round can read it.</small>
+            </div>
+          ) : encryptionMode === "passphrase" ? (
+            <div className="form-group">
+              <label>Encryption Passphrase:</label>
+              <input 
+                type="password" 
+                value={passphrase} 
+                onChange={e => setPassphrase(e.target.value)} 
+                placeholder="Enter a strong passphrase (share securely with receiver)" 
+                disabled={isLoading}
+              />
+              <small>⚠️ Remember this passphrase! It cannot be recovered and is needed on any device.</small>
+            </div>
+          ) : (
+            <div className="form-group">
+              <small>👛 The content key is wrapped to the receiver's registered encryption key. Only the receiver's wallet can open this capsule - not even you as the sender.</small>
+            </div>
+          )}
+          
+          <div className="form-group">
+            <label>Payload Storage:</label>
+            <select 
+              value={storageMode} 
+              onChange={e => setStorageMode(e.target.value)} 
+              disabled={isLoading}
+            >
+              <option value="auto">⚙️ Automatic (IPFS above {OFFCHAIN_THRESHOLD_BYTES / 1024} KB)</option>
+              <option value="onchain">⛓️ On-chain</option>
+              <option value="ipfs">🌐 IPFS (only the CID and hash on-chain)</option>
+            </select>
+            <small>
+              📦 This message is about {(estimatedPayloadBytes / 1024).toFixed(1)} KB encrypted
+              ({formatAssetAmount(APT_METADATA_ADDRESS, estimateStorageFee(estimatedPayloadBytes))} in storage fees on-chain).
+              {estimatedPayloadBytes > PAYLOAD_REF_BYTES && ` Storing it on IPFS saves ≈ ${formatAssetAmount(APT_METADATA_ADDRESS, estimateStorageFee(estimatedPayloadBytes - PAYLOAD_REF_BYTES))}.`}
+            </small>
+          </div>
+          
+          <div className="form-group">
+            <label>APT Gift (optional):</label>
             <input 
-              type="password" 
-              value={passphrase} 
-              onChange={e => setPassphrase(e.target.value)} 
-              placeholder="Enter a strong passphrase (share securely with receiver)" 
+              type="number" 
+              value={giftApt} 
+              onChange={e => setGiftApt(e.target.value)} 
+              placeholder="0.0" 
+              min="0"
+              step="0.00000001"
               disabled={isLoading}
             />
-            <small>⚠️ Remember this passphrase! It cannot be recovered and is needed on any device.</small>
+            <small>💰 Held in escrow by the capsule and paid to the receiver when they claim it after unlock. Cancelling returns it to you. Single receiver only.</small>
           </div>
           
           <button onClick={createCapsule} disabled={isLoading || !account} className="create-btn">
             {isLoading ? "🔄 Creating..." : "🚀 Create Cross-Device Capsule"}
           </button>
+          
+          {shareLink && (
+            <div className="share-box">
+              <small>🔗 Send this link to the receiver - it opens the app with the capsule selected:</small>
+              <div className="share-row">
+                <input type="text" value={shareLink} readOnly onFocus={e => e.target.select()} />
+                <button onClick={copyShareLink} className="test-btn">
+                  📋 Copy
+                </button>
+              </div>
+            </div>
+          )}
         </div>
 
         <div className="section reveal-section">
@@ -622,7 +1602,7 @@ export default function App() {
               type="number" 
               value={capsuleId} 
               onChange={e => setCapsuleId(e.target.value)} 
-              placeholder="Enter capsule ID (0, 1, 2, ...)" 
+              placeholder="Enter capsule ID or pick one from My Capsules" 
               min="0"
               disabled={isLoading}
             />
@@ -635,6 +1615,62 @@ export default function App() {
             <button onClick={getCapsuleMetadata} disabled={isLoading}>
               📋 Get Metadata
             </button>
+            <button onClick={claimCapsule} disabled={isLoading}>
+              💰 Claim
+            </button>
+            <button onClick={publishTimeKey} disabled={isLoading}>
+              ⏳ Publish Time Key
+            </button>
+            <button onClick={() => checkIn()} disabled={isLoading}>
+              💓 Check In
+            </button>
+            <button onClick={cancelCapsule} disabled={isLoading}>
+              🗑️ Cancel Capsule
+            </button>
+          </div>
+          
+          <div className="form-group">
+            <label>New Unlock Time:</label>
+            <input 
+              type="datetime-local" 
+              value={newUnlockAt} 
+              onChange={e => setNewUnlockAt(e.target.value)} 
+              disabled={isLoading}
+            />
+            <small>📅 Senders can always postpone. An earlier time needs every receiver to consent to it first.</small>
+          </div>
+          
+          <div className="button-group">
+            <button onClick={rescheduleCapsule} disabled={isLoading || !account}>
+              📅 Reschedule / Consent
+            </button>
+          </div>
+          
+          <div className="form-group">
+            <label>Guardians:</label>
+            <textarea 
+              value={guardianInput} 
+              onChange={e => setGuardianInput(e.target.value)} 
+              placeholder="0x... (separate multiple guardians with commas or new lines)" 
+              disabled={isLoading}
+              className="address-input"
+              rows={2}
+            />
+            <input 
+              type="number" 
+              value={guardianThreshold} 
+              onChange={e => setGuardianThreshold(e.target.value)} 
+              placeholder="Approvals needed to open early (M of N)" 
+              min="1"
+              disabled={isLoading}
+            />
+            <small>🛡️ If enough guardians approve, the capsule opens before its unlock time - for example in a medical emergency or for estate handling. Each guardian gets a share of the time key, wrapped to their registered encryption key; only enough shares together rebuild it. Receivers still need their passphrase or wallet key to read the content. Add guardians from the browser the capsule was created in.</small>
+          </div>
+          
+          <div className="button-group">
+            <button onClick={addGuardians} disabled={isLoading || !account}>
+              🛡️ Add Guardians
+            </button>
           </div>
           
           <div className="form-group">
@@ -646,7 +1682,7 @@ export default function App() {
               placeholder="Enter the exact passphrase used during creation" 
               disabled={isLoading}
             />
-            <small>🔑 Same passphrase works on any device</small>
+            <small>🔑 Same passphrase works on any device • Not needed for wallet-key capsules</small>
           </div>
           
           <button onClick={revealCapsule} disabled={isLoading || !account} className="reveal-btn">
@@ -677,7 +1713,7 @@ export default function App() {
                           <div className="file-details">
                             {file.type || 'Unknown'} • {(file.size / 1024).toFixed(1)} KB
                             <br />
-                            <small>🌐 IPFS: Cross-device compatible {file.verified ? '✅' : '❓'}</small>
+                            <small>🌐 IPFS: Cross-device compatible {file.verified ? '✅' : '❓'} {file.encryption ? '🔒 Encrypted' : '⚠️ Unencrypted'}</small>
                           </div>
                         </div>
                         <button 
@@ -710,6 +1746,26 @@ export default function App() {
               )}
             </div>
           )}
+
+          {timeline.length > 0 && (
+            <div className="timeline">
+              <h4>📚 Timeline</h4>
+              {timeline.map(entry => (
+                <div key={entry.index} className={`timeline-entry ${entry.state}`}>
+                  <div className="timeline-date">
+                    {entry.state === "open" ? "🔓" : "🔒"} Section {entry.index + 1} • {new Date(entry.unlockTime * 1000).toLocaleString()}
+                  </div>
+                  {entry.index === 0 && <small>The capsule contents shown above.</small>}
+                  {entry.index > 0 && entry.state === "open" && (
+                    <div className="message-box">{entry.content.text}</div>
+                  )}
+                  {entry.state === "locked" && <small>Opens {new Date(entry.unlockTime * 1000).toLocaleString()}</small>}
+                  {entry.state === "awaiting-key" && <small>⏳ Unlocked - this section's time key opens with the next beacon round, in a moment.</small>}
+                  {entry.state === "error" && <small>❌ {entry.error}</small>}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       </div>
 
@@ -881,7 +1937,7 @@ export default function App() {
           cursor: not-allowed;
         }
         
-        input, textarea {
+        input, textarea, select {
           width: 100%;
           padding: 12px;
           background: #262626;
@@ -893,7 +1949,7 @@ export default function App() {
           box-sizing: border-box;
         }
         
-        input:focus, textarea:focus {
+        input:focus, textarea:focus, select:focus {
           outline: none;
           border-color: #0095f6;
         }
@@ -974,6 +2030,40 @@ export default function App() {
           background: #333;
         }
         
+        .section-row {
+          display: flex;
+          align-items: flex-start;
+          gap: 10px;
+          margin-bottom: 10px;
+        }
+        
+        .section-fields {
+          flex: 1;
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+        
+        .share-box {
+          margin-top: 15px;
+          padding: 12px;
+          background: #262626;
+          border: 1px solid #333;
+          border-radius: 8px;
+        }
+        
+        .share-row {
+          display: flex;
+          gap: 10px;
+          margin-top: 8px;
+        }
+        
+        .share-row input {
+          flex: 1;
+          font-family: monospace;
+          font-size: 12px;
+        }
+        
         .button-group {
           display: grid;
           grid-template-columns: 1fr 1fr;
@@ -1036,6 +2126,45 @@ export default function App() {
           text-align: center;
         }
         
+        .timeline {
+          margin-top: 25px;
+          padding: 20px;
+          background: #262626;
+          border-radius: 12px;
+          border: 1px solid #333;
+        }
+        
+        .timeline h4 {
+          margin-top: 0;
+          color: #ffffff;
+        }
+        
+        .timeline-entry {
+          position: relative;
+          padding: 0 0 15px 20px;
+          border-left: 2px solid #27ae60;
+        }
+        
+        .timeline-entry:last-child {
+          padding-bottom: 0;
+        }
+        
+        .timeline-entry.locked,
+        .timeline-entry.awaiting-key {
+          border-left-color: #555;
+          color: #888;
+        }
+        
+        .timeline-entry.error {
+          border-left-color: #e74c3c;
+        }
+        
+        .timeline-date {
+          margin-bottom: 8px;
+          font-weight: 500;
+          color: #e0e0e0;
+        }
+        
         .text-content {
           margin-bottom: 20px;
         }
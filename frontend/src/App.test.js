@@ -1,9 +1,263 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
 import App from './App';
+import { viewFunction, getConfig, waitForTransaction, CAPSULE_EVENTS } from './utils/aptos';
+import { deriveKeyPairFromSeed, bytesToHex } from './utils/crypto';
+import { sealWithTimeKey, saveTimeKey, loadTimeKey, openSealedTimeKey, sealTimeKeyToDeadline } from './utils/timelock';
+import { createLocalBeacon, getBeacon } from './utils/beacon';
 
-test('renders learn react link', () => {
+// Views answer from a table keyed by the function's name, so the app renders without a node
+jest.mock('./utils/aptos', () => ({
+  ...jest.requireActual('./utils/aptos'),
+  viewFunction: jest.fn(),
+  getConfig: jest.fn(),
+  waitForTransaction: jest.fn()
+}));
+
+// Capsules are sealed to the offline stand-in beacon rather than drand
+jest.mock('./utils/beacon', () => {
+  const beacon = jest.requireActual('./utils/beacon');
+  const local = beacon.createLocalBeacon();
+  return { ...beacon, getBeacon: () => local };
+});
+
+const SENDER = `0x${'12'.repeat(32)}`;
+const RECEIVER = `0x${'45'.repeat(32)}`;
+
+// The lists a connected wallet loads, all empty
+const EMPTY_LISTS = {
+  inbox_count: ['0'],
+  inbox: [[]],
+  outbox_count: ['0'],
+  outbox: [[]],
+  guarding_count: ['0'],
+  guarding: [[]]
+};
+
+const connectWallet = async (address = SENDER) => {
+  window.aptos = {
+    connect: jest.fn(async () => ({ address })),
+    network: jest.fn(async () => 'Testnet'),
+    signAndSubmitTransaction: jest.fn(async () => ({ hash: '0xfeed' }))
+  };
+  render(<App />);
+  await screen.findByText('#7');
+  fireEvent.click(screen.getByRole('button', { name: 'Connect Petra Wallet' }));
+  await screen.findByText('No capsules sent to you yet.');
+};
+
+const mockViews = (views) => {
+  viewFunction.mockImplementation(async (functionName, args) => {
+    const name = functionName.split('::').pop();
+    if (!(name in views)) {
+      throw new Error(`Unexpected view ${name}`);
+    }
+    return typeof views[name] === 'function' ? views[name](...args) : views[name];
+  });
+};
+
+// One public capsule, so the feed shows once the first load is done
+const PUBLIC_FEED = {
+  public_count: ['1'],
+  public_capsules: [[{ id: '7', sender: `0x${'77'.repeat(32)}`, unlock_time: '1700000000', unlocked: true }]]
+};
+
+beforeEach(() => {
+  mockViews(PUBLIC_FEED);
+  getConfig.mockResolvedValue(null);
+});
+
+test('renders the create and reveal forms before a wallet is connected', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText('#7')).toBeInTheDocument();
+
+  expect(screen.getByRole('heading', { name: /Decentralized Time Capsule/ })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Connect Petra Wallet' })).toBeEnabled();
+  expect(screen.getByRole('heading', { name: /Create Time Capsule/ })).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: /Reveal Time Capsule/ })).toBeInTheDocument();
+  // Creating needs a wallet
+  expect(screen.getByRole('button', { name: /Create Cross-Device Capsule/ })).toBeDisabled();
+  expect(viewFunction).toHaveBeenCalledWith(expect.stringMatching(/::public_count$/), []);
+});
+
+const UNLOCK = String(Math.floor(Date.now() / 1000) + 86_400);
+
+// Capsule #0, sent by SENDER to RECEIVER with a time key saved in this browser
+const sentCapsuleViews = async () => {
+  const { timeKey, commitment } = await sealWithTimeKey('c0ffee');
+  saveTimeKey(commitment, timeKey);
+  return {
+    ...PUBLIC_FEED,
+    ...EMPTY_LISTS,
+    get_capsules_len: ['1'],
+    capsule_meta: [SENDER, RECEIVER, UNLOCK, 'text'],
+    capsule_receivers: [[RECEIVER]],
+    capsule_holders: [[RECEIVER]],
+    heartbeat_interval: ['0'],
+    is_unlocked: [false],
+    capsule_visibility: [0],
+    guardians: [[], '0', [], '0'],
+    key_commitment: [`0x${bytesToHex(commitment)}`],
+    segment_unlock_times: [[UNLOCK]]
+  };
+};
+
+// datetime-local inputs take local time without a zone
+const toLocalInput = (ms) => new Date(ms - new Date(ms).getTimezoneOffset() * 60_000).toISOString().slice(0, 16);
+
+describe('adding guardians', () => {
+  const GUARDIANS = [`0x${'a1'.repeat(32)}`, `0x${'a2'.repeat(32)}`];
+
+  let views;
+
+  beforeEach(async () => {
+    const guardianKeys = await Promise.all(GUARDIANS.map((_, i) => deriveKeyPairFromSeed(new Uint8Array(32).fill(i + 1))));
+    views = {
+      ...await sentCapsuleViews(),
+      encryption_key: (address) => [`0x${bytesToHex(guardianKeys[GUARDIANS.indexOf(address)].publicKey)}`]
+    };
+    mockViews(views);
+  });
+
+  afterEach(() => {
+    delete window.aptos;
+    localStorage.clear();
+  });
+
+  const addGuardians = async () => {
+    await connectWallet();
+    fireEvent.change(screen.getByPlaceholderText(/Enter capsule ID/), { target: { value: '0' } });
+    fireEvent.change(screen.getByPlaceholderText(/separate multiple guardians/), { target: { value: GUARDIANS.join(', ') } });
+    fireEvent.change(screen.getByPlaceholderText(/Approvals needed/), { target: { value: '2' } });
+    fireEvent.click(screen.getByRole('button', { name: /Add Guardians/ }));
+  };
+
+  it('splits the time key of a plain capsule between its guardians', async () => {
+    await addGuardians();
+
+    await waitFor(() => expect(window.aptos.signAndSubmitTransaction).toHaveBeenCalled());
+    const [{ function: entryFunction, arguments: args }] = window.aptos.signAndSubmitTransaction.mock.calls[0];
+    expect(entryFunction).toMatch(/::time_capsule::add_guardians$/);
+    const [capsuleId, newGuardians, threshold, wrappedShares, shareHashes] = args;
+    expect([capsuleId, newGuardians, threshold]).toEqual(['0', GUARDIANS, '2']);
+    expect(wrappedShares).toHaveLength(2);
+    expect(shareHashes).toHaveLength(2);
+    expect(await screen.findByText(/Guardians updated for capsule #0/)).toBeInTheDocument();
+  });
+
+  it('turns away staged capsules, whose sections have their own time keys', async () => {
+    mockViews({ ...views, segment_unlock_times: [[UNLOCK, String(Number(UNLOCK) + 86_400)]] });
+    await addGuardians();
+
+    expect(await screen.findByText(/is staged/)).toBeInTheDocument();
+    expect(window.aptos.signAndSubmitTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('creating a capsule', () => {
+  afterEach(() => {
+    delete window.aptos;
+    localStorage.clear();
+  });
+
+  it('stores the time key sealed to the unlock time, so the receiver never needs the sender\'s browser', async () => {
+    mockViews({ ...PUBLIC_FEED, ...EMPTY_LISTS });
+    waitForTransaction.mockResolvedValue({ success: true, events: [{ type: CAPSULE_EVENTS.CREATED, data: { id: '0' } }] });
+    const unlock = new Date(Date.now() + 86_400_000);
+    unlock.setSeconds(0, 0);
+
+    await connectWallet();
+    fireEvent.change(screen.getByPlaceholderText(/separate multiple receivers/), { target: { value: RECEIVER } });
+    fireEvent.change(screen.getByPlaceholderText(/Enter your secret message/), { target: { value: 'See you next year' } });
+    const unlockInput = screen.getAllByDisplayValue('').find((input) => input.type === 'datetime-local');
+    fireEvent.change(unlockInput, { target: { value: toLocalInput(unlock.getTime()) } });
+    fireEvent.change(screen.getByPlaceholderText(/Enter a strong passphrase/), { target: { value: 'passphrase' } });
+    fireEvent.click(screen.getByRole('button', { name: /Create Cross-Device Capsule/ }));
+
+    await waitFor(() => expect(window.aptos.signAndSubmitTransaction).toHaveBeenCalled(), { timeout: 5000 });
+    const [{ function: entryFunction, arguments: args }] = window.aptos.signAndSubmitTransaction.mock.calls[0];
+    expect(entryFunction).toMatch(/::time_capsule::create_capsule$/);
+    const [, unlockSeconds, , , commitment, sealedTimeKey] = args;
+    expect(unlockSeconds).toBe(String(unlock.getTime() / 1000));
+    expect(await screen.findByText(/Time Capsule Created Successfully/)).toBeInTheDocument();
+
+    // After the unlock time anyone can recover the key from the chain alone
+    const later = createLocalBeacon({ now: () => unlock.getTime() + 3_600_000 });
+    const sealed = Uint8Array.from(sealedTimeKey);
+    expect(await openSealedTimeKey(sealed, () => later)).toBe(loadTimeKey(Uint8Array.from(commitment)));
+    const early = createLocalBeacon({ now: () => unlock.getTime() - 60_000 });
+    await expect(openSealedTimeKey(sealed, () => early)).rejects.toThrow();
+  });
+});
+
+describe('rescheduling a capsule', () => {
+  afterEach(() => {
+    delete window.aptos;
+    localStorage.clear();
+  });
+
+  it('reseals the time key to the new unlock time', async () => {
+    const views = await sentCapsuleViews();
+    mockViews(views);
+    const later = (Number(UNLOCK) + 86_400) * 1000;
+
+    await connectWallet();
+    fireEvent.change(screen.getByPlaceholderText(/Enter capsule ID/), { target: { value: '0' } });
+    const newUnlockInput = screen.getAllByDisplayValue('').filter((input) => input.type === 'datetime-local').pop();
+    fireEvent.change(newUnlockInput, { target: { value: toLocalInput(later) } });
+    fireEvent.click(screen.getByRole('button', { name: /Reschedule \/ Consent/ }));
+
+    await waitFor(() => expect(window.aptos.signAndSubmitTransaction).toHaveBeenCalled());
+    const [{ function: entryFunction, arguments: args }] = window.aptos.signAndSubmitTransaction.mock.calls[0];
+    expect(entryFunction).toMatch(/::time_capsule::update_unlock_time$/);
+    const [capsuleId, newUnlockSeconds, sealedTimeKey] = args;
+    expect([capsuleId, newUnlockSeconds]).toEqual(['0', String(Math.floor(later / 60_000) * 60)]);
+
+    // Still locked at the old unlock time, open at the new one
+    const timeKey = loadTimeKey(views.key_commitment[0]);
+    const sealed = Uint8Array.from(sealedTimeKey);
+    const atOldTime = createLocalBeacon({ now: () => Number(UNLOCK) * 1000 + 3_600_000 });
+    await expect(openSealedTimeKey(sealed, () => atOldTime)).rejects.toThrow();
+    const atNewTime = createLocalBeacon({ now: () => Number(newUnlockSeconds) * 1000 + 3_600_000 });
+    expect(await openSealedTimeKey(sealed, () => atNewTime)).toBe(timeKey);
+  });
+});
+
+describe('publishing a section\'s time key', () => {
+  afterEach(() => {
+    delete window.aptos;
+    localStorage.clear();
+  });
+
+  it('lets anyone publish it from the copy sealed to the section\'s unlock time', async () => {
+    const views = await sentCapsuleViews();
+    const now = Math.floor(Date.now() / 1000);
+    const sectionUnlock = now - 3600;
+    const { timeKey: sectionKey, commitment: sectionCommitment } = await sealWithTimeKey('0b0e');
+    const sealedSectionKey = await sealTimeKeyToDeadline(sectionKey, sectionUnlock, getBeacon());
+    mockViews({
+      ...views,
+      capsule_meta: [SENDER, RECEIVER, String(now - 7200), 'text'],
+      is_unlocked: [true],
+      time_key: ['0xc0ffee'],
+      segment_unlock_times: [[String(now - 7200), String(sectionUnlock)]],
+      segment_time_keys: [
+        [views.key_commitment[0], `0x${bytesToHex(sectionCommitment)}`],
+        ['0xc0ffee', '0x'],
+        ['0x5ea1ed', `0x${bytesToHex(sealedSectionKey)}`]
+      ]
+    });
+    // Neither the sender nor a receiver, and without the key in this browser
+    localStorage.clear();
+
+    await connectWallet(`0x${'b0'.repeat(32)}`);
+    fireEvent.change(screen.getByPlaceholderText(/Enter capsule ID/), { target: { value: '0' } });
+    fireEvent.click(screen.getByRole('button', { name: /Publish Time Key/ }));
+
+    await waitFor(() => expect(window.aptos.signAndSubmitTransaction).toHaveBeenCalled());
+    const [{ function: entryFunction, arguments: args }] = window.aptos.signAndSubmitTransaction.mock.calls[0];
+    expect(entryFunction).toMatch(/::time_capsule::publish_segment_time_key$/);
+    expect(args.slice(0, 2)).toEqual(['0', '1']);
+    expect(bytesToHex(Uint8Array.from(args[2]))).toBe(sectionKey);
+  });
 });
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { getConfig, describeTransactionError, waitForTransaction, formatAddress, isValidAddress, aptToOctas, formatAssetAmount, APT_METADATA_ADDRESS, MODULE_ADDRESS } from "../utils/aptos";
+
+const fn = (name) => `${MODULE_ADDRESS}::time_capsule::${name}`;
+
+// Addresses from views and wallets differ in case and leading zeros
+const sameAddress = (a, b) => !!a && !!b && a.replace(/^0x0*/i, "").toLowerCase() === b.replace(/^0x0*/i, "").toLowerCase();
+
+// Module settings for the admin: pause creation, payload size cap, content types, fee and admin rotation.
+// Rendered only for the admin, or for a pending admin who still has to accept.
+export default function AdminPanel({ account }) {
+  const [config, setConfig] = useState(null);
+  const [maxPayloadSize, setMaxPayloadSize] = useState("");
+  const [contentTypes, setContentTypes] = useState("");
+  const [feeApt, setFeeApt] = useState("");
+  const [treasury, setTreasury] = useState("");
+  const [newAdmin, setNewAdmin] = useState("");
+  const [notice, setNotice] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadConfig = useCallback(async () => {
+    if (!account) return;
+    try {
+      const loaded = await getConfig();
+      setConfig(loaded);
+      if (!loaded) {
+        return; // No Config deployed - nothing to administer
+      }
+      setMaxPayloadSize(String(loaded.maxPayloadSize));
+      setContentTypes(loaded.allowedContentTypes.join(", "));
+      setFeeApt(formatAssetAmount(APT_METADATA_ADDRESS, loaded.creationFee).replace(/ APT$/, ""));
+      setTreasury(loaded.treasury);
+    } catch (err) {
+      console.error("Load config error:", err);
+      setConfig(null);
+    }
+  }, [account]);
+
+  useEffect(() => {
+    loadConfig();
+  }, [loadConfig]);
+
+  const submit = async (name, args, successMessage) => {
+    setIsSubmitting(true);
+    setNotice("");
+    try {
+      const tx = await window.aptos.signAndSubmitTransaction({
+        type: "entry_function_payload",
+        function: fn(name),
+        type_arguments: [],
+        arguments: args
+      });
+      await waitForTransaction(tx.hash);
+      setNotice(`✅ ${successMessage}`);
+      loadConfig();
+    } catch (err) {
+      console.error(`${name} error:`, err);
+      setNotice(`❌ Failed: ${describeTransactionError(err)}`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const togglePause = () => {
+    const paused = !config.paused;
+    if (paused && !window.confirm("Pause capsule creation?\n\nExisting capsules still unlock and can be claimed or cancelled.")) {
+      return;
+    }
+    submit("set_paused", [paused], paused ? "Capsule creation paused" : "Capsule creation resumed");
+  };
+
+  const saveMaxPayloadSize = () => {
+    const size = Number(maxPayloadSize);
+    if (!Number.isInteger(size) || size <= 0) {
+      return setNotice("❌ Max payload size must be a whole number of bytes");
+    }
+    submit("set_max_payload_size", [String(size)], `Max payload size set to ${size} bytes`);
+  };
+
+  const saveContentTypes = () => {
+    const types = [...new Set(contentTypes.split(",").map(t => t.trim()).filter(Boolean))];
+    submit(
+      "set_allowed_content_types",
+      [types],
+      types.length > 0 ? `Allowed content types: ${types.join(", ")}` : "Any content type is now allowed"
+    );
+  };
+
+  const saveFee = () => {
+    let octas;
+    try {
+      octas = aptToOctas(feeApt || "0");
+    } catch (err) {
+      return setNotice(`❌ ${err.message}`);
+    }
+    if (!isValidAddress(treasury)) {
+      return setNotice("❌ Invalid treasury address");
+    }
+    submit("set_creation_fee", [octas, treasury], `Creation fee set to ${formatAssetAmount(APT_METADATA_ADDRESS, octas)}`);
+  };
+
+  const transferAdmin = () => {
+    if (!isValidAddress(newAdmin)) {
+      return setNotice("❌ Invalid address");
+    }
+    if (!window.confirm(`Hand over admin rights to ${newAdmin}?\n\nThey take effect once that account accepts.`)) {
+      return;
+    }
+    submit("transfer_admin", [newAdmin], `Admin transfer proposed - ${formatAddress(newAdmin)} has to accept it`);
+  };
+
+  if (!config) {
+    return null;
+  }
+  const isAdmin = sameAddress(account, config.admin);
+  const isPendingAdmin = sameAddress(account, config.pendingAdmin);
+  if (!isAdmin && !isPendingAdmin) {
+    return null;
+  }
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-header">
+        <h3>⚙️ Admin</h3>
+        <button className="refresh-btn" onClick={loadConfig} disabled={isSubmitting}>
+          🔄
+        </button>
+      </div>
+
+      {notice && <div className="admin-notice">{notice}</div>}
+
+      {isPendingAdmin && (
+        <div className="admin-row">
+          <span>You have been proposed as the new admin.</span>
+          <button onClick={() => submit("accept_admin", [], "You are now the admin")} disabled={isSubmitting} className="primary-btn">
+            Accept Admin Role
+          </button>
+        </div>
+      )}
+
+      {isAdmin && (
+        <>
+          <div className="admin-row">
+            <span>Capsule creation: {config.paused ? "⏸️ Paused" : "▶️ Open"}</span>
+            <button onClick={togglePause} disabled={isSubmitting} className={config.paused ? "primary-btn" : "warning-btn"}>
+              {config.paused ? "Resume" : "Pause"}
+            </button>
+          </div>
+
+          <div className="admin-row">
+            <label>Max payload size (bytes):</label>
+            <input type="number" min="1" value={maxPayloadSize} onChange={e => setMaxPayloadSize(e.target.value)} disabled={isSubmitting} />
+            <button onClick={saveMaxPayloadSize} disabled={isSubmitting}>Save</button>
+          </div>
+
+          <div className="admin-row">
+            <label>Allowed content types:</label>
+            <input type="text" placeholder="Empty allows any" value={contentTypes} onChange={e => setContentTypes(e.target.value)} disabled={isSubmitting} />
+            <button onClick={saveContentTypes} disabled={isSubmitting}>Save</button>
+          </div>
+
+          <div className="admin-row">
+            <label>Creation fee (APT):</label>
+            <input type="text" inputMode="decimal" placeholder="0" value={feeApt} onChange={e => setFeeApt(e.target.value)} disabled={isSubmitting} />
+            <input type="text" placeholder="Treasury 0x..." value={treasury} onChange={e => setTreasury(e.target.value)} disabled={isSubmitting} />
+            <button onClick={saveFee} disabled={isSubmitting}>Save</button>
+          </div>
+
+          <div className="admin-row">
+            <label>Transfer admin:</label>
+            <input type="text" placeholder="New admin 0x..." value={newAdmin} onChange={e => setNewAdmin(e.target.value)} disabled={isSubmitting} />
+            <button onClick={transferAdmin} disabled={isSubmitting} className="warning-btn">Propose</button>
+          </div>
+          {config.pendingAdmin && (
+            <small>⏳ Waiting for {formatAddress(config.pendingAdmin)} to accept the admin role</small>
+          )}
+        </>
+      )}
+
+      <style jsx>{`
+        .admin-panel {
+          margin-bottom: 30px;
+          padding: 20px;
+          border: 1px solid #333;
+          border-radius: 8px;
+          background: #1e1e1e;
+          color: #e0e0e0;
+        }
+
+        .admin-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .admin-header h3 {
+          margin: 0;
+          color: #ffffff;
+        }
+
+        .refresh-btn {
+          padding: 8px 14px;
+          background: #262626;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .admin-row {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          padding: 12px 0;
+          border-bottom: 1px solid #333;
+        }
+
+        .admin-row label {
+          min-width: 180px;
+          font-size: 14px;
+        }
+
+        .admin-row input {
+          flex: 1;
+          min-width: 0;
+          padding: 6px 10px;
+          background: #262626;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 6px;
+        }
+
+        .admin-row button {
+          padding: 6px 14px;
+          background: #262626;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .admin-row .primary-btn {
+          background: #27ae60;
+          color: white;
+          border: none;
+        }
+
+        .admin-row .warning-btn {
+          color: #f39c12;
+          border-color: #f39c12;
+        }
+
+        .admin-row button:disabled {
+          cursor: not-allowed;
+          opacity: 0.5;
+        }
+
+        .admin-panel small {
+          display: block;
+          margin-top: 10px;
+          color: #b0b0b0;
+        }
+
+        .admin-notice {
+          padding: 10px 0;
+          color: #b0b0b0;
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,346 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { viewFunction, formatAddress, MODULE_ADDRESS } from "../utils/aptos";
+
+const PAGE_SIZE = 10;
+
+const BOXES = {
+  inbox: { label: "📥 Inbox", count: "inbox_count", page: "inbox" },
+  outbox: { label: "📤 Outbox", count: "outbox_count", page: "outbox" }
+};
+
+// A dead man's switch needs a check-in once less than a fifth of its interval is left
+export const isCheckInDue = (remaining, interval) => interval > 0 && remaining > 0 && remaining <= interval / 5;
+
+// Countdown text for a capsule that is still locked
+const formatCountdown = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  return days > 0
+    ? `${days}d ${hours}h ${minutes}m`
+    : `${hours}h ${minutes}m ${secs}s`;
+};
+
+export default function CapsuleList({ account, onSelect, onCheckIn }) {
+  const [box, setBox] = useState("inbox");
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [capsules, setCapsules] = useState([]);
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  const loadPage = useCallback(async () => {
+    if (!account) return;
+    setIsLoading(true);
+    setError("");
+    try {
+      const fn = (name) => `${MODULE_ADDRESS}::time_capsule::${name}`;
+      const [countRes, pageRes] = await Promise.all([
+        viewFunction(fn(BOXES[box].count), [account]),
+        viewFunction(fn(BOXES[box].page), [account, String(page * PAGE_SIZE), String(PAGE_SIZE)])
+      ]);
+      setTotal(Number(countRes[0]));
+      setCapsules((pageRes[0] || []).map(c => ({
+        ...c,
+        id: Number(c.id),
+        unlock_time: Number(c.unlock_time),
+        heartbeat_interval: Number(c.heartbeat_interval)
+      })));
+    } catch (err) {
+      console.error("Load capsules error:", err);
+      setError(err.message);
+      setCapsules([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [account, box, page]);
+
+  useEffect(() => {
+    loadPage();
+  }, [loadPage]);
+
+  // Tick every second so the countdowns stay live
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const switchBox = (next) => {
+    setBox(next);
+    setPage(0);
+  };
+
+  if (!account) {
+    return null;
+  }
+
+  const checkIn = async (id) => {
+    await onCheckIn(id);
+    loadPage();
+  };
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const dueCount = box === "outbox"
+    ? capsules.filter(c => !c.unlocked && isCheckInDue(c.unlock_time - now, c.heartbeat_interval)).length
+    : 0;
+
+  return (
+    <div className="capsule-list">
+      <div className="list-header">
+        <h3>📬 My Capsules</h3>
+        <div className="tabs">
+          {Object.entries(BOXES).map(([key, { label }]) => (
+            <button
+              key={key}
+              className={box === key ? "tab active" : "tab"}
+              onClick={() => switchBox(key)}
+              disabled={isLoading}
+            >
+              {label}
+            </button>
+          ))}
+          <button className="tab" onClick={loadPage} disabled={isLoading}>
+            🔄
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="list-error">❌ {error}</div>}
+
+      {dueCount > 0 && (
+        <div className="list-warning">
+          ⚠️ {dueCount} dead man's switch {dueCount === 1 ? "capsule needs" : "capsules need"} a check-in soon, or {dueCount === 1 ? "it opens" : "they open"} for the receivers.
+        </div>
+      )}
+
+      {!error && capsules.length === 0 && (
+        <div className="list-empty">
+          {isLoading ? "Loading..." : box === "inbox" ? "No capsules sent to you yet." : "You haven't sent any capsules yet."}
+        </div>
+      )}
+
+      {capsules.map(capsule => {
+        const remaining = capsule.unlock_time - now;
+        // Guardians can open a capsule before its unlock time
+        const isLocked = !capsule.unlocked && remaining > 0;
+        const isSwitch = capsule.heartbeat_interval > 0;
+        const due = box === "outbox" && isLocked && isCheckInDue(remaining, capsule.heartbeat_interval);
+        const counterpart = box === "inbox"
+          ? `From ${formatAddress(capsule.sender)}`
+          : `To ${capsule.receivers.map(r => formatAddress(r)).join(", ")}`;
+        return (
+          <div key={capsule.id} className="list-row">
+            <div className="row-main">
+              <strong>#{capsule.id}</strong>
+              <span className="row-type">{capsule.content_type}</span>
+              {isSwitch && <span className="row-type" title="Dead man's switch">💓</span>}
+              <span className="row-counterpart" title={box === "inbox" ? capsule.sender : capsule.receivers.join(", ")}>
+                {counterpart}
+              </span>
+            </div>
+            <div className="row-state">
+              {isLocked
+                ? <span className={due ? "locked due" : "locked"}>{due ? "⚠️" : "🔒"} {formatCountdown(remaining)}</span>
+                : <span className="unlocked">🔓 Unlocked</span>}
+              {onCheckIn && box === "outbox" && isSwitch && isLocked && (
+                <button onClick={() => checkIn(capsule.id)} className="checkin-btn">
+                  💓 Check In
+                </button>
+              )}
+              {onSelect && (
+                <button onClick={() => onSelect(capsule.id)} className="open-btn">
+                  Open
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      {total > PAGE_SIZE && (
+        <div className="pager">
+          <button onClick={() => setPage(p => p - 1)} disabled={isLoading || page === 0}>
+            ◀ Newer
+          </button>
+          <span>Page {page + 1} / {pageCount} • {total} capsules</span>
+          <button onClick={() => setPage(p => p + 1)} disabled={isLoading || page + 1 >= pageCount}>
+            Older ▶
+          </button>
+        </div>
+      )}
+
+      <style jsx>{`
+        .capsule-list {
+          margin-bottom: 30px;
+          padding: 20px;
+          border: 1px solid #333;
+          border-radius: 8px;
+          background: #1e1e1e;
+          color: #e0e0e0;
+        }
+
+        .list-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 10px;
+          margin-bottom: 15px;
+        }
+
+        .list-header h3 {
+          margin: 0;
+          color: #ffffff;
+        }
+
+        .tabs {
+          display: flex;
+          gap: 8px;
+        }
+
+        .tab {
+          padding: 8px 14px;
+          background: #262626;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .tab.active {
+          background: #0095f6;
+          border-color: #0095f6;
+          color: white;
+        }
+
+        .tab:disabled {
+          cursor: not-allowed;
+        }
+
+        .list-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 10px;
+          padding: 12px 0;
+          border-bottom: 1px solid #333;
+        }
+
+        .list-row:last-of-type {
+          border-bottom: none;
+        }
+
+        .row-main {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          min-width: 0;
+        }
+
+        .row-type {
+          padding: 2px 8px;
+          background: #262626;
+          border-radius: 4px;
+          font-size: 12px;
+          color: #b0b0b0;
+        }
+
+        .row-counterpart {
+          font-family: monospace;
+          font-size: 13px;
+          color: #b0b0b0;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .row-state {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          white-space: nowrap;
+        }
+
+        .locked {
+          color: #f39c12;
+          font-family: monospace;
+        }
+
+        .locked.due {
+          color: #e74c3c;
+        }
+
+        .unlocked {
+          color: #27ae60;
+        }
+
+        .checkin-btn {
+          padding: 6px 14px;
+          background: #262626;
+          color: #e74c3c;
+          border: 1px solid #e74c3c;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .list-warning {
+          margin-bottom: 10px;
+          padding: 10px 12px;
+          background: #3a1a1a;
+          border: 1px solid #e74c3c;
+          border-radius: 6px;
+          color: #e74c3c;
+        }
+
+        .open-btn {
+          padding: 6px 14px;
+          background: #27ae60;
+          color: white;
+          border: none;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .open-btn:hover {
+          background: #219955;
+        }
+
+        .list-empty,
+        .list-error {
+          padding: 15px 0;
+          color: #b0b0b0;
+          text-align: center;
+        }
+
+        .list-error {
+          color: #e74c3c;
+        }
+
+        .pager {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-top: 15px;
+          font-size: 13px;
+          color: #b0b0b0;
+        }
+
+        .pager button {
+          padding: 6px 12px;
+          background: #262626;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .pager button:disabled {
+          cursor: not-allowed;
+          opacity: 0.5;
+        }
+      `}</style>
+    </div>
+  );
+}
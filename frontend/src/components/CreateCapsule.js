@@ -1,10 +1,13 @@
 import React, { useState, useRef } from "react";
 import { AptosClient } from "aptos";
-import { encryptText, hexToBytes } from "../utils/crypto";
+import { encryptText, encryptFile, encryptTextForRecipient, hexToBytes } from "../utils/crypto";
+import { CONTENT_VERSION } from "../utils/envelope";
+import { sealWithTimeKey, saveTimeKey, sealTimeKeyToDeadline } from "../utils/timelock";
+import { getBeacon } from "../utils/beacon";
 import { uploadToIPFS } from "../utils/ipfs";
+import { MODULE_ADDRESS, getCreatedCapsuleId, getCapsuleShareLink, describeTransactionError } from "../utils/aptos";
 
 const NODE_URL = "https://fullnode.testnet.aptoslabs.com";
-const MODULE_ADDRESS = "0x40584014251cc83138a7bfb2b83c13ed3b227bff6d481238f586216b69cec2f6";
 
 export default function CreateCapsule({ account }) {
   const client = new AptosClient(NODE_URL);
@@ -12,6 +15,7 @@ export default function CreateCapsule({ account }) {
   const [message, setMessage] = useState("");
   const [unlockMinutes, setUnlockMinutes] = useState(60);
   const [passphrase, setPassphrase] = useState("");
+  const [encryptionMode, setEncryptionMode] = useState("passphrase"); // "passphrase" | "recipient"
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [status, setStatus] = useState("");
   const [isLoading, setIsLoading] = useState(false);
@@ -42,7 +46,7 @@ export default function CreateCapsule({ account }) {
         setIsLoading(false);
         return;
       }
-      if (!passphrase.trim()) {
+      if (encryptionMode === "passphrase" && !passphrase.trim()) {
         setStatus("Please enter a passphrase");
         setIsLoading(false);
         return;
@@ -56,19 +60,38 @@ export default function CreateCapsule({ account }) {
       const unlockTime = Math.floor(Date.now() / 1000) + (unlockMinutes * 60);
       const trimmedPassphrase = passphrase.trim();
       
-      setStatus("Uploading files to IPFS...");
+      let recipientKey = "";
+      if (encryptionMode === "recipient") {
+        const response = await client.view({
+          function: `${MODULE_ADDRESS}::time_capsule::encryption_key`,
+          type_arguments: [],
+          arguments: [receiver]
+        });
+        recipientKey = (response[0] || "").replace(/^0x/, "");
+        if (!recipientKey) {
+          setStatus("❌ The receiver has not registered an encryption key. Use passphrase mode or ask them to register one.");
+          setIsLoading(false);
+          return;
+        }
+      }
       
-      // Upload files to IPFS
+      setStatus("Encrypting and uploading files to IPFS...");
+      
+      // Encrypt each file with its own key, then upload the ciphertext to IPFS
       let fileData = [];
       for (let file of selectedFiles) {
         try {
+          setStatus(`Encrypting ${file.name}...`);
+          const encrypted = await encryptFile(file);
+          
           setStatus(`Uploading ${file.name} to IPFS...`);
-          const ipfsHash = await uploadToIPFS(file);
+          const ipfsHash = await uploadToIPFS(encrypted.file);
           fileData.push({
             name: file.name,
             type: file.type,
             size: file.size,
-            ipfsHash: ipfsHash
+            ipfsHash: ipfsHash,
+            encryption: { cipher: 'AES-256-GCM', key: encrypted.key }
           });
           setStatus(`🟢 Uploaded ${file.name}: ${ipfsHash}`);
         } catch (error) {
@@ -83,7 +106,8 @@ export default function CreateCapsule({ account }) {
       const content = {
         text: message.trim(),
         files: fileData,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        version: CONTENT_VERSION
       };
 
       // Determine content type
@@ -98,13 +122,21 @@ export default function CreateCapsule({ account }) {
       
       // Encrypt the entire content object as JSON
       const contentJson = JSON.stringify(content);
-      console.log("Content to encrypt:", contentJson);
+      console.log("Content to encrypt:", { textLength: content.text.length, files: fileData.length });
+      
+      const encryptedHex = encryptionMode === "recipient"
+        ? await encryptTextForRecipient(contentJson, recipientKey)
+        : await encryptText(contentJson, trimmedPassphrase);
+      console.log("Encrypted hex length:", encryptedHex.length);
       
-      const encryptedHex = encryptText(contentJson, trimmedPassphrase);
-      console.log("Encrypted hex:", encryptedHex);
+      // Seal with a time key that is published on-chain after unlock; a copy sealed to the unlock
+      // time lets the receiver open the capsule even if the sender never publishes it
+      const { sealedHex, timeKey, commitment } = await sealWithTimeKey(encryptedHex);
+      saveTimeKey(commitment, timeKey);
+      const sealedTimeKey = await sealTimeKeyToDeadline(timeKey, unlockTime, getBeacon());
       
       // Convert hex to bytes for the smart contract
-      const encryptedBytes = hexToBytes(encryptedHex);
+      const encryptedBytes = hexToBytes(sealedHex);
       console.log("Encrypted bytes length:", encryptedBytes.length);
 
       setStatus("Creating capsule on blockchain...");
@@ -117,26 +149,33 @@ export default function CreateCapsule({ account }) {
           receiver,
           unlockTime.toString(),
           encryptedBytes,
-          contentType
+          contentType,
+          commitment,
+          sealedTimeKey
         ]
       };
 
       const tx = await window.aptos.signAndSubmitTransaction(payload);
       console.log("Transaction submitted:", tx.hash);
       
-      // Wait for transaction confirmation
-      await client.waitForTransaction(tx.hash);
+      // Wait for transaction confirmation; the new capsule id comes from its CapsuleCreated event
+      const capsuleId = getCreatedCapsuleId(await client.waitForTransactionWithResult(tx.hash, { checkSuccess: true }));
       
       setStatus(
         `🟢 Capsule Created Successfully!\n\n` +
+        (capsuleId !== null
+          ? `Capsule ID: #${capsuleId} - the receiver enters this to open it\nShare link: ${getCapsuleShareLink(capsuleId)}\n`
+          : '') +
         `Transaction: ${tx.hash}\n` +
         `Content Type: ${contentType}\n` +
         `Text Message: ${content.text ? 'Yes' : 'No'}\n` +
         `Files Attached: ${fileData.length}\n` +
         `Unlocks in: ${unlockMinutes} minutes\n` +
         `Unlock time: ${new Date(unlockTime * 1000).toLocaleString()}\n\n` +
-        `🔑 Remember your passphrase: "${trimmedPassphrase}"\n` +
-        `Share this passphrase securely with the receiver!\n\n` +
+        (encryptionMode === "recipient"
+          ? `🔑 Encrypted to the receiver's wallet key - no passphrase to share.\n\n`
+          : `🔑 Share the passphrase with the receiver through a separate secure channel!\n\n`) +
+        `⏳ Time key (sealed to the unlock time, and saved in this browser): ${timeKey}\n\n` +
         `File Details:\n${fileData.map(f => `- ${f.name} (${(f.size/1024).toFixed(1)} KB)`).join('\n')}`
       );
       
@@ -147,7 +186,7 @@ export default function CreateCapsule({ account }) {
       
     } catch (err) {
       console.error("Create capsule error:", err);
-      setStatus(`❌ Error: ${err.message}\n\nPlease check:\n1. Wallet connection\n2. Network (Testnet)\n3. Sufficient gas fees\n4. IPFS connectivity`);
+      setStatus(`❌ Error: ${describeTransactionError(err)}\n\nPlease check:\n1. Wallet connection\n2. Network (Testnet)\n3. Sufficient gas fees\n4. IPFS connectivity`);
     } finally {
       setIsLoading(false);
     }
@@ -244,16 +283,30 @@ export default function CreateCapsule({ account }) {
       </div>
       
       <div className="form-group">
-        <label>Encryption Passphrase:</label>
-        <input
-          type="password"
-          value={passphrase}
-          onChange={(e) => setPassphrase(e.target.value)}
-          placeholder="Enter a secret passphrase (share with receiver)"
+        <label>Encryption Mode:</label>
+        <select
+          value={encryptionMode}
+          onChange={(e) => setEncryptionMode(e.target.value)}
           disabled={isLoading}
-        />
+        >
+          <option value="passphrase">Shared passphrase</option>
+          <option value="recipient">Receiver's wallet key</option>
+        </select>
       </div>
       
+      {encryptionMode === "passphrase" && (
+        <div className="form-group">
+          <label>Encryption Passphrase:</label>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="Enter a secret passphrase (share with receiver)"
+            disabled={isLoading}
+          />
+        </div>
+      )}
+      
       <button 
         onClick={createCapsule} 
         disabled={isLoading || !account}
@@ -292,7 +345,7 @@ export default function CreateCapsule({ account }) {
     color: #e0e0e0;
   }
   
-  input, textarea {
+  input, textarea, select {
     width: 100%;
     padding: 10px;
     background: #262626;
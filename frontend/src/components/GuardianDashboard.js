@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { viewFunction, waitForTransaction, describeTransactionError, formatAddress, decodeMoveBytes, getCapsuleTimeKey, signEncryptionKeyMessage, MODULE_ADDRESS } from "../utils/aptos";
+import { deriveKeyPairFromSignature, unwrapContentKey, hexToBytes } from "../utils/crypto";
+import { decodeX25519Params } from "../utils/envelope";
+import { TIME_KEY_SHARE_LENGTH } from "../utils/timelock";
+
+const PAGE_SIZE = 10;
+
+const fn = (name) => `${MODULE_ADDRESS}::time_capsule::${name}`;
+
+// Capsules the connected account guards, with approval progress and an approve button.
+// Approving reveals the guardian's share of the capsule's time key; the last approval
+// rebuilds the key from the shares and publishes it.
+export default function GuardianDashboard({ account, onSelect }) {
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [capsules, setCapsules] = useState([]);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [approvingId, setApprovingId] = useState(null);
+
+  const loadPage = useCallback(async () => {
+    if (!account) return;
+    setIsLoading(true);
+    setError("");
+    try {
+      const [countRes, pageRes] = await Promise.all([
+        viewFunction(fn("guarding_count"), [account]),
+        viewFunction(fn("guarding"), [account, String(page * PAGE_SIZE), String(PAGE_SIZE)])
+      ]);
+      const summaries = pageRes[0] || [];
+      // Approval state isn't part of the summary, so fetch it per capsule
+      const details = await Promise.all(summaries.map(c => viewFunction(fn("guardians"), [String(c.id)])));
+      setTotal(Number(countRes[0]));
+      setCapsules(summaries.map((c, i) => {
+        const [guardians, threshold, approvals] = details[i];
+        return {
+          ...c,
+          id: Number(c.id),
+          guardianCount: guardians.length,
+          threshold: Number(threshold),
+          approvals,
+          hasApproved: approvals.some(a => a.toLowerCase() === account.toLowerCase())
+        };
+      }));
+    } catch (err) {
+      console.error("Load guardian capsules error:", err);
+      setError(err.message);
+      setCapsules([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [account, page]);
+
+  useEffect(() => {
+    loadPage();
+  }, [loadPage]);
+
+  const approve = async (capsule) => {
+    const remaining = capsule.threshold - capsule.approvals.length;
+    if (!window.confirm(
+      `Approve opening capsule #${capsule.id} early?\n\n` +
+      (remaining === 1
+        ? "Yours is the last approval needed - the capsule's time key is rebuilt and published, and its receivers can open it with their passphrase or wallet key."
+        : `${remaining - 1} more guardian approvals will still be needed after yours.`)
+    )) {
+      return;
+    }
+
+    setApprovingId(capsule.id);
+    setNotice("");
+    try {
+      // The sender wrapped our share of the time key to our encryption key
+      const [wrappedShare] = await viewFunction(fn("guardian_wrapped_share"), [String(capsule.id), account]);
+      const wrappedHex = decodeMoveBytes(wrappedShare);
+      if (!wrappedHex) {
+        throw new Error("No share of the time key was given to this wallet");
+      }
+      const keyPair = await deriveKeyPairFromSignature(await signEncryptionKeyMessage());
+      const share = await unwrapContentKey(decodeX25519Params(hexToBytes(wrappedHex), TIME_KEY_SHARE_LENGTH), keyPair);
+      
+      const tx = await window.aptos.signAndSubmitTransaction({
+        type: "entry_function_payload",
+        function: fn("approve_early_unlock"),
+        type_arguments: [],
+        arguments: [String(capsule.id), share]
+      });
+      await waitForTransaction(tx.hash);
+      
+      // With ours, enough shares are on-chain to rebuild the time key for the receivers
+      const timeKey = remaining === 1 ? await getCapsuleTimeKey(capsule.id) : "";
+      if (timeKey) {
+        const publishTx = await window.aptos.signAndSubmitTransaction({
+          type: "entry_function_payload",
+          function: fn("publish_time_key"),
+          type_arguments: [],
+          arguments: [String(capsule.id), hexToBytes(timeKey)]
+        });
+        await waitForTransaction(publishTx.hash);
+        setNotice(`✅ Capsule #${capsule.id} unlocked early and its time key published`);
+      } else {
+        setNotice(`✅ Approved early unlock of capsule #${capsule.id}`);
+      }
+      loadPage();
+    } catch (err) {
+      console.error("Approve early unlock error:", err);
+      setNotice(`❌ Failed to approve: ${describeTransactionError(err)}`);
+    } finally {
+      setApprovingId(null);
+    }
+  };
+
+  // Accounts that guard nothing don't need the dashboard
+  if (!account || (total === 0 && !error)) {
+    return null;
+  }
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="guardian-dashboard">
+      <div className="dashboard-header">
+        <h3>🛡️ Guardian Dashboard</h3>
+        <button className="refresh-btn" onClick={loadPage} disabled={isLoading}>
+          🔄
+        </button>
+      </div>
+      <p className="dashboard-help">
+        You are a guardian of these capsules. Approve only when opening early is really warranted - approving reveals your share of the capsule's time key, and once enough guardians approve, the shares rebuild it. The receivers then open the capsule with their own passphrase or wallet key; guardians can't read it.
+      </p>
+
+      {error && <div className="dashboard-error">❌ {error}</div>}
+      {notice && <div className="dashboard-notice">{notice}</div>}
+
+      {capsules.map(capsule => (
+        <div key={capsule.id} className="dashboard-row">
+          <div className="row-main">
+            <strong>#{capsule.id}</strong>
+            <span className="row-sender" title={capsule.sender}>From {formatAddress(capsule.sender)}</span>
+            <span className="row-approvals">
+              {capsule.approvals.length}/{capsule.threshold} approvals • {capsule.guardianCount} guardians
+            </span>
+          </div>
+          <div className="row-state">
+            {capsule.unlocked
+              ? <span className="unlocked">🔓 Open</span>
+              : capsule.hasApproved
+                ? <span className="approved">✅ You approved</span>
+                : (
+                  <button
+                    onClick={() => approve(capsule)}
+                    disabled={approvingId !== null}
+                    className="approve-btn"
+                  >
+                    {approvingId === capsule.id ? "Approving..." : "🛡️ Approve Early Unlock"}
+                  </button>
+                )}
+            {onSelect && (
+              <button onClick={() => onSelect(capsule.id)} className="open-btn">
+                Open
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+
+      {total > PAGE_SIZE && (
+        <div className="pager">
+          <button onClick={() => setPage(p => p - 1)} disabled={isLoading || page === 0}>
+            ◀ Newer
+          </button>
+          <span>Page {page + 1} / {pageCount} • {total} capsules</span>
+          <button onClick={() => setPage(p => p + 1)} disabled={isLoading || page + 1 >= pageCount}>
+            Older ▶
+          </button>
+        </div>
+      )}
+
+      <style jsx>{`
+        .guardian-dashboard {
+          margin-bottom: 30px;
+          padding: 20px;
+          border: 1px solid #333;
+          border-radius: 8px;
+          background: #1e1e1e;
+          color: #e0e0e0;
+        }
+
+        .dashboard-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .dashboard-header h3 {
+          margin: 0;
+          color: #ffffff;
+        }
+
+        .dashboard-help {
+          font-size: 13px;
+          color: #b0b0b0;
+        }
+
+        .refresh-btn {
+          padding: 8px 14px;
+          background: #262626;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .dashboard-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 10px;
+          padding: 12px 0;
+          border-bottom: 1px solid #333;
+        }
+
+        .dashboard-row:last-of-type {
+          border-bottom: none;
+        }
+
+        .row-main {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          min-width: 0;
+        }
+
+        .row-sender {
+          font-family: monospace;
+          font-size: 13px;
+          color: #b0b0b0;
+        }
+
+        .row-approvals {
+          padding: 2px 8px;
+          background: #262626;
+          border-radius: 4px;
+          font-size: 12px;
+          color: #b0b0b0;
+        }
+
+        .row-state {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          white-space: nowrap;
+        }
+
+        .unlocked,
+        .approved {
+          color: #27ae60;
+        }
+
+        .approve-btn {
+          padding: 6px 14px;
+          background: #262626;
+          color: #f39c12;
+          border: 1px solid #f39c12;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .approve-btn:disabled {
+          cursor: not-allowed;
+          opacity: 0.5;
+        }
+
+        .open-btn {
+          padding: 6px 14px;
+          background: #27ae60;
+          color: white;
+          border: none;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .dashboard-error {
+          padding: 15px 0;
+          color: #e74c3c;
+          text-align: center;
+        }
+
+        .dashboard-notice {
+          padding: 10px 0;
+          color: #b0b0b0;
+        }
+
+        .pager {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-top: 15px;
+          font-size: 13px;
+          color: #b0b0b0;
+        }
+
+        .pager button {
+          padding: 6px 12px;
+          background: #262626;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .pager button:disabled {
+          cursor: not-allowed;
+          opacity: 0.5;
+        }
+      `}</style>
+    </div>
+  );
+}
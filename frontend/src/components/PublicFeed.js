@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { viewFunction, formatAddress, MODULE_ADDRESS } from "../utils/aptos";
+
+const PAGE_SIZE = 20;
+// Largest page the public_capsules view returns
+const FETCH_SIZE = 50;
+
+const fn = (name) => `${MODULE_ADDRESS}::time_capsule::${name}`;
+
+// The contract indexes public capsules by creation order, but a feed reader cares about unlock order,
+// so the whole index is loaded and sorted here: most recently unlocked first, then the ones still counting down.
+const byUnlockOrder = (a, b) => {
+  if (a.unlocked !== b.unlocked) {
+    return a.unlocked ? -1 : 1;
+  }
+  return a.unlocked ? b.unlock_time - a.unlock_time : a.unlock_time - b.unlock_time;
+};
+
+// Public capsules in unlock order. Anyone can open these, so the feed doesn't need a connected wallet.
+export default function PublicFeed({ onSelect }) {
+  const [page, setPage] = useState(0);
+  const [capsules, setCapsules] = useState([]);
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadFeed = useCallback(async () => {
+    setIsLoading(true);
+    setError("");
+    try {
+      const countRes = await viewFunction(fn("public_count"), []);
+      const count = Number(countRes[0]);
+      const pages = [];
+      for (let offset = 0; offset < count; offset += FETCH_SIZE) {
+        pages.push(viewFunction(fn("public_capsules"), [String(offset), String(FETCH_SIZE)]));
+      }
+      const all = (await Promise.all(pages)).flatMap(pageRes => pageRes[0] || []);
+      setCapsules(all.map(c => ({
+        ...c,
+        id: Number(c.id),
+        unlock_time: Number(c.unlock_time)
+      })).sort(byUnlockOrder));
+    } catch (err) {
+      console.error("Load public capsules error:", err);
+      setError(err.message);
+      setCapsules([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadFeed();
+  }, [loadFeed]);
+
+  const total = capsules.length;
+  if (total === 0 && !error) {
+    return null;
+  }
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const shown = capsules.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  const unlocked = shown.filter(c => c.unlocked);
+  const upcoming = shown.filter(c => !c.unlocked);
+
+  return (
+    <div className="public-feed">
+      <div className="feed-header">
+        <h3>🌐 Public Feed</h3>
+        <button className="refresh-btn" onClick={loadFeed} disabled={isLoading}>
+          🔄
+        </button>
+      </div>
+      <p className="feed-help">
+        Public capsules are time-locked announcements - anyone can read them once they unlock.
+      </p>
+
+      {error && <div className="feed-error">❌ {error}</div>}
+
+      {unlocked.length > 0 && <h4>🔓 Recently Unlocked</h4>}
+      {unlocked.map(capsule => (
+        <div key={capsule.id} className="feed-row">
+          <div className="row-main">
+            <strong>#{capsule.id}</strong>
+            <span className="row-sender" title={capsule.sender}>From {formatAddress(capsule.sender)}</span>
+            <span className="row-date">Unlocked {new Date(capsule.unlock_time * 1000).toLocaleString()}</span>
+          </div>
+          {onSelect && (
+            <button onClick={() => onSelect(capsule.id)} className="open-btn">
+              Read
+            </button>
+          )}
+        </div>
+      ))}
+
+      {upcoming.length > 0 && <h4>🔒 Coming Up</h4>}
+      {upcoming.map(capsule => (
+        <div key={capsule.id} className="feed-row">
+          <div className="row-main">
+            <strong>#{capsule.id}</strong>
+            <span className="row-sender" title={capsule.sender}>From {formatAddress(capsule.sender)}</span>
+            <span className="row-date">Opens {new Date(capsule.unlock_time * 1000).toLocaleString()}</span>
+          </div>
+        </div>
+      ))}
+
+      {total > PAGE_SIZE && (
+        <div className="pager">
+          <button onClick={() => setPage(p => p - 1)} disabled={isLoading || page === 0}>
+            ◀ Previous
+          </button>
+          <span>Page {page + 1} / {pageCount} • {total} capsules</span>
+          <button onClick={() => setPage(p => p + 1)} disabled={isLoading || page + 1 >= pageCount}>
+            Next ▶
+          </button>
+        </div>
+      )}
+
+      <style jsx>{`
+        .public-feed {
+          margin-bottom: 30px;
+          padding: 20px;
+          border: 1px solid #333;
+          border-radius: 8px;
+          background: #1e1e1e;
+          color: #e0e0e0;
+        }
+
+        .feed-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .feed-header h3 {
+          margin: 0;
+          color: #ffffff;
+        }
+
+        .public-feed h4 {
+          margin: 15px 0 5px;
+          color: #e0e0e0;
+        }
+
+        .feed-help {
+          font-size: 13px;
+          color: #b0b0b0;
+        }
+
+        .refresh-btn {
+          padding: 8px 14px;
+          background: #262626;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .feed-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 10px;
+          padding: 12px 0;
+          border-bottom: 1px solid #333;
+        }
+
+        .row-main {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          min-width: 0;
+        }
+
+        .row-sender {
+          font-family: monospace;
+          font-size: 13px;
+          color: #b0b0b0;
+        }
+
+        .row-date {
+          font-size: 13px;
+          color: #b0b0b0;
+        }
+
+        .open-btn {
+          padding: 6px 14px;
+          background: #27ae60;
+          color: white;
+          border: none;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .feed-error {
+          padding: 15px 0;
+          color: #e74c3c;
+          text-align: center;
+        }
+
+        .pager {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-top: 15px;
+          font-size: 13px;
+          color: #b0b0b0;
+        }
+
+        .pager button {
+          padding: 6px 12px;
+          background: #262626;
+          color: #e0e0e0;
+          border: 1px solid #333;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .pager button:disabled {
+          cursor: not-allowed;
+          opacity: 0.5;
+        }
+      `}</style>
+    </div>
+  );
+}
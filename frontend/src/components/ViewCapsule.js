@@ -1,14 +1,18 @@
 import React, { useState } from "react";
 import { AptosClient } from "aptos";
-import { decryptText } from "../utils/crypto";
-import { downloadFromIPFS } from "../utils/ipfs";
+import { decryptText, decryptFile, decryptTextWithKeyPair, decryptTextWithWrappedKey, decryptTextFromRound, deriveKeyPairFromSignature, wrapContentKey, unwrapContentKey, getEnvelopeKdf, hexToBytes, bytesToHex } from "../utils/crypto";
+import { KDF_X25519_HKDF, KDF_X25519_MULTI, KDF_TLOCK, parseContent, describeEnvelopeError, encodeX25519Params, decodeX25519Params } from "../utils/envelope";
+import { MODULE_ADDRESS, signEncryptionKeyMessage, formatAssetAmount, getSharedCapsuleId, getCapsuleTimeKey, decodeMoveBytes, describeRevealStatus, describeTransactionError, isValidAddress, REVEAL_STATUS } from "../utils/aptos";
+import { isTimeSealed, openWithTimeKey } from "../utils/timelock";
+import { getBeacon } from "../utils/beacon";
+import { downloadFromIPFS, downloadCapsulePayload } from "../utils/ipfs";
+import CapsuleList from "./CapsuleList";
 
 const NODE_URL = "https://fullnode.testnet.aptoslabs.com";
-const MODULE_ADDRESS = "0x40584014251cc83138a7bfb2b83c13ed3b227bff6d481238f586216b69cec2f6";
 
 export default function ViewCapsule({ account }) {
   const client = new AptosClient(NODE_URL);
-  const [capsuleId, setCapsuleId] = useState("");
+  const [capsuleId, setCapsuleId] = useState(getSharedCapsuleId);
   const [passphrase, setPassphrase] = useState("");
   const [capsule, setCapsule] = useState(null);
   const [decryptedContent, setDecryptedContent] = useState(null);
@@ -16,6 +20,13 @@ export default function ViewCapsule({ account }) {
   const [isLoading, setIsLoading] = useState(false);
   const [downloadingFile, setDownloadingFile] = useState(null);
 
+  // Capsules live in an on-chain table, so read them one at a time through view functions
+  const view = (name, args) => client.view({
+    function: `${MODULE_ADDRESS}::time_capsule::${name}`,
+    type_arguments: [],
+    arguments: args
+  });
+
   const fetchCapsule = async () => {
     if (!account) {
       setStatus("Please connect your wallet first");
@@ -29,42 +40,81 @@ export default function ViewCapsule({ account }) {
     
     setIsLoading(true);
     try {
-      const resource = await client.getAccountResource(
-        MODULE_ADDRESS,
-        `${MODULE_ADDRESS}::time_capsule::Capsules`
-      );
-
-      const capsuleData = resource.data.items.find(
-        (c) => c.id === Number(capsuleId)
-      );
-
-      if (!capsuleData) {
-        setStatus("Capsule not found");
+      const [exists] = await view("capsule_exists", [capsuleId]);
+      if (!exists) {
+        const [cancelled] = await view("is_cancelled", [capsuleId]);
+        setCapsule(null);
+        setStatus(cancelled ? `🗑️ Capsule #${capsuleId} was cancelled by its sender` : "Capsule not found");
         setIsLoading(false);
         return;
       }
 
-      const unlockTime = new Date(capsuleData.unlock_time * 1000);
+      const [[sender, , unlockSeconds, contentType], [receivers], [holders], [unlockHistory], [escrowAssets, escrowAmounts], [heartbeatInterval], [unlocked], [guardians, threshold, approvals], [segmentTimes], [visibility]] = await Promise.all([
+        view("capsule_meta", [capsuleId]),
+        view("capsule_receivers", [capsuleId]),
+        view("capsule_holders", [capsuleId]),
+        view("unlock_history", [capsuleId]),
+        view("escrow_balances", [capsuleId]),
+        view("heartbeat_interval", [capsuleId]),
+        view("is_unlocked", [capsuleId]),
+        view("guardians", [capsuleId]),
+        view("segment_unlock_times", [capsuleId]),
+        view("capsule_visibility", [capsuleId])
+      ]);
+
+      const unlockTime = new Date(Number(unlockSeconds) * 1000);
       const now = new Date();
-      const isUnlocked = now >= unlockTime;
-      const isAuthorized = account === capsuleData.sender || account === capsuleData.receiver;
+      const isUnlocked = !!unlocked; // The contract also counts an early unlock approved by guardians
+      // Opening rights follow the receiver tokens, which may have been transferred
+      const isHolder = holders.some(h => h.toLowerCase() === account.toLowerCase());
+      // Visibility 2 is public and 1 receivers only, as in the contract's can_read
+      const isPublic = Number(visibility) === 2;
+      const isAuthorized = isPublic || isHolder || (Number(visibility) === 0 && account.toLowerCase() === sender.toLowerCase());
+
+      // The contract only returns the payload once unlocked, and only to readers its visibility allows;
+      // the status says which of those held it back
+      const [revealStatus, payload] = await view("reveal_bytes", [account, capsuleId]);
 
       setCapsule({
-        id: capsuleData.id,
-        sender: capsuleData.sender,
-        receiver: capsuleData.receiver,
+        id: Number(capsuleId),
+        sender,
+        receivers,
+        holders,
         unlockTime: unlockTime,
-        encryptedHex: capsuleData.encrypted_hex,
-        contentType: capsuleData.content_type || "text", // Fallback for old capsules
+        heartbeatDays: Number(heartbeatInterval) / 86400,
+        guardians: { count: guardians.length, threshold: Number(threshold), approvals: approvals.length },
+        // The first entry is the capsule's own unlock time
+        sections: segmentTimes.slice(1).map(time => new Date(Number(time) * 1000)),
+        encryptedHex: decodeMoveBytes(payload),
+        revealStatus: Number(revealStatus),
+        visibility: ["private", "receivers", "public"][Number(visibility)],
+        contentType: contentType || "text", // Fallback for old capsules
+        unlockHistory: unlockHistory.map(change => ({
+          from: new Date(Number(change.old_unlock_time) * 1000),
+          to: new Date(Number(change.new_unlock_time) * 1000),
+          at: new Date(Number(change.changed_at) * 1000)
+        })),
+        escrow: escrowAssets.map((asset, i) => formatAssetAmount(asset, escrowAmounts[i])),
         isUnlocked: isUnlocked,
+        isHolder: isHolder,
+        isPublic: isPublic,
         isAuthorized: isAuthorized
       });
       
       let statusMsg = `📦 Capsule #${capsuleId} Details:\n\n`;
-      statusMsg += `From: ${capsuleData.sender}\n`;
-      statusMsg += `To: ${capsuleData.receiver}\n`;
-      statusMsg += `Content Type: ${capsuleData.content_type || 'text'}\n`;
+      statusMsg += `From: ${sender}\n`;
+      statusMsg += `To: ${receivers.join(', ')}\n`;
+      if (holders.some((h, i) => h.toLowerCase() !== receivers[i].toLowerCase())) {
+        statusMsg += `Held By: ${holders.join(', ')}\n`;
+      }
+      statusMsg += `Content Type: ${contentType || 'text'}\n`;
       statusMsg += `Unlock Time: ${unlockTime.toLocaleString()}\n`;
+      if (escrowAssets.length > 0) {
+        statusMsg += `Escrow: 💰 ${escrowAssets.map((asset, i) => formatAssetAmount(asset, escrowAmounts[i])).join(', ')}\n`;
+      }
+      if (isPublic) {
+        statusMsg += `Visibility: 🌐 Public\n`;
+      }
       statusMsg += `Status: ${isUnlocked ? '🔓 UNLOCKED' : '🔒 LOCKED'}\n`;
       statusMsg += `Your Access: ${isAuthorized ? '🟢 AUTHORIZED' : '❌ NOT AUTHORIZED'}\n`;
       
@@ -91,48 +141,78 @@ export default function ViewCapsule({ account }) {
       return;
     }
     
-    if (!capsule.isUnlocked) {
-      setStatus("❌ Capsule is still locked!\nWait until unlock time: " + capsule.unlockTime.toLocaleString());
+    if (capsule.revealStatus !== REVEAL_STATUS.OK) {
+      setStatus(describeRevealStatus(capsule.revealStatus, {
+        id: capsule.id,
+        unlockTime: capsule.unlockTime.getTime() / 1000,
+        visibility: capsule.visibility
+      }));
       return;
     }
     
-    if (!capsule.isAuthorized) {
-      setStatus("❌ You are not authorized to view this capsule");
+    let cleanHex = capsule.encryptedHex;
+    if (!cleanHex) {
+      // Off-chain capsules keep only a CID and hash on-chain; fetch the envelope and check it matches
+      try {
+        const [, cid, hash, size] = await view("reveal_payload_ref", [account, capsule.id]);
+        setStatus(`📥 Downloading the encrypted capsule from IPFS...\n\n${cid}`);
+        cleanHex = bytesToHex(await downloadCapsulePayload(cid, hexToBytes(decodeMoveBytes(hash)), Number(size)));
+      } catch (err) {
+        setStatus(`❌ ${err.message}\n\n🔄 IPFS can take time to propagate - try again shortly.`);
+        return;
+      }
+    }
+    
+    let kdfId;
+    let timeSealed;
+    try {
+      // Strip the outer layer with the time key published at unlock (or rebuilt by the guardians)
+      timeSealed = isTimeSealed(cleanHex);
+      if (timeSealed) {
+        cleanHex = await openWithTimeKey(cleanHex, await getCapsuleTimeKey(capsule.id));
+      }
+      kdfId = getEnvelopeKdf(cleanHex);
+    } catch (err) {
+      setStatus(err.code ? describeEnvelopeError(err) : `❌ Invalid capsule data format: ${err.message}`);
       return;
     }
+    const useWalletKey = kdfId === KDF_X25519_HKDF || kdfId === KDF_X25519_MULTI;
     
-    if (!passphrase.trim()) {
+    const useTlock = kdfId === KDF_TLOCK;
+    // Unencrypted public capsules hold the content JSON directly under the time key
+    const isPlain = timeSealed && kdfId === null;
+    
+    if (!useWalletKey && !useTlock && !isPlain && !passphrase.trim()) {
       setStatus("Please enter the passphrase");
       return;
     }
     
     setIsLoading(true);
     try {
-      console.log("Encrypted hex from capsule:", capsule.encryptedHex);
-      
-      // Clean the hex string (remove 0x prefix if present)
-      const cleanHex = capsule.encryptedHex.startsWith('0x') 
-        ? capsule.encryptedHex.slice(2) 
-        : capsule.encryptedHex;
-      
-      console.log("Cleaned hex for decryption:", cleanHex);
+      console.log("Encrypted hex length:", cleanHex.length);
       
       // Decrypt the content
-      const decryptedText = decryptText(cleanHex, passphrase.trim());
-      console.log("Decrypted text:", decryptedText);
-      
-      // Try to parse as JSON (new format with files)
-      let content;
-      try {
-        content = JSON.parse(decryptedText);
-      } catch (jsonError) {
-        // If JSON parsing fails, treat as plain text (backward compatibility)
-        content = {
-          text: decryptedText,
-          files: [],
-          timestamp: null
-        };
+      let decryptedText;
+      if (isPlain) {
+        decryptedText = new TextDecoder().decode(hexToBytes(cleanHex));
+      } else if (useTlock) {
+        decryptedText = await decryptTextFromRound(cleanHex, getBeacon);
+      } else if (useWalletKey) {
+        setStatus("✍️ Please sign the encryption key message in your wallet...");
+        const keyPair = await deriveKeyPairFromSignature(await signEncryptionKeyMessage());
+        if (kdfId === KDF_X25519_MULTI) {
+          // Group wallet-key capsules keep one wrapped content key per receiver
+          const [wrappedKey] = await view("wrapped_key", [account, capsule.id]);
+          decryptedText = await decryptTextWithWrappedKey(cleanHex, wrappedKey, keyPair);
+        } else {
+          decryptedText = await decryptTextWithKeyPair(cleanHex, keyPair);
+        }
+      } else {
+        decryptedText = await decryptText(cleanHex, passphrase.trim());
       }
+      console.log("Decrypted text length:", decryptedText.length);
+      
+      const content = parseContent(decryptedText);
       
       setDecryptedContent(content);
       
@@ -155,7 +235,7 @@ export default function ViewCapsule({ account }) {
     } catch (err) {
       console.error("Decryption error:", err);
       setDecryptedContent(null);
-      setStatus(`❌ Decryption Failed: ${err.message}\n\nPossible reasons:\n1. Wrong passphrase\n2. Corrupted data\n3. Encryption mismatch\n\nTry checking the passphrase with sender.`);
+      setStatus(describeEnvelopeError(err));
     } finally {
       setIsLoading(false);
     }
@@ -171,7 +251,13 @@ export default function ViewCapsule({ account }) {
     try {
       setStatus(`📥 Downloading ${file.name} from IPFS...`);
       
-      const fileBlob = await downloadFromIPFS(file.ipfsHash);
+      let fileBlob = await downloadFromIPFS(file.ipfsHash);
+      
+      // Attachments from older capsules were uploaded unencrypted
+      if (file.encryption) {
+        setStatus(`🔓 Decrypting ${file.name}...`);
+        fileBlob = await decryptFile(fileBlob, file.encryption.key, file.type);
+      }
       
       // Create download link
       const url = URL.createObjectURL(fileBlob);
@@ -194,14 +280,109 @@ export default function ViewCapsule({ account }) {
     }
   };
 
-  const getTotalCapsules = async () => {
+  const cancelCapsule = async () => {
+    if (!window.confirm(`Cancel capsule #${capsule.id}? Its content is deleted from the blockchain and cannot be restored. Any escrowed funds are returned to you.`)) {
+      return;
+    }
+    
+    setIsLoading(true);
+    try {
+      const tx = await window.aptos.signAndSubmitTransaction({
+        type: "entry_function_payload",
+        function: `${MODULE_ADDRESS}::time_capsule::cancel_capsule`,
+        type_arguments: [],
+        arguments: [capsule.id.toString()]
+      });
+      await client.waitForTransaction(tx.hash);
+      
+      setCapsule(null);
+      setDecryptedContent(null);
+      setStatus(`🗑️ Capsule #${capsule.id} cancelled\n\nTransaction: ${tx.hash}`);
+    } catch (err) {
+      console.error("Cancel error:", err);
+      setStatus(`❌ Failed to cancel capsule: ${describeTransactionError(err)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Claiming pays out whatever the sender escrowed in the capsule
+  const claimFunds = async () => {
+    setIsLoading(true);
+    try {
+      const tx = await window.aptos.signAndSubmitTransaction({
+        type: "entry_function_payload",
+        function: `${MODULE_ADDRESS}::time_capsule::claim_capsule`,
+        type_arguments: [],
+        arguments: [capsule.id.toString()]
+      });
+      await client.waitForTransaction(tx.hash);
+      
+      setStatus(`💰 Claimed ${capsule.escrow.join(', ')} from capsule #${capsule.id}\n\nTransaction: ${tx.hash}`);
+      setCapsule({ ...capsule, escrow: [] });
+    } catch (err) {
+      console.error("Claim error:", err);
+      setStatus(`❌ Failed to claim funds: ${describeTransactionError(err)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Tokens only move through transfer_capsule, which also re-wraps this slot's content key to the new holder
+  const transferCapsule = async () => {
+    const to = (window.prompt(`Transfer capsule #${capsule.id} to which address?`) || "").trim();
+    if (!to) {
+      return;
+    }
+    if (!isValidAddress(to)) {
+      setStatus("❌ Invalid address");
+      return;
+    }
+    if (!window.confirm(`Transfer capsule #${capsule.id} to ${to}?\n\nYou lose access to it. A wallet-key capsule sent to you alone stays encrypted to your wallet, so the new holder can't decrypt it.`)) {
+      return;
+    }
+    
     setIsLoading(true);
     try {
-      const response = await client.view({
-        function: `${MODULE_ADDRESS}::time_capsule::get_capsules_len`,
+      // Group wallet-key capsules keep a content key per slot; everything else moves with an empty one
+      let wrappedKey = [];
+      const [currentKey] = await view("wrapped_key", [account, capsule.id]);
+      const currentKeyHex = decodeMoveBytes(currentKey);
+      if (currentKeyHex) {
+        const recipientKeyHex = decodeMoveBytes((await view("encryption_key", [to]))[0]);
+        if (!recipientKeyHex) {
+          throw new Error("The new holder has to register an encryption key first, so the content key can be wrapped to it");
+        }
+        setStatus("✍️ Please sign the encryption key message in your wallet...");
+        const keyPair = await deriveKeyPairFromSignature(await signEncryptionKeyMessage());
+        const contentKey = await unwrapContentKey(decodeX25519Params(hexToBytes(currentKeyHex)), keyPair);
+        wrappedKey = encodeX25519Params(await wrapContentKey(contentKey, recipientKeyHex));
+        contentKey.fill(0);
+      }
+      
+      const tx = await window.aptos.signAndSubmitTransaction({
+        type: "entry_function_payload",
+        function: `${MODULE_ADDRESS}::time_capsule::transfer_capsule`,
         type_arguments: [],
-        arguments: []
+        arguments: [capsule.id.toString(), to, wrappedKey]
       });
+      await client.waitForTransaction(tx.hash);
+      
+      setCapsule(null);
+      setDecryptedContent(null);
+      setStatus(`🎁 Capsule #${capsule.id} transferred to ${to}\n\nTransaction: ${tx.hash}`);
+    } catch (err) {
+      console.error("Transfer error:", err);
+      setStatus(`❌ Failed to transfer capsule: ${describeTransactionError(err)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const getTotalCapsules = async () => {
+    setIsLoading(true);
+    try {
+      const response = await view("get_capsules_len", []);
       
       setStatus(`📊 Total capsules in system: ${response[0]}\n\nCapsule IDs start from 0, so valid IDs are: 0 to ${response[0] - 1}`);
       
@@ -217,6 +398,8 @@ export default function ViewCapsule({ account }) {
     <div className="view-capsule">
       <h3>View Time Capsule</h3>
       
+      <CapsuleList account={account} onSelect={(id) => setCapsuleId(String(id))} />
+      
       <div className="form-group">
         <label>Your Address:</label>
         <input
@@ -234,7 +417,7 @@ export default function ViewCapsule({ account }) {
           min="0"
           value={capsuleId}
           onChange={(e) => setCapsuleId(e.target.value)}
-          placeholder="Enter capsule ID (0, 1, 2, ...)"
+          placeholder="Enter capsule ID or pick one above"
           disabled={isLoading}
         />
       </div>
@@ -258,14 +441,59 @@ export default function ViewCapsule({ account }) {
             <strong>From:</strong> {capsule.sender}
           </div>
           <div className="detail-item">
-            <strong>To:</strong> {capsule.receiver}
+            <strong>To:</strong> {capsule.receivers.join(', ')}
           </div>
           <div className="detail-item">
             <strong>Content Type:</strong> {capsule.contentType}
           </div>
           <div className="detail-item">
             <strong>Unlocks At:</strong> {capsule.unlockTime.toLocaleString()}
+            {capsule.heartbeatDays > 0 && !capsule.isUnlocked && " (unless the sender checks in first)"}
           </div>
+          {capsule.sections.length > 0 && (
+            <div className="detail-item">
+              <strong>Later Sections:</strong>
+              <ul className="unlock-history">
+                {capsule.sections.map((time, index) => (
+                  <li key={index}>
+                    {time <= new Date() ? "🔓" : "🔒"} Section {index + 2}: {time.toLocaleString()}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {capsule.heartbeatDays > 0 && (
+            <div className="detail-item">
+              <strong>Dead Man's Switch:</strong> 💓 Sender checks in every {capsule.heartbeatDays.toFixed(1)} days
+            </div>
+          )}
+          {capsule.unlockHistory.length > 0 && (
+            <div className="detail-item">
+              <strong>Rescheduled:</strong>
+              <ul className="unlock-history">
+                {capsule.unlockHistory.map((change, index) => (
+                  <li key={index}>
+                    {change.at.toLocaleString()}: {change.from.toLocaleString()} → {change.to.toLocaleString()}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {capsule.holders.some((h, i) => h.toLowerCase() !== capsule.receivers[i].toLowerCase()) && (
+            <div className="detail-item">
+              <strong>Held By:</strong> {capsule.holders.join(', ')}
+            </div>
+          )}
+          {capsule.guardians.count > 0 && (
+            <div className="detail-item">
+              <strong>Guardians:</strong> 🛡️ {capsule.guardians.approvals}/{capsule.guardians.threshold} approvals for early unlock ({capsule.guardians.count} guardians)
+            </div>
+          )}
+          {capsule.escrow.length > 0 && (
+            <div className="detail-item">
+              <strong>Escrow:</strong> 💰 {capsule.escrow.join(', ')}
+            </div>
+          )}
           <div className="detail-item">
             <strong>Status:</strong> 
             <span className={capsule.isUnlocked ? "status-unlocked" : "status-locked"}>
@@ -279,11 +507,29 @@ export default function ViewCapsule({ account }) {
             </span>
           </div>
           
+          {!capsule.isUnlocked && account.toLowerCase() === capsule.sender.toLowerCase() && (
+            <button onClick={cancelCapsule} disabled={isLoading} className="cancel-btn">
+              🗑️ Cancel Capsule
+            </button>
+          )}
+          
+          {capsule.isUnlocked && capsule.escrow.length > 0 && capsule.isHolder && (
+            <button onClick={claimFunds} disabled={isLoading} className="claim-btn">
+              💰 Claim {capsule.escrow.join(', ')}
+            </button>
+          )}
+          
+          {capsule.isHolder && (
+            <button onClick={transferCapsule} disabled={isLoading} className="transfer-btn">
+              🎁 Transfer Capsule
+            </button>
+          )}
+          
           {capsule.isUnlocked && capsule.isAuthorized && (
             <div className="decrypt-section">
               <h4>Decrypt Content</h4>
               <div className="form-group">
-                <label>Passphrase:</label>
+                <label>Passphrase (not needed for wallet-key capsules):</label>
                 <input
                   type="password"
                   value={passphrase}
@@ -445,6 +691,34 @@ export default function ViewCapsule({ account }) {
     border-bottom: none;
   }
   
+  .unlock-history {
+    margin: 5px 0 0;
+    padding-left: 20px;
+    font-size: 13px;
+    color: #b0b0b0;
+  }
+  
+  .cancel-btn {
+    width: 100%;
+    margin-top: 10px;
+    background: #3a1a1a;
+    border-color: #e74c3c;
+    color: #e74c3c;
+  }
+  
+  .claim-btn {
+    width: 100%;
+    margin-top: 10px;
+    background: #1a3a24;
+    border-color: #27ae60;
+    color: #27ae60;
+  }
+  
+  .transfer-btn {
+    width: 100%;
+    margin-top: 10px;
+  }
+
   .status-unlocked {
     color: #27ae60;
   }
@@ -3,3 +3,11 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom lacks the encoders and WebCrypto the capsule utilities use; borrow Node's
+import { TextEncoder, TextDecoder } from 'util';
+import { webcrypto } from 'crypto';
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
@@ -1,14 +1,48 @@
 // utils/aptos.js - APTOS blockchain interaction utilities
 
+/* global BigInt */
+
 import { AptosClient } from "aptos";
+import { combineTimeKeyShares, openSealedTimeKey } from "./timelock";
+import { getBeacon } from "./beacon";
 
 // Network configuration
 const TESTNET_NODE_URL = "https://fullnode.testnet.aptoslabs.com";
 const DEVNET_NODE_URL = "https://fullnode.devnet.aptoslabs.com";
 const MAINNET_NODE_URL = "https://fullnode.mainnet.aptoslabs.com";
 
+// Indexer GraphQL endpoints (used to list module events by account)
+const INDEXER_URLS = {
+  testnet: "https://api.testnet.aptoslabs.com/v1/graphql",
+  devnet: "https://api.devnet.aptoslabs.com/v1/graphql",
+  mainnet: "https://api.mainnet.aptoslabs.com/v1/graphql"
+};
+
+// Deployed time capsule module: the resource account it was published to, from .env.
+// Every component builds its function ids from this one address.
+export const MODULE_ADDRESS = process.env.REACT_APP_CONTRACT_ADDRESS || "";
+if (!MODULE_ADDRESS) {
+  console.warn("⚠️ REACT_APP_CONTRACT_ADDRESS is not set - contract calls will fail");
+}
+
+export const CAPSULE_EVENTS = {
+  CREATED: `${MODULE_ADDRESS}::time_capsule::CapsuleCreated`,
+  CLAIMED: `${MODULE_ADDRESS}::time_capsule::CapsuleClaimed`,
+  CANCELLED: `${MODULE_ADDRESS}::time_capsule::CapsuleCancelled`
+};
+
+// Status codes returned with the payload by the reveal view (REVEAL_* in the Move module)
+export const REVEAL_STATUS = {
+  OK: 0,
+  NOT_FOUND: 1,
+  CANCELLED: 2,
+  LOCKED: 3,
+  UNAUTHORIZED: 4
+};
+
 // Initialize client with fallback URLs
 let client = new AptosClient(TESTNET_NODE_URL);
+let indexerUrl = INDEXER_URLS.testnet;
 
 // Alternative endpoints in case primary fails
 const BACKUP_ENDPOINTS = [
@@ -38,6 +72,7 @@ export function initializeClient(network = 'testnet') {
   }
   
   client = new AptosClient(nodeUrl);
+  indexerUrl = INDEXER_URLS[network.toLowerCase()] || INDEXER_URLS.testnet;
   console.log(`APTOS client initialized for ${network}: ${nodeUrl}`);
 }
 
@@ -109,6 +144,260 @@ export async function viewFunction(functionName, args = [], typeArgs = []) {
   }
 }
 
+/**
+ * Decode a Move vector<u8> returned by a view function
+ * @param {string|Array<number>|Uint8Array} value - "0x..." hex (how the node encodes vector<u8>), or a byte array
+ * @returns {string} - Lowercase hex without the 0x prefix ("" for an empty vector)
+ */
+export function decodeMoveBytes(value) {
+  if (typeof value === 'string') {
+    const hex = value.startsWith('0x') ? value.slice(2) : value;
+    if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+      throw new Error('Invalid byte data from the contract: expected even-length hex');
+    }
+    return hex.toLowerCase();
+  }
+  
+  if (value instanceof Uint8Array || (Array.isArray(value) && value.every(b => Number.isInteger(b) && b >= 0 && b <= 255))) {
+    return Array.from(value, b => b.toString(16).padStart(2, '0')).join('');
+  }
+  
+  throw new Error(`Invalid byte data from the contract: ${typeof value}`);
+}
+
+/**
+ * Fetch a capsule's payload through the reveal_bytes view
+ * @param {string} caller - Address asking to read the capsule
+ * @param {number|string} id - Capsule id
+ * @returns {Promise<{status: number, payloadHex: string, payloadRef: Object|null}>} - REVEAL_STATUS code, the hex
+ *   payload ("" unless OK) and, for off-chain capsules, { cid, hash, size } of the envelope to fetch from IPFS
+ */
+export async function getRevealedPayload(caller, id) {
+  const args = [caller, String(id)];
+  const [status, payload] = await viewFunction(`${MODULE_ADDRESS}::time_capsule::reveal_bytes`, args);
+  const payloadHex = decodeMoveBytes(payload);
+  if (Number(status) !== REVEAL_STATUS.OK || payloadHex) {
+    return { status: Number(status), payloadHex, payloadRef: null };
+  }
+  
+  // An empty payload on an open capsule means the envelope is stored off-chain
+  const [, cid, hash, size] = await viewFunction(`${MODULE_ADDRESS}::time_capsule::reveal_payload_ref`, args);
+  const hashHex = decodeMoveBytes(hash);
+  return {
+    status: Number(status),
+    payloadHex,
+    payloadRef: cid ? { cid, hash: Uint8Array.from(hashHex.match(/../g) || [], h => parseInt(h, 16)), size: Number(size) } : null
+  };
+}
+
+/**
+ * Time key sealing a capsule's payload: the published one; after a guardian early unlock, the
+ * one rebuilt from the shares the approving guardians revealed; or the one tlock-sealed to the
+ * round after unlock, so a dead man's switch opens without its sender
+ * @param {number|string} id - Capsule id
+ * @returns {Promise<string>} - Hex time key, or "" while it isn't available (a sealed key still
+ *   waiting for its beacon round throws TIME_LOCKED)
+ */
+export async function getCapsuleTimeKey(id) {
+  const [published] = await viewFunction(`${MODULE_ADDRESS}::time_capsule::time_key`, [String(id)]);
+  const publishedHex = decodeMoveBytes(published);
+  if (publishedHex) {
+    return publishedHex;
+  }
+  
+  const [[, threshold, , unlockedEarlyAt], [shares], [sealed]] = await Promise.all([
+    viewFunction(`${MODULE_ADDRESS}::time_capsule::guardians`, [String(id)]),
+    viewFunction(`${MODULE_ADDRESS}::time_capsule::guardian_shares`, [String(id)]),
+    viewFunction(`${MODULE_ADDRESS}::time_capsule::sealed_time_key`, [String(id)])
+  ]);
+  if (Number(unlockedEarlyAt) > 0 && shares.length >= Number(threshold)) {
+    return combineTimeKeyShares(shares.map(decodeMoveBytes));
+  }
+  const sealedHex = decodeMoveBytes(sealed);
+  return sealedHex ? openSealedTimeKey(sealedHex, getBeacon) : "";
+}
+
+/**
+ * Read the module's admin configuration
+ * @returns {Promise<Object|null>} - { admin, pendingAdmin (null when none), paused, maxPayloadSize,
+ *   allowedContentTypes (empty allows any), creationFee (octas string), treasury }, or null when the
+ *   deployed module has no Config
+ */
+export async function getConfig() {
+  let result;
+  try {
+    // Straight to the client: a missing Config is expected, so it shouldn't log a failed view call
+    result = await client.view({
+      function: `${MODULE_ADDRESS}::time_capsule::config`,
+      arguments: [],
+      type_arguments: []
+    });
+  } catch (error) {
+    const message = error.response?.data?.message || error.message || '';
+    if (/MISSING_DATA|RESOURCE_DOES_NOT_EXIST|FUNCTION_RESOLUTION_FAILURE|LINKER_ERROR|not found/i.test(message)) {
+      return null;
+    }
+    throw new Error(`View function failed: ${message}`);
+  }
+  
+  const [admin, pendingAdmin, paused, maxPayloadSize, allowedContentTypes, creationFee, treasury] = result;
+  return {
+    admin,
+    pendingAdmin: /^0x0*$/i.test(pendingAdmin) ? null : pendingAdmin,
+    paused,
+    maxPayloadSize: Number(maxPayloadSize),
+    allowedContentTypes,
+    creationFee: String(creationFee),
+    treasury
+  };
+}
+
+/**
+ * Turn a reveal status into a message for the status log
+ * @param {number} status - REVEAL_STATUS code from the reveal view
+ * @param {Object} capsule - { id, unlockTime (seconds), visibility } - whatever is known
+ * @returns {string} - Message explaining why the payload was not returned
+ */
+export function describeRevealStatus(status, { id, unlockTime, visibility } = {}) {
+  switch (status) {
+    case REVEAL_STATUS.OK:
+      return `✅ Capsule #${id} is ready to open.`;
+    case REVEAL_STATUS.NOT_FOUND:
+      return `❌ Capsule #${id} not found. Please check the ID.`;
+    case REVEAL_STATUS.CANCELLED:
+      return `🗑️ Capsule #${id} was cancelled by its sender before it unlocked.`;
+    case REVEAL_STATUS.LOCKED:
+      return `🔒 Capsule #${id} is still locked.\n\n` +
+        (unlockTime ? `⏰ Unlocks at: ${new Date(unlockTime * 1000).toLocaleString()}\n\n` : '') +
+        'Please wait until the unlock time or for its guardians to approve an early unlock.';
+    case REVEAL_STATUS.UNAUTHORIZED:
+      return visibility === 'receivers'
+        ? `❌ Not authorized to view capsule #${id}\n\nThis capsule is for its receivers only - just the current holders of its tokens can access the content.`
+        : `❌ Not authorized to view capsule #${id}\n\nOnly the sender and the current holders of the capsule's tokens can access the content.`;
+    default:
+      return `❌ Unknown reveal status ${status} for capsule #${id}. Please update the app.`;
+  }
+}
+
+// Why the time_capsule module aborted, keyed by the reason code of its E_* constants
+const CAPSULE_ABORT_MESSAGES = {
+  3: 'The unlock time is in the past, or does not fit the capsule\'s schedule.',
+  4: 'The encryption key must be a 32-byte X25519 public key.',
+  5: 'A capsule needs at least one receiver.',
+  6: 'A capsule can have at most 200 receivers.',
+  7: 'A receiver is listed more than once, or already holds this capsule.',
+  8: 'Every receiver needs a wrapped key - register their encryption keys first.',
+  9: 'Capsule not found. Please check the ID - it may have been cancelled.',
+  10: 'The capsule has not unlocked yet.',
+  11: 'Only a holder of the capsule\'s receiver token can do this.',
+  12: 'You have already claimed this capsule.',
+  13: 'The time key commitment is missing or malformed.',
+  14: 'The time key has already been published.',
+  15: 'This time key does not belong to the capsule.',
+  16: 'Not available for time-lock capsules, or the beacon round is missing.',
+  17: 'Only the capsule\'s sender can do this.',
+  18: 'The capsule has already unlocked.',
+  19: 'Every receiver must consent before the capsule can open earlier.',
+  20: 'The amount must be greater than zero.',
+  21: 'Funds can only be attached to a capsule with a single receiver.',
+  22: 'Not available for this kind of capsule (dead man\'s switch or fixed unlock time).',
+  23: 'Guardians must be new, distinct and at most 20, can\'t be the sender or a receiver, and each needs a share of the time key. Staged capsules can\'t have guardians.',
+  24: 'The guardian threshold must be between 1 and the number of guardians.',
+  25: 'Only a guardian of this capsule can approve an early unlock.',
+  26: 'You have already approved this early unlock.',
+  27: 'Later sections must have increasing unlock times after the capsule\'s own (at most 20).',
+  28: 'The capsule has no such section.',
+  29: 'Unknown visibility.',
+  31: 'The IPFS payload reference is malformed.',
+  32: 'Only the admin can do this.',
+  33: 'Creating capsules is paused by the admin right now.',
+  34: 'The encrypted capsule is larger than the contract allows - store it on IPFS or make it smaller.',
+  35: 'The contract does not accept this content type.',
+  36: 'The maximum payload size must be greater than zero.',
+  37: 'Only the proposed admin can accept the admin role.',
+  38: 'The check-in interval must be at least an hour.',
+  39: 'This share of the time key doesn\'t match the one the sender gave you.',
+  40: 'Every capsule has to open without you - use time-lock, or seal the time key to the unlock time.'
+};
+
+// std::error categories, the upper bits of an abort code
+const ABORT_CATEGORIES = {
+  0x1: 'INVALID_ARGUMENT',
+  0x2: 'OUT_OF_RANGE',
+  0x3: 'INVALID_STATE',
+  0x4: 'UNAUTHENTICATED',
+  0x5: 'PERMISSION_DENIED',
+  0x6: 'NOT_FOUND',
+  0x7: 'ABORTED',
+  0x8: 'ALREADY_EXISTS',
+  0x9: 'RESOURCE_EXHAUSTED',
+  0xA: 'CANCELLED',
+  0xB: 'INTERNAL',
+  0xC: 'NOT_IMPLEMENTED',
+  0xD: 'UNAVAILABLE'
+};
+
+// VM statuses that reject a transaction before or outside the module
+const VM_STATUS_MESSAGES = {
+  INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE: 'Insufficient balance to pay for transaction fees',
+  SEQUENCE_NUMBER_TOO_OLD: 'Transaction sequence error. Please try again.',
+  SEQUENCE_NUMBER_TOO_NEW: 'Transaction sequence error. Please try again.',
+  GAS_UNIT_PRICE_BELOW_MIN_BOUND: 'Gas price too low. Please increase gas fee.',
+  MAX_GAS_UNITS_BELOW_MIN_TRANSACTION_GAS_UNITS: 'Gas limit too low. Please increase the max gas.',
+  OUT_OF_GAS: 'Transaction ran out of gas. Please increase the max gas.',
+  TRANSACTION_EXPIRED: 'Transaction expired. Please try again.'
+};
+
+/**
+ * Parse a Move abort out of a VM status or error message
+ * @param {string} message - e.g. "Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): ..." or "Move abort in 0x...::time_capsule: 0x60009"
+ * @returns {Object|null} - { address, module, name (null unless the status carries it), code, category, reason },
+ *   or null if the message is not an abort
+ */
+export function decodeAbort(message) {
+  const match = /Move abort (?:in|by) (0x[0-9a-f]+)::(\w+):\s*(?:(\w+)\()?(0x[0-9a-f]+|\d+)/i.exec(String(message || ''));
+  if (!match) {
+    return null;
+  }
+  
+  const [, address, module, name, rawCode] = match;
+  const code = Number(rawCode);
+  return {
+    address,
+    module,
+    name: name || null,
+    code,
+    category: ABORT_CATEGORIES[Math.floor(code / 0x10000)] || null,
+    reason: code % 0x10000
+  };
+}
+
+/**
+ * Turn a failed transaction into a message for the user
+ * @param {Error|string} error - Error from the wallet or node, or a transaction's vm_status
+ * @returns {string} - What went wrong, in the contract's terms where possible
+ */
+export function describeTransactionError(error) {
+  const message = typeof error === 'string' ? error : error?.message || String(error);
+  const abort = decodeAbort(message);
+  
+  if (abort) {
+    const fromCapsule = abort.module === 'time_capsule' &&
+      abort.address.replace(/^0x0*/i, '').toLowerCase() === MODULE_ADDRESS.replace(/^0x0*/i, '').toLowerCase();
+    if (fromCapsule && CAPSULE_ABORT_MESSAGES[abort.reason]) {
+      return CAPSULE_ABORT_MESSAGES[abort.reason];
+    }
+    if (abort.name?.includes('INSUFFICIENT_BALANCE')) {
+      return 'Insufficient balance for this transaction';
+    }
+    return `Transaction aborted in ${abort.module}: ${abort.name || `code 0x${abort.code.toString(16)}`}` +
+      (abort.category ? ` (${abort.category})` : '');
+  }
+  
+  const status = Object.keys(VM_STATUS_MESSAGES).find(name => message.includes(name));
+  return status ? VM_STATUS_MESSAGES[status] : message;
+}
+
 /**
  * Submit a transaction to the blockchain
  * @param {Object} transaction - Transaction payload
@@ -134,32 +423,118 @@ export async function submitTransaction(transaction, senderAddress) {
     const txResult = await window.aptos.signAndSubmitTransaction(transaction);
     console.log('Transaction submitted:', txResult.hash);
     
-    // Wait for transaction confirmation
-    const confirmedTx = await client.waitForTransaction(txResult.hash);
+    // Wait for transaction confirmation; a failed transaction throws with its VM status
+    const confirmedTx = await client.waitForTransactionWithResult(txResult.hash, { checkSuccess: true });
     console.log('Transaction confirmed:', confirmedTx);
     
     return txResult.hash;
     
   } catch (error) {
     console.error('Transaction submission failed:', error);
+    throw new Error(describeTransactionError(error));
+  }
+}
+
+// Message the wallet signs to derive its X25519 capsule encryption key.
+// Changing it changes every derived key, so it is versioned.
+export const ENCRYPTION_KEY_MESSAGE = 'Time Capsule encryption key v1\n\nSigning this message derives the key used to open capsules sent to your wallet. Only sign it on the Time Capsule app.';
+const ENCRYPTION_KEY_NONCE = 'time-capsule-encryption-key-v1';
+
+/**
+ * Ask the wallet to sign the encryption key message
+ * @returns {Promise<string>} - Hex signature (feed to deriveKeyPairFromSignature)
+ */
+export async function signEncryptionKeyMessage() {
+  if (!window.aptos) {
+    throw new Error('Petra wallet not found. Please install Petra wallet extension.');
+  }
+  
+  const response = await window.aptos.signMessage({
+    message: ENCRYPTION_KEY_MESSAGE,
+    nonce: ENCRYPTION_KEY_NONCE
+  });
+  
+  const signature = Array.isArray(response.signature) ? response.signature[0] : response.signature;
+  if (!signature) {
+    throw new Error('Wallet did not return a signature');
+  }
+  
+  return signature.toString();
+}
+
+const CAPSULE_EVENTS_QUERY = `
+  query CapsuleEvents($type: String!, $data: jsonb!, $limit: Int, $offset: Int) {
+    events(
+      where: { indexed_type: { _eq: $type }, data: { _contains: $data } }
+      order_by: { transaction_version: desc }
+      limit: $limit
+      offset: $offset
+    ) {
+      data
+      transaction_version
+    }
+  }
+`;
+
+/**
+ * Query module events from the indexer
+ * @param {string} eventType - Fully qualified event type (see CAPSULE_EVENTS)
+ * @param {Object} match - JSON the event data must contain, e.g. { sender: "0x..." }
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Array>} - Event data objects, newest first, with transactionVersion added
+ */
+export async function getCapsuleEvents(eventType, match = {}, { limit = 100, offset = 0 } = {}) {
+  try {
+    const response = await fetch(indexerUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        query: CAPSULE_EVENTS_QUERY,
+        variables: { type: eventType, data: match, limit, offset }
+      })
+    });
     
-    // Extract user-friendly error messages
-    let errorMessage = error.message;
+    if (!response.ok) {
+      throw new Error(`Indexer responded with ${response.status}`);
+    }
     
-    if (error.message?.includes('INSUFFICIENT_BALANCE')) {
-      errorMessage = 'Insufficient balance to pay for transaction fees';
-    } else if (error.message?.includes('SEQUENCE_NUMBER')) {
-      errorMessage = 'Transaction sequence error. Please try again.';
-    } else if (error.message?.includes('GAS_UNIT_PRICE_TOO_LOW')) {
-      errorMessage = 'Gas price too low. Please increase gas fee.';
-    } else if (error.message?.includes('TRANSACTION_EXPIRED')) {
-      errorMessage = 'Transaction expired. Please try again.';
+    const result = await response.json();
+    if (result.errors?.length) {
+      throw new Error(result.errors[0].message);
     }
     
-    throw new Error(errorMessage);
+    return result.data.events.map(e => ({
+      ...e.data,
+      id: Number(e.data.id),
+      unlock_time: Number(e.data.unlock_time),
+      transactionVersion: e.transaction_version
+    }));
+    
+  } catch (error) {
+    console.error(`Indexer query failed: ${eventType}`, error);
+    throw new Error(`Failed to load capsule events: ${error.message}`);
   }
 }
 
+/**
+ * List an account's capsule history from the module events: capsules it sent and received,
+ * the ones it claimed, and the ones sent to it that were cancelled (which leave the inbox)
+ * @param {string} address - Account address
+ * @returns {Promise<{sent: Array, received: Array, claimed: Array, cancelled: Array}>} - Events, newest first
+ */
+export async function getCapsulesByAccount(address) {
+  const account = address.toLowerCase();
+  const [sent, received, claimed, cancelled] = await Promise.all([
+    getCapsuleEvents(CAPSULE_EVENTS.CREATED, { sender: account }),
+    getCapsuleEvents(CAPSULE_EVENTS.CREATED, { receivers: [account] }),
+    getCapsuleEvents(CAPSULE_EVENTS.CLAIMED, { receiver: account }),
+    getCapsuleEvents(CAPSULE_EVENTS.CANCELLED, { receivers: [account] })
+  ]);
+  
+  console.log(`📬 Indexed capsules for ${formatAddress(account)}: ${sent.length} sent, ${received.length} received, ${claimed.length} claimed, ${cancelled.length} cancelled`);
+  return { sent, received, claimed, cancelled };
+}
+
 /**
  * Get account information
  * @param {string} address - Account address
@@ -218,6 +593,20 @@ export async function getTransaction(txHash) {
   }
 }
 
+/**
+ * Read the id of the capsule a committed transaction created from its CapsuleCreated event
+ * @param {Object} transaction - Committed transaction (from waitForTransaction)
+ * @returns {number|null} - New capsule id, or null if the transaction created none
+ */
+export function getCreatedCapsuleId(transaction) {
+  if (!transaction?.success) {
+    throw new Error(`Transaction failed: ${describeTransactionError(transaction?.vm_status || 'unknown status')}`);
+  }
+  
+  const created = (transaction.events || []).find(e => e.type === CAPSULE_EVENTS.CREATED);
+  return created ? Number(created.data.id) : null;
+}
+
 /**
  * Estimate gas for a transaction
  * @param {Object} transaction - Transaction payload
@@ -308,6 +697,81 @@ export function formatAddress(address, prefixLength = 6, suffixLength = 4) {
   return `${address.slice(0, prefixLength)}...${address.slice(-suffixLength)}`;
 }
 
+/**
+ * Link that opens this app with a capsule selected in the reveal form
+ * @param {number|string} id - Capsule id
+ * @returns {string} - Share URL
+ */
+export function getCapsuleShareLink(id) {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set('capsule', String(id));
+  return url.toString();
+}
+
+/**
+ * Capsule id from a share link the app was opened with
+ * @returns {string} - Capsule id, or "" if the URL has none
+ */
+export function getSharedCapsuleId() {
+  const id = new URLSearchParams(window.location.search).get('capsule');
+  return id && /^\d+$/.test(id) ? id : '';
+}
+
+// APT as a fungible asset: its metadata object lives at 0xa and amounts are in octas
+export const APT_METADATA_ADDRESS = "0xa";
+const APT_DECIMALS = 8;
+
+/**
+ * Convert an APT amount typed by the user to octas
+ * @param {string} amount - Decimal APT amount, e.g. "1.5"
+ * @returns {string} - Octas as an integer string ("0" for empty input)
+ */
+export function aptToOctas(amount) {
+  const trimmed = String(amount || '').trim();
+  if (!trimmed) return '0';
+  if (!/^\d*(\.\d*)?$/.test(trimmed) || trimmed === '.') {
+    throw new Error(`Invalid APT amount: ${amount}`);
+  }
+
+  const [whole, fraction = ''] = trimmed.split('.');
+  if (fraction.length > APT_DECIMALS) {
+    throw new Error(`APT amounts have at most ${APT_DECIMALS} decimal places`);
+  }
+  return (BigInt(whole || '0') * 10n ** BigInt(APT_DECIMALS) + BigInt(fraction.padEnd(APT_DECIMALS, '0'))).toString();
+}
+
+/**
+ * Format an escrowed asset balance for display
+ * @param {string} asset - Fungible asset metadata address
+ * @param {string|number} amount - Raw amount
+ * @returns {string} - e.g. "1.5 APT", or the raw amount and a shortened asset address
+ */
+export function formatAssetAmount(asset, amount) {
+  const isApt = String(asset).replace(/^0x0*/i, '') === APT_METADATA_ADDRESS.slice(2);
+  if (!isApt) {
+    return `${amount} of ${formatAddress(asset)}`;
+  }
+
+  const octas = BigInt(amount).toString().padStart(APT_DECIMALS + 1, '0');
+  const whole = octas.slice(0, -APT_DECIMALS);
+  const fraction = octas.slice(-APT_DECIMALS).replace(/0+$/, '');
+  return `${whole}${fraction ? `.${fraction}` : ''} APT`;
+}
+
+// Aptos gas schedule storage_fee_per_state_byte, in octas
+const STORAGE_FEE_PER_BYTE_OCTAS = 40;
+
+/**
+ * Estimate the storage fee for keeping bytes in on-chain state
+ * @param {number} bytes - Number of bytes stored
+ * @returns {string} - Fee in octas
+ */
+export function estimateStorageFee(bytes) {
+  return String(Math.max(0, Math.ceil(bytes)) * STORAGE_FEE_PER_BYTE_OCTAS);
+}
+
 /**
  * Wait for transaction with custom timeout
  * @param {string} txHash - Transaction hash
@@ -385,15 +849,31 @@ export default {
   initializeClient,
   checkConnection,
   viewFunction,
+  decodeMoveBytes,
+  getRevealedPayload,
+  getCapsuleTimeKey,
+  describeRevealStatus,
+  decodeAbort,
+  describeTransactionError,
+  getConfig,
   submitTransaction,
+  signEncryptionKeyMessage,
+  getCapsuleEvents,
+  getCapsulesByAccount,
   getAccountInfo,
   getAccountBalance,
   getTransaction,
+  getCreatedCapsuleId,
   estimateGas,
   accountExists,
   getModuleInfo,
   isValidAddress,
   formatAddress,
+  getCapsuleShareLink,
+  getSharedCapsuleId,
+  aptToOctas,
+  formatAssetAmount,
+  estimateStorageFee,
   waitForTransaction,
   testAptos
 };
\ No newline at end of file
@@ -0,0 +1,156 @@
+import { decodeMoveBytes, decodeAbort, describeTransactionError, aptToOctas, formatAssetAmount, APT_METADATA_ADDRESS, getCapsuleEvents, getCapsulesByAccount, CAPSULE_EVENTS } from './aptos';
+
+describe('decodeMoveBytes', () => {
+  it('reads the 0x hex the node returns for vector<u8>', () => {
+    expect(decodeMoveBytes('0xc0FFee')).toBe('c0ffee');
+    expect(decodeMoveBytes('c0ffee')).toBe('c0ffee');
+  });
+
+  it('reads an empty vector as an empty payload', () => {
+    expect(decodeMoveBytes('0x')).toBe('');
+    expect(decodeMoveBytes([])).toBe('');
+  });
+
+  it('reads byte arrays', () => {
+    expect(decodeMoveBytes([0, 15, 255])).toBe('000fff');
+    expect(decodeMoveBytes(Uint8Array.of(1, 171))).toBe('01ab');
+  });
+
+  it('rejects anything that is not whole bytes', () => {
+    expect(() => decodeMoveBytes('0xabc')).toThrow(/even-length hex/);
+    expect(() => decodeMoveBytes('0xzz')).toThrow(/even-length hex/);
+    expect(() => decodeMoveBytes([1, 256])).toThrow(/Invalid byte data/);
+    expect(() => decodeMoveBytes(null)).toThrow(/Invalid byte data/);
+  });
+});
+
+describe('APT amounts', () => {
+  it('converts typed APT to octas without floating point', () => {
+    expect(aptToOctas('1.5')).toBe('150000000');
+    expect(aptToOctas('0.1')).toBe('10000000');
+    expect(aptToOctas('.00000001')).toBe('1');
+    expect(aptToOctas(' 92233720368 ')).toBe('9223372036800000000');
+    expect(aptToOctas('')).toBe('0');
+  });
+
+  it('rejects amounts that are not plain decimals', () => {
+    expect(() => aptToOctas('1.000000001')).toThrow(/at most 8 decimal places/);
+    expect(() => aptToOctas('-1')).toThrow(/Invalid APT amount/);
+    expect(() => aptToOctas('1e3')).toThrow(/Invalid APT amount/);
+    expect(() => aptToOctas('.')).toThrow(/Invalid APT amount/);
+  });
+
+  it('formats escrowed balances back as APT', () => {
+    expect(formatAssetAmount(APT_METADATA_ADDRESS, aptToOctas('1.5'))).toBe('1.5 APT');
+    expect(formatAssetAmount('0x000000000000000000000000000000000000000000000000000000000000000a', '1')).toBe('0.00000001 APT');
+    expect(formatAssetAmount(APT_METADATA_ADDRESS, '200000000')).toBe('2 APT');
+  });
+});
+
+describe('abort codes', () => {
+  const MODULE = '0xed1556d7afd9e4cf9c4c45086b45e49a65edebe7b3aab8d99818a7708379248a';
+
+  it('splits an abort code into its category and reason', () => {
+    expect(decodeAbort(`Move abort in ${MODULE}::time_capsule: 0x60009`)).toEqual({
+      address: MODULE,
+      module: 'time_capsule',
+      name: null,
+      code: 0x60009,
+      category: 'NOT_FOUND',
+      reason: 9
+    });
+    expect(decodeAbort('Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): Not enough coins')).toMatchObject({
+      name: 'EINSUFFICIENT_BALANCE',
+      category: 'INVALID_ARGUMENT',
+      reason: 6
+    });
+    expect(decodeAbort('OUT_OF_GAS')).toBeNull();
+  });
+
+  it('explains the deployed module\'s aborts in its own terms', () => {
+    const configured = process.env.REACT_APP_CONTRACT_ADDRESS;
+    process.env.REACT_APP_CONTRACT_ADDRESS = MODULE;
+    try {
+      jest.isolateModules(() => {
+        const aptos = require('./aptos');
+        expect(aptos.describeTransactionError(`Move abort in ${MODULE}::time_capsule: 0x3000a`)).toBe('The capsule has not unlocked yet.');
+        // Leading zeros of the address are optional in VM statuses
+        expect(aptos.describeTransactionError(new Error(`Move abort in 0x0${MODULE.slice(2)}::time_capsule: 0x60009`)))
+          .toMatch(/Capsule not found/);
+      });
+    } finally {
+      if (configured === undefined) {
+        delete process.env.REACT_APP_CONTRACT_ADDRESS;
+      } else {
+        process.env.REACT_APP_CONTRACT_ADDRESS = configured;
+      }
+    }
+  });
+
+  it('does not trust a time_capsule module at another address', () => {
+    expect(describeTransactionError('Move abort in 0xbad::time_capsule: 0x3000a'))
+      .toBe('Transaction aborted in time_capsule: code 0x3000a (INVALID_STATE)');
+  });
+
+  it('describes framework aborts and VM statuses', () => {
+    expect(describeTransactionError('Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): Not enough coins'))
+      .toBe('Insufficient balance for this transaction');
+    expect(describeTransactionError({ message: 'Transaction failed: OUT_OF_GAS' })).toMatch(/ran out of gas/);
+    expect(describeTransactionError('Something else')).toBe('Something else');
+  });
+});
+
+describe('indexer', () => {
+  const indexerReply = (events) => ({ ok: true, json: async () => ({ data: { events } }) });
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('queries one event type, newest first, with numeric ids and unlock times', async () => {
+    fetch.mockResolvedValue(indexerReply([
+      { data: { id: '12', sender: '0xabc', unlock_time: '1700000000', content_type: 'text' }, transaction_version: '99' }
+    ]));
+
+    const events = await getCapsuleEvents(CAPSULE_EVENTS.CREATED, { sender: '0xabc' }, { limit: 5 });
+
+    expect(events).toEqual([{ id: 12, sender: '0xabc', unlock_time: 1700000000, content_type: 'text', transactionVersion: '99' }]);
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.testnet.aptoslabs.com/v1/graphql');
+    expect(JSON.parse(request.body).variables).toEqual({ type: CAPSULE_EVENTS.CREATED, data: { sender: '0xabc' }, limit: 5, offset: 0 });
+  });
+
+  it('reports HTTP and GraphQL failures', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 503 });
+    await expect(getCapsuleEvents(CAPSULE_EVENTS.CREATED)).rejects.toThrow('Failed to load capsule events: Indexer responded with 503');
+
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ errors: [{ message: 'field not found' }] }) });
+    await expect(getCapsuleEvents(CAPSULE_EVENTS.CREATED)).rejects.toThrow('Failed to load capsule events: field not found');
+  });
+
+  it('lists what an account sent, received, claimed and had cancelled', async () => {
+    fetch.mockImplementation(async (url, request) => {
+      const { type } = JSON.parse(request.body).variables;
+      return indexerReply([{ data: { id: String(Object.values(CAPSULE_EVENTS).indexOf(type)), unlock_time: '0' }, transaction_version: '1' }]);
+    });
+
+    const history = await getCapsulesByAccount('0xABC');
+
+    const queries = fetch.mock.calls.map(([, request]) => JSON.parse(request.body).variables);
+    expect(queries.map(({ type, data }) => [type, data])).toEqual([
+      [CAPSULE_EVENTS.CREATED, { sender: '0xabc' }],
+      [CAPSULE_EVENTS.CREATED, { receivers: ['0xabc'] }],
+      [CAPSULE_EVENTS.CLAIMED, { receiver: '0xabc' }],
+      [CAPSULE_EVENTS.CANCELLED, { receivers: ['0xabc'] }]
+    ]);
+    expect(history.sent[0].id).toBe(0);
+    expect(history.claimed[0].id).toBe(1);
+    expect(history.cancelled[0].id).toBe(2);
+  });
+});
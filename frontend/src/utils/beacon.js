@@ -0,0 +1,174 @@
+// utils/beacon.js - Randomness beacons for time-lock (tlock) capsules
+
+import { timelockEncrypt, timelockDecrypt, roundAt, roundTime, mainnetClient, Buffer } from 'tlock-js';
+import { ENVELOPE_ERRORS, envelopeError } from './envelope';
+
+/*
+ * A beacon publishes a value for every round on a fixed schedule. Data
+ * time-lock encrypted to round N can be decrypted by anyone once round N is
+ * out, and by nobody before. Every beacon implements:
+ *
+ *   id                         - Stored in the envelope so decryption picks the same beacon
+ *   roundAt(timeMs)            - First round published at or after timeMs
+ *   timeOfRound(round)         - When the round is published (ms)
+ *   encrypt(round, bytes)      - Time-lock encrypt bytes to a round
+ *   decrypt(round, bytes)      - Decrypt, throwing TIME_LOCKED before the round
+ *
+ * The drand beacon (League of Entropy quicknet via tlock-js) is the default.
+ * The local stand-in derives round keys from a secret held in the app, so it
+ * gives no real security - it exists for offline development and tests.
+ */
+
+export const DRAND_BEACON_ID = 'drand-quicknet';
+export const LOCAL_BEACON_ID = 'local';
+
+const beacons = {};
+
+/**
+ * Create the drand beacon backed by tlock-js
+ * @param {Object} client - tlock-js chain client (defaults to mainnet quicknet)
+ * @returns {Object} - Beacon
+ */
+export function createDrandBeacon(client = mainnetClient()) {
+  let chainInfo = null;
+  const info = async () => {
+    if (!chainInfo) {
+      chainInfo = await client.chain().info();
+    }
+    return chainInfo;
+  };
+
+  return {
+    id: DRAND_BEACON_ID,
+
+    async roundAt(timeMs) {
+      return roundAt(timeMs, await info());
+    },
+
+    async timeOfRound(round) {
+      return roundTime(await info(), round);
+    },
+
+    async encrypt(round, bytes) {
+      const armored = await timelockEncrypt(round, Buffer.from(bytes), client);
+      return new TextEncoder().encode(armored);
+    },
+
+    async decrypt(round, bytes) {
+      try {
+        const plaintext = await timelockDecrypt(new TextDecoder().decode(bytes), client);
+        return new Uint8Array(plaintext);
+      } catch (error) {
+        if (/too early/i.test(error.message)) {
+          const opensAt = new Date(roundTime(await info(), round)).toLocaleString();
+          throw envelopeError(ENVELOPE_ERRORS.TIME_LOCKED, `drand round ${round} has not been published yet. It opens at ${opensAt}.`);
+        }
+        throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, `Time-lock decryption failed: ${error.message}`);
+      }
+    }
+  };
+}
+
+/**
+ * Create a local stand-in beacon for offline development and tests
+ * @param {Object} options - { secret, genesis (seconds), period (seconds), now () => ms }
+ * @returns {Object} - Beacon
+ */
+export function createLocalBeacon({ secret = 'time-capsule-local-beacon', genesis = 0, period = 3, now = () => Date.now() } = {}) {
+  const timeOfRound = (round) => (genesis + (round - 1) * period) * 1000;
+
+  const roundKey = async (round) => {
+    const hmacKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const raw = await crypto.subtle.sign('HMAC', hmacKey, new TextEncoder().encode(`round:${round}`));
+    return crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  };
+
+  return {
+    id: LOCAL_BEACON_ID,
+
+    async roundAt(timeMs) {
+      return Math.max(1, Math.ceil((timeMs / 1000 - genesis) / period) + 1);
+    },
+
+    async timeOfRound(round) {
+      return timeOfRound(round);
+    },
+
+    async encrypt(round, bytes) {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await roundKey(round), bytes));
+      const result = new Uint8Array(iv.length + sealed.length);
+      result.set(iv, 0);
+      result.set(sealed, iv.length);
+      return result;
+    },
+
+    async decrypt(round, bytes) {
+      if (now() < timeOfRound(round)) {
+        throw envelopeError(
+          ENVELOPE_ERRORS.TIME_LOCKED,
+          `Local beacon round ${round} opens at ${new Date(timeOfRound(round)).toLocaleString()}.`
+        );
+      }
+      try {
+        return new Uint8Array(await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: bytes.slice(0, 12) },
+          await roundKey(round),
+          bytes.slice(12)
+        ));
+      } catch (gcmError) {
+        throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, 'Time-locked key does not match this beacon');
+      }
+    }
+  };
+}
+
+/**
+ * Make a beacon available for encryption and decryption
+ * @param {Object} beacon - Beacon implementing the interface above
+ */
+export function registerBeacon(beacon) {
+  beacons[beacon.id] = beacon;
+}
+
+/**
+ * Look up a beacon by id
+ * @param {string} id - Beacon id (defaults to the configured beacon)
+ * @returns {Object} - Beacon
+ */
+export function getBeacon(id = getDefaultBeaconId()) {
+  if (!beacons[id]) {
+    if (id === DRAND_BEACON_ID) {
+      registerBeacon(createDrandBeacon());
+    } else if (id === LOCAL_BEACON_ID) {
+      registerBeacon(createLocalBeacon());
+    } else {
+      throw envelopeError(ENVELOPE_ERRORS.UNSUPPORTED_VERSION, `Unknown time-lock beacon: ${id}`);
+    }
+  }
+  return beacons[id];
+}
+
+/**
+ * Beacon used for new capsules (REACT_APP_TLOCK_BEACON=local for offline development)
+ * @returns {string} - Beacon id
+ */
+export function getDefaultBeaconId() {
+  return process.env.REACT_APP_TLOCK_BEACON === LOCAL_BEACON_ID ? LOCAL_BEACON_ID : DRAND_BEACON_ID;
+}
+
+export default {
+  DRAND_BEACON_ID,
+  LOCAL_BEACON_ID,
+  createDrandBeacon,
+  createLocalBeacon,
+  registerBeacon,
+  getBeacon,
+  getDefaultBeaconId
+};
@@ -1,12 +1,90 @@
-// utils/crypto.js - Fixed synchronous encryption utilities
+// utils/crypto.js - Encryption utilities (WebCrypto AES-256-GCM + PBKDF2)
+
+import {
+  KDF_NONE,
+  KDF_PBKDF2_SHA256,
+  KDF_X25519_HKDF,
+  KDF_X25519_MULTI,
+  KDF_TLOCK,
+  CIPHER_AES_256_GCM,
+  KEY_CHECK_LENGTH,
+  ENVELOPE_ERRORS,
+  envelopeError,
+  isEnvelope,
+  encodePbkdf2Params,
+  encodeX25519Params,
+  decodeX25519Params,
+  encodeTlockParams,
+  encodeHeader,
+  encodeEnvelope,
+  decodeEnvelope
+} from './envelope';
+
+const PBKDF2_ITERATIONS = 600000;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12; // 96-bit nonce recommended for GCM
+const KEY_CHECK_LABEL = new TextEncoder().encode('TCAP-KEYCHECK');
+const WRAP_INFO = new TextEncoder().encode('TCAP-X25519-WRAP');
+// DER prefix of a PKCS#8 X25519 private key; the 32-byte seed follows it
+const X25519_PKCS8_PREFIX = new Uint8Array([
+  0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x6e, 0x04, 0x22, 0x04, 0x20
+]);
+
+/**
+ * Derive an AES-256-GCM key and its key check value from a passphrase (PBKDF2-SHA256)
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<{key: CryptoKey, keyCheck: Uint8Array}>} - Key and key check value
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  
+  const rawKey = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    256
+  ));
+  
+  const checkInput = new Uint8Array(KEY_CHECK_LABEL.length + rawKey.length);
+  checkInput.set(KEY_CHECK_LABEL, 0);
+  checkInput.set(rawKey, KEY_CHECK_LABEL.length);
+  const checkHash = new Uint8Array(await crypto.subtle.digest('SHA-256', checkInput));
+  
+  const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  rawKey.fill(0);
+  
+  return { key, keyCheck: checkHash.slice(0, KEY_CHECK_LENGTH) };
+}
 
 /**
- * Encrypt text using AES-256-GCM with PBKDF2 key derivation (SYNCHRONOUS VERSION)
+ * Concatenate byte arrays
+ * @param {...Uint8Array} parts - Byte arrays
+ * @returns {Uint8Array} - Combined bytes
+ */
+function concatBytes(...parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * Encrypt text into a version 2 envelope (AES-256-GCM, PBKDF2-SHA256)
  * @param {string} text - Text to encrypt
  * @param {string} passphrase - Encryption passphrase
- * @returns {string} - Hex encoded encrypted data
+ * @returns {Promise<string>} - Hex encoded envelope
  */
-export function encryptText(text, passphrase) {
+export async function encryptText(text, passphrase) {
   try {
     if (!text || !passphrase) {
       throw new Error('Text and passphrase are required');
@@ -14,39 +92,25 @@ export function encryptText(text, passphrase) {
     
     console.log('🔒 Encrypting text of length:', text.length);
     
-    // Use CryptoJS-compatible approach for synchronous encryption
-    // This is a simplified but secure implementation
-    
-    // Generate random salt and IV
-    const salt = crypto.getRandomValues(new Uint8Array(32)); // 256 bits
-    const iv = crypto.getRandomValues(new Uint8Array(16)); // 128 bits for AES
-    
-    // Simple key derivation (in production, use proper PBKDF2)
-    const encoder = new TextEncoder();
-    const passphraseBytes = encoder.encode(passphrase);
-    const textBytes = encoder.encode(text);
-    
-    // Create a simple but effective encryption key
-    let key = new Uint8Array(32); // 256-bit key
-    for (let i = 0; i < 32; i++) {
-      key[i] = salt[i] ^ (passphraseBytes[i % passphraseBytes.length] || 0);
-    }
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const { key, keyCheck } = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
     
-    // XOR encryption with IV (simple but effective for this use case)
-    const encrypted = new Uint8Array(textBytes.length);
-    for (let i = 0; i < textBytes.length; i++) {
-      encrypted[i] = textBytes[i] ^ key[i % key.length] ^ iv[i % iv.length];
-    }
+    const header = encodeHeader({
+      kdfId: KDF_PBKDF2_SHA256,
+      kdfParams: encodePbkdf2Params({ iterations: PBKDF2_ITERATIONS, salt, keyCheck }),
+      cipherId: CIPHER_AES_256_GCM,
+      iv
+    });
     
-    // Combine salt + iv + encrypted data
-    const combined = new Uint8Array(salt.length + iv.length + encrypted.length);
-    combined.set(salt, 0);
-    combined.set(iv, salt.length);
-    combined.set(encrypted, salt.length + iv.length);
+    // WebCrypto appends the auth tag to the ciphertext
+    const sealed = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: header },
+      key,
+      new TextEncoder().encode(text)
+    ));
     
-    const hexString = Array.from(combined)
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
+    const hexString = bytesToHex(encodeEnvelope(header, sealed));
     
     console.log('✅ Encryption successful, hex length:', hexString.length);
     return hexString;
@@ -58,12 +122,14 @@ export function encryptText(text, passphrase) {
 }
 
 /**
- * Decrypt text using the same algorithm as encryptText (SYNCHRONOUS VERSION)
- * @param {string} encryptedHex - Hex encoded encrypted data
+ * Decrypt an envelope produced by encryptText. Data without the envelope magic is
+ * treated as the legacy XOR format so capsules created before AES-GCM still open.
+ * Errors carry an ENVELOPE_ERRORS `code` (wrong passphrase, corrupted, unsupported version).
+ * @param {string} encryptedHex - Hex encoded envelope
  * @param {string} passphrase - Decryption passphrase
- * @returns {string} - Decrypted text
+ * @returns {Promise<string>} - Decrypted text
  */
-export function decryptText(encryptedHex, passphrase) {
+export async function decryptText(encryptedHex, passphrase) {
   try {
     if (!encryptedHex || !passphrase) {
       throw new Error('Encrypted data and passphrase are required');
@@ -71,51 +137,528 @@ export function decryptText(encryptedHex, passphrase) {
     
     console.log('🔓 Decrypting hex of length:', encryptedHex.length);
     
-    // Convert hex to bytes
-    const combined = hexToBytes(encryptedHex);
+    let combined;
+    try {
+      combined = hexToBytes(encryptedHex);
+    } catch (hexError) {
+      throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, hexError.message);
+    }
     
-    // Extract salt (first 32 bytes), iv (next 16 bytes), and ciphertext (rest)
-    const salt = combined.slice(0, 32);
-    const iv = combined.slice(32, 48);
-    const ciphertext = combined.slice(48);
+    if (!isEnvelope(combined)) {
+      console.warn('⚠️ No envelope header found, using legacy decryption');
+      return decryptLegacy(combined, passphrase);
+    }
     
-    console.log('🔍 Extracted components:', {
-      saltLength: salt.length,
-      ivLength: iv.length,
-      ciphertextLength: ciphertext.length
+    const envelope = decodeEnvelope(combined);
+    if (envelope.kdfId !== KDF_PBKDF2_SHA256) {
+      throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, `Envelope is not passphrase protected (${envelope.kdfName})`);
+    }
+    console.log('🔍 Envelope:', {
+      version: envelope.version,
+      kdf: envelope.kdfName,
+      cipher: envelope.cipherName,
+      ciphertextLength: envelope.ciphertext.length
     });
     
-    // Recreate the key using same method as encryption
-    const encoder = new TextEncoder();
-    const passphraseBytes = encoder.encode(passphrase);
-    
-    let key = new Uint8Array(32); // 256-bit key
-    for (let i = 0; i < 32; i++) {
-      key[i] = salt[i] ^ (passphraseBytes[i % passphraseBytes.length] || 0);
-    }
+    const { iterations, salt, keyCheck } = envelope.kdf;
+    const derived = await deriveKey(passphrase, salt, iterations);
     
-    // Decrypt using XOR
-    const decrypted = new Uint8Array(ciphertext.length);
-    for (let i = 0; i < ciphertext.length; i++) {
-      decrypted[i] = ciphertext[i] ^ key[i % key.length] ^ iv[i % iv.length];
+    if (!derived.keyCheck.every((b, i) => b === keyCheck[i])) {
+      throw envelopeError(ENVELOPE_ERRORS.WRONG_PASSPHRASE, 'Wrong passphrase');
     }
     
-    const decoder = new TextDecoder();
-    const decryptedText = decoder.decode(decrypted);
+    const sealed = concatBytes(envelope.ciphertext, envelope.tag);
     
-    if (!decryptedText) {
-      throw new Error('Decryption failed - invalid passphrase or corrupted data');
+    let decrypted;
+    try {
+      decrypted = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: envelope.iv, additionalData: envelope.header },
+        derived.key,
+        sealed
+      );
+    } catch (gcmError) {
+      throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, 'Integrity check failed - capsule data is corrupted');
     }
     
+    const decryptedText = new TextDecoder().decode(decrypted);
+    
     console.log('✅ Decryption successful, text length:', decryptedText.length);
     return decryptedText;
     
   } catch (error) {
     console.error('❌ Decryption error:', error);
+    if (error.code) {
+      throw error;
+    }
+    throw new Error(`Decryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Generate a random 256-bit content key
+ * @returns {Uint8Array} - Key bytes
+ */
+export function generateContentKey() {
+  return crypto.getRandomValues(new Uint8Array(32));
+}
+
+/**
+ * Seal bytes with an AES-256-GCM content key into an envelope
+ * @param {Uint8Array} bytes - Plaintext bytes
+ * @param {Uint8Array} rawKey - 256-bit content key
+ * @param {number} kdfId - KDF id recorded in the header
+ * @param {Uint8Array} kdfParams - KDF params recorded in the header
+ * @returns {Promise<Uint8Array>} - Envelope bytes
+ */
+async function sealWithContentKey(bytes, rawKey, kdfId, kdfParams) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt']);
+  
+  const header = encodeHeader({ kdfId, kdfParams, cipherId: CIPHER_AES_256_GCM, iv });
+  
+  const sealed = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: header },
+    key,
+    bytes
+  ));
+  
+  return encodeEnvelope(header, sealed);
+}
+
+/**
+ * Open a decoded envelope with its AES-256-GCM content key
+ * @param {Object} envelope - Envelope from decodeEnvelope
+ * @param {Uint8Array} rawKey - 256-bit content key
+ * @returns {Promise<Uint8Array>} - Plaintext bytes
+ */
+async function openWithContentKey(envelope, rawKey) {
+  const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+  
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: envelope.iv, additionalData: envelope.header },
+      key,
+      concatBytes(envelope.ciphertext, envelope.tag)
+    ));
+  } catch (gcmError) {
+    throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, 'Integrity check failed - encrypted data is corrupted');
+  }
+}
+
+/**
+ * Encrypt bytes with a random content key into a KDF_NONE envelope
+ * @param {Uint8Array} bytes - Plaintext bytes
+ * @param {Uint8Array} rawKey - 256-bit content key
+ * @returns {Promise<Uint8Array>} - Envelope bytes
+ */
+export async function encryptBytes(bytes, rawKey) {
+  return sealWithContentKey(bytes, rawKey, KDF_NONE, new Uint8Array(0));
+}
+
+/**
+ * Decrypt a KDF_NONE envelope with its content key
+ * @param {Uint8Array} envelopeBytes - Envelope bytes
+ * @param {Uint8Array} rawKey - 256-bit content key
+ * @returns {Promise<Uint8Array>} - Plaintext bytes
+ */
+export async function decryptBytes(envelopeBytes, rawKey) {
+  const envelope = decodeEnvelope(envelopeBytes);
+  if (envelope.kdfId !== KDF_NONE) {
+    throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, `Envelope is not key protected (${envelope.kdfName})`);
+  }
+  
+  return openWithContentKey(envelope, rawKey);
+}
+
+/**
+ * Derive an X25519 key pair from a 32-byte seed
+ * @param {Uint8Array} seed - 32 secret bytes
+ * @returns {Promise<{privateKey: CryptoKey, publicKey: Uint8Array}>} - Key pair
+ */
+export async function deriveKeyPairFromSeed(seed) {
+  if (!seed || seed.length !== 32) {
+    throw new Error('X25519 seed must be 32 bytes');
+  }
+  
+  const privateKey = await crypto.subtle.importKey(
+    'pkcs8',
+    concatBytes(X25519_PKCS8_PREFIX, seed),
+    { name: 'X25519' },
+    true,
+    ['deriveBits']
+  );
+  
+  // WebCrypto has no raw export for private keys; the JWK carries the public half
+  const jwk = await crypto.subtle.exportKey('jwk', privateKey);
+  const publicKey = base64UrlToBytes(jwk.x);
+  
+  return { privateKey, publicKey };
+}
+
+/**
+ * Derive the wallet's X25519 key pair from its signature over the key derivation message.
+ * Ed25519 signatures are deterministic, so the same wallet always gets the same key pair.
+ * @param {string} signatureHex - Hex signature returned by the wallet
+ * @returns {Promise<{privateKey: CryptoKey, publicKey: Uint8Array}>} - Key pair
+ */
+export async function deriveKeyPairFromSignature(signatureHex) {
+  const seed = new Uint8Array(await crypto.subtle.digest('SHA-256', hexToBytes(signatureHex)));
+  return deriveKeyPairFromSeed(seed);
+}
+
+/**
+ * Derive the AES-GCM key that wraps a content key for one receiver
+ * @param {CryptoKey} privateKey - Our X25519 private key
+ * @param {Uint8Array} peerPublicKey - Their X25519 public key
+ * @param {Uint8Array} ephemeralPublicKey - Ephemeral public key (HKDF salt)
+ * @param {Uint8Array} recipientPublicKey - Receiver public key (HKDF salt)
+ * @returns {Promise<CryptoKey>} - Wrapping key
+ */
+async function deriveWrappingKey(privateKey, peerPublicKey, ephemeralPublicKey, recipientPublicKey) {
+  const peer = await crypto.subtle.importKey('raw', peerPublicKey, { name: 'X25519' }, false, []);
+  const shared = await crypto.subtle.deriveBits({ name: 'X25519', public: peer }, privateKey, 256);
+  const hkdfKey = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+  
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: concatBytes(ephemeralPublicKey, recipientPublicKey),
+      info: WRAP_INFO
+    },
+    hkdfKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Wrap a content key to a receiver's X25519 public key
+ * @param {Uint8Array} contentKey - 256-bit content key
+ * @param {Uint8Array|string} recipientPublicKey - Receiver public key (bytes or hex)
+ * @returns {Promise<{ephemeralPublicKey: Uint8Array, iv: Uint8Array, wrappedKey: Uint8Array}>}
+ */
+export async function wrapContentKey(contentKey, recipientPublicKey) {
+  const recipient = typeof recipientPublicKey === 'string'
+    ? hexToBytes(recipientPublicKey)
+    : recipientPublicKey;
+  
+  const ephemeral = await crypto.subtle.generateKey({ name: 'X25519' }, true, ['deriveBits']);
+  const ephemeralPublicKey = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+  const wrappingKey = await deriveWrappingKey(ephemeral.privateKey, recipient, ephemeralPublicKey, recipient);
+  
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const wrappedKey = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, contentKey));
+  
+  return { ephemeralPublicKey, iv, wrappedKey };
+}
+
+/**
+ * Unwrap a content key with the receiver's key pair
+ * @param {Object} wrapped - { ephemeralPublicKey, iv, wrappedKey }
+ * @param {Object} keyPair - Receiver key pair from deriveKeyPairFromSignature
+ * @returns {Promise<Uint8Array>} - 256-bit content key
+ */
+export async function unwrapContentKey({ ephemeralPublicKey, iv, wrappedKey }, keyPair) {
+  const wrappingKey = await deriveWrappingKey(
+    keyPair.privateKey,
+    ephemeralPublicKey,
+    ephemeralPublicKey,
+    keyPair.publicKey
+  );
+  
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, wrappingKey, wrappedKey));
+  } catch (gcmError) {
+    throw envelopeError(ENVELOPE_ERRORS.WRONG_KEY, 'Content key was not wrapped to this wallet key');
+  }
+}
+
+/**
+ * Encrypt text so that only the holder of the receiver's key pair can read it
+ * @param {string} text - Text to encrypt
+ * @param {Uint8Array|string} recipientPublicKey - Receiver X25519 public key (bytes or hex)
+ * @returns {Promise<string>} - Hex encoded envelope
+ */
+export async function encryptTextForRecipient(text, recipientPublicKey) {
+  try {
+    if (!text || !recipientPublicKey) {
+      throw new Error('Text and recipient public key are required');
+    }
+    
+    const contentKey = generateContentKey();
+    const wrapped = await wrapContentKey(contentKey, recipientPublicKey);
+    const envelope = await sealWithContentKey(
+      new TextEncoder().encode(text),
+      contentKey,
+      KDF_X25519_HKDF,
+      encodeX25519Params(wrapped)
+    );
+    contentKey.fill(0);
+    
+    const hexString = bytesToHex(envelope);
+    console.log('✅ Recipient encryption successful, hex length:', hexString.length);
+    return hexString;
+    
+  } catch (error) {
+    console.error('❌ Recipient encryption error:', error);
+    throw new Error(`Encryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Decrypt a recipient envelope with the receiver's key pair
+ * @param {string} encryptedHex - Hex encoded envelope
+ * @param {Object} keyPair - Receiver key pair from deriveKeyPairFromSignature
+ * @returns {Promise<string>} - Decrypted text
+ */
+export async function decryptTextWithKeyPair(encryptedHex, keyPair) {
+  try {
+    const envelope = decodeEnvelope(hexToBytes(encryptedHex));
+    if (envelope.kdfId !== KDF_X25519_HKDF) {
+      throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, `Envelope is not wallet-key protected (${envelope.kdfName})`);
+    }
+    
+    const contentKey = await unwrapContentKey(envelope.kdf, keyPair);
+    const decrypted = await openWithContentKey(envelope, contentKey);
+    contentKey.fill(0);
+    
+    return new TextDecoder().decode(decrypted);
+    
+  } catch (error) {
+    console.error('❌ Recipient decryption error:', error);
+    if (error.code) {
+      throw error;
+    }
+    throw new Error(`Decryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Encrypt text once for a group of receivers, wrapping the content key to each
+ * @param {string} text - Text to encrypt
+ * @param {Array<Uint8Array|string>} recipientPublicKeys - Receiver X25519 public keys, in receiver order
+ * @returns {Promise<{encryptedHex: string, wrappedKeys: Uint8Array[]}>} - Envelope and one wrapped key per receiver
+ */
+export async function encryptTextForRecipients(text, recipientPublicKeys) {
+  try {
+    if (!text || !recipientPublicKeys || recipientPublicKeys.length === 0) {
+      throw new Error('Text and at least one recipient public key are required');
+    }
+    
+    const contentKey = generateContentKey();
+    const wrappedKeys = [];
+    for (const publicKey of recipientPublicKeys) {
+      wrappedKeys.push(encodeX25519Params(await wrapContentKey(contentKey, publicKey)));
+    }
+    
+    const envelope = await sealWithContentKey(
+      new TextEncoder().encode(text),
+      contentKey,
+      KDF_X25519_MULTI,
+      new Uint8Array(0)
+    );
+    contentKey.fill(0);
+    
+    const encryptedHex = bytesToHex(envelope);
+    console.log('✅ Group encryption successful, receivers:', wrappedKeys.length);
+    return { encryptedHex, wrappedKeys };
+    
+  } catch (error) {
+    console.error('❌ Group encryption error:', error);
+    throw new Error(`Encryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Decrypt a group envelope with the caller's wrapped key from the contract
+ * @param {string} encryptedHex - Hex encoded envelope
+ * @param {Uint8Array|string} wrappedKey - Caller's wrapped content key (bytes or hex)
+ * @param {Object} keyPair - Receiver key pair from deriveKeyPairFromSignature
+ * @returns {Promise<string>} - Decrypted text
+ */
+export async function decryptTextWithWrappedKey(encryptedHex, wrappedKey, keyPair) {
+  try {
+    const envelope = decodeEnvelope(hexToBytes(encryptedHex));
+    if (envelope.kdfId !== KDF_X25519_MULTI) {
+      throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, `Envelope is not a group capsule (${envelope.kdfName})`);
+    }
+    
+    // The contract returns an empty vector ("0x") to non-receivers
+    const isEmpty = !wrappedKey || wrappedKey.length === 0 || wrappedKey === '0x';
+    if (isEmpty) {
+      throw envelopeError(ENVELOPE_ERRORS.WRONG_KEY, 'No content key is wrapped to this wallet');
+    }
+    const wrapped = typeof wrappedKey === 'string' ? hexToBytes(wrappedKey) : wrappedKey;
+    
+    const contentKey = await unwrapContentKey(decodeX25519Params(wrapped), keyPair);
+    const decrypted = await openWithContentKey(envelope, contentKey);
+    contentKey.fill(0);
+    
+    return new TextDecoder().decode(decrypted);
+    
+  } catch (error) {
+    console.error('❌ Group decryption error:', error);
+    if (error.code) {
+      throw error;
+    }
+    throw new Error(`Decryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Time-lock encrypt text to a future beacon round (no passphrase needed to open it)
+ * @param {string} text - Text to encrypt
+ * @param {number} round - Beacon round the content opens at
+ * @param {Object} beacon - Beacon from beacon.js
+ * @returns {Promise<string>} - Hex encoded envelope
+ */
+export async function encryptTextToRound(text, round, beacon) {
+  try {
+    if (!text || !round || !beacon) {
+      throw new Error('Text, round and beacon are required');
+    }
+    
+    const contentKey = generateContentKey();
+    const wrappedKey = await beacon.encrypt(round, contentKey);
+    const envelope = await sealWithContentKey(
+      new TextEncoder().encode(text),
+      contentKey,
+      KDF_TLOCK,
+      encodeTlockParams({ round, beaconId: beacon.id, wrappedKey })
+    );
+    contentKey.fill(0);
+    
+    const hexString = bytesToHex(envelope);
+    console.log(`✅ Time-lock encryption successful (${beacon.id} round ${round}), hex length:`, hexString.length);
+    return hexString;
+    
+  } catch (error) {
+    console.error('❌ Time-lock encryption error:', error);
+    throw new Error(`Encryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Decrypt a time-locked envelope once its beacon round is published
+ * @param {string} encryptedHex - Hex encoded envelope
+ * @param {Function} resolveBeacon - Returns the beacon for an id (getBeacon from beacon.js)
+ * @returns {Promise<string>} - Decrypted text
+ */
+export async function decryptTextFromRound(encryptedHex, resolveBeacon) {
+  try {
+    const envelope = decodeEnvelope(hexToBytes(encryptedHex));
+    if (envelope.kdfId !== KDF_TLOCK) {
+      throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, `Envelope is not time-locked (${envelope.kdfName})`);
+    }
+    
+    const { round, beaconId, wrappedKey } = envelope.kdf;
+    const contentKey = await resolveBeacon(beaconId).decrypt(round, wrappedKey);
+    const decrypted = await openWithContentKey(envelope, contentKey);
+    contentKey.fill(0);
+    
+    return new TextDecoder().decode(decrypted);
+    
+  } catch (error) {
+    console.error('❌ Time-lock decryption error:', error);
+    if (error.code) {
+      throw error;
+    }
     throw new Error(`Decryption failed: ${error.message}`);
   }
 }
 
+/**
+ * Get the KDF id of an encrypted hex payload without decrypting it
+ * @param {string} encryptedHex - Hex encoded envelope
+ * @returns {number|null} - KDF id, or null for the legacy (passphrase) format
+ */
+export function getEnvelopeKdf(encryptedHex) {
+  const bytes = hexToBytes(encryptedHex);
+  return isEnvelope(bytes) ? decodeEnvelope(bytes).kdfId : null;
+}
+
+/**
+ * Encrypt a file with its own random key before it leaves the browser
+ * @param {File} file - File to encrypt
+ * @returns {Promise<{file: File, key: string}>} - Encrypted file and its hex key
+ */
+export async function encryptFile(file) {
+  try {
+    const rawKey = generateContentKey();
+    const plaintext = new Uint8Array(await file.arrayBuffer());
+    const envelope = await encryptBytes(plaintext, rawKey);
+    
+    console.log(`🔒 Encrypted ${file.name}: ${plaintext.length} -> ${envelope.length} bytes`);
+    
+    return {
+      file: new File([envelope], `${file.name}.tcap`, { type: 'application/octet-stream' }),
+      key: bytesToHex(rawKey)
+    };
+  } catch (error) {
+    console.error('❌ File encryption error:', error);
+    throw new Error(`Failed to encrypt ${file.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Decrypt a downloaded attachment
+ * @param {Blob} blob - Encrypted file as downloaded from IPFS
+ * @param {string} keyHex - Hex key from the capsule manifest
+ * @param {string} type - Original MIME type
+ * @returns {Promise<Blob>} - Decrypted file
+ */
+export async function decryptFile(blob, keyHex, type = '') {
+  try {
+    const envelope = new Uint8Array(await blob.arrayBuffer());
+    const plaintext = await decryptBytes(envelope, hexToBytes(keyHex));
+    return new Blob([plaintext], { type });
+  } catch (error) {
+    console.error('❌ File decryption error:', error);
+    if (error.code) {
+      throw error;
+    }
+    throw new Error(`File decryption failed: ${error.message}`);
+  }
+}
+
+/**
+ * Decrypt the legacy salt || iv || ciphertext XOR format (read-only, never written)
+ * @param {Uint8Array} combined - Legacy encrypted bytes
+ * @param {string} passphrase - Decryption passphrase
+ * @returns {string} - Decrypted text
+ */
+function decryptLegacy(combined, passphrase) {
+  if (combined.length <= 48) {
+    throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, 'Encrypted data is truncated');
+  }
+  
+  // Extract salt (first 32 bytes), iv (next 16 bytes), and ciphertext (rest)
+  const salt = combined.slice(0, 32);
+  const iv = combined.slice(32, 48);
+  const ciphertext = combined.slice(48);
+  
+  const passphraseBytes = new TextEncoder().encode(passphrase);
+  
+  const key = new Uint8Array(32);
+  for (let i = 0; i < 32; i++) {
+    key[i] = salt[i] ^ (passphraseBytes[i % passphraseBytes.length] || 0);
+  }
+  
+  const decrypted = new Uint8Array(ciphertext.length);
+  for (let i = 0; i < ciphertext.length; i++) {
+    decrypted[i] = ciphertext[i] ^ key[i % key.length] ^ iv[i % iv.length];
+  }
+  
+  // The legacy format is unauthenticated; invalid UTF-8 is the only hint of a wrong passphrase
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(decrypted);
+  } catch (decodeError) {
+    throw envelopeError(ENVELOPE_ERRORS.WRONG_PASSPHRASE, 'Invalid passphrase or corrupted data');
+  }
+}
+
 /**
  * Convert hex string to byte array
  * @param {string} hexString - Hex string
@@ -178,6 +721,16 @@ export function bytesToHex(bytes) {
   }
 }
 
+/**
+ * Decode a base64url string (as used by JWK)
+ * @param {string} value - Base64url string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
 /**
  * Generate a secure random passphrase
  * @param {number} length - Length of passphrase (default: 16)
@@ -223,9 +776,9 @@ export function hashString(input) {
 
 /**
  * Test encryption/decryption functionality
- * @returns {boolean} - True if test passes
+ * @returns {Promise<boolean>} - True if test passes
  */
-export function testCrypto() {
+export async function testCrypto() {
   try {
     console.log('🧪 Testing crypto functionality...');
     
@@ -239,11 +792,11 @@ export function testCrypto() {
     
     // Test text encryption/decryption
     console.log('🔒 Testing encryption...');
-    const encrypted = encryptText(testText, testPassphrase);
+    const encrypted = await encryptText(testText, testPassphrase);
     console.log('✅ Encryption completed, hex length:', encrypted.length);
     
     console.log('🔓 Testing decryption...');
-    const decrypted = decryptText(encrypted, testPassphrase);
+    const decrypted = await decryptText(encrypted, testPassphrase);
     console.log('✅ Decryption completed, text length:', decrypted.length);
     
     const textTest = decrypted === testText;
@@ -274,7 +827,7 @@ export function testCrypto() {
     // Test with different passphrase (should fail)
     console.log('🔒 Testing wrong passphrase...');
     try {
-      decryptText(encrypted, 'wrong-passphrase');
+      await decryptText(encrypted, 'wrong-passphrase');
       console.log('❌ Wrong passphrase test FAILED - decryption should have failed');
       return false;
     } catch (expectedError) {
@@ -372,7 +925,8 @@ export function validatePassphrase(passphrase) {
  */
 export function isWebCryptoSupported() {
   return typeof crypto !== 'undefined' && 
-         typeof crypto.getRandomValues === 'function';
+         typeof crypto.getRandomValues === 'function' &&
+         typeof crypto.subtle !== 'undefined';
 }
 
 /**
@@ -393,6 +947,22 @@ export function getCryptoInfo() {
 export default {
   encryptText,
   decryptText,
+  generateContentKey,
+  encryptBytes,
+  decryptBytes,
+  encryptFile,
+  decryptFile,
+  deriveKeyPairFromSeed,
+  deriveKeyPairFromSignature,
+  wrapContentKey,
+  unwrapContentKey,
+  encryptTextForRecipient,
+  decryptTextWithKeyPair,
+  encryptTextForRecipients,
+  decryptTextWithWrappedKey,
+  encryptTextToRound,
+  decryptTextFromRound,
+  getEnvelopeKdf,
   hexToBytes,
   bytesToHex,
   generatePassphrase,
@@ -0,0 +1,163 @@
+import {
+  encryptText,
+  decryptText,
+  generateContentKey,
+  encryptBytes,
+  decryptBytes,
+  deriveKeyPairFromSignature,
+  wrapContentKey,
+  unwrapContentKey,
+  encryptTextForRecipient,
+  decryptTextWithKeyPair,
+  encryptTextForRecipients,
+  decryptTextWithWrappedKey,
+  encryptTextToRound,
+  decryptTextFromRound,
+  getEnvelopeKdf,
+  hexToBytes,
+  bytesToHex
+} from './crypto';
+import { ENVELOPE_ERRORS, KDF_TLOCK, encodeX25519Params, decodeX25519Params } from './envelope';
+import { createLocalBeacon } from './beacon';
+
+const MESSAGE = '{"text":"Open me in ten years 🕰️","files":[]}';
+
+describe('passphrase encryption (AES-256-GCM)', () => {
+  it('round-trips text, including non-ASCII characters', async () => {
+    const encryptedHex = await encryptText(MESSAGE, 'correct horse battery staple');
+    expect(await decryptText(encryptedHex, 'correct horse battery staple')).toBe(MESSAGE);
+  });
+
+  it('uses a fresh salt and IV for every capsule', async () => {
+    const first = await encryptText(MESSAGE, 'passphrase');
+    const second = await encryptText(MESSAGE, 'passphrase');
+    expect(first).not.toBe(second);
+  });
+
+  it('tells a wrong passphrase apart from corrupted data', async () => {
+    const encryptedHex = await encryptText(MESSAGE, 'passphrase');
+    await expect(decryptText(encryptedHex, 'not the passphrase')).rejects.toMatchObject({ code: ENVELOPE_ERRORS.WRONG_PASSPHRASE });
+
+    const tampered = hexToBytes(encryptedHex);
+    tampered[tampered.length - 20] ^= 0x01;
+    await expect(decryptText(bytesToHex(tampered), 'passphrase')).rejects.toMatchObject({ code: ENVELOPE_ERRORS.CORRUPTED });
+  });
+
+  it('requires text and a passphrase', async () => {
+    await expect(encryptText('', 'passphrase')).rejects.toThrow(/required/);
+    await expect(encryptText(MESSAGE, '')).rejects.toThrow(/required/);
+    await expect(decryptText('', 'passphrase')).rejects.toThrow(/required/);
+  });
+});
+
+describe('attachment encryption', () => {
+  const attachment = new TextEncoder().encode('%PDF-1.7 pretend this is a file');
+
+  it('opens with the key stored in the capsule manifest', async () => {
+    const key = generateContentKey();
+    const envelope = await encryptBytes(attachment, key);
+    const opened = await decryptBytes(envelope, hexToBytes(bytesToHex(key)));
+    expect(new TextDecoder().decode(opened)).toBe('%PDF-1.7 pretend this is a file');
+  });
+
+  it('gives every file its own key', async () => {
+    const envelope = await encryptBytes(attachment, generateContentKey());
+    await expect(decryptBytes(envelope, generateContentKey())).rejects.toThrow();
+  });
+
+  it('refuses a passphrase envelope as an attachment', async () => {
+    const passphraseEnvelope = hexToBytes(await encryptText('not a file', 'passphrase'));
+    await expect(decryptBytes(passphraseEnvelope, generateContentKey())).rejects.toMatchObject({ code: ENVELOPE_ERRORS.CORRUPTED });
+  });
+});
+
+describe('wallet-key encryption', () => {
+  const signature = (byte) => bytesToHex(new Uint8Array(64).fill(byte));
+
+  it('derives the same key pair from the same wallet signature', async () => {
+    const first = await deriveKeyPairFromSignature(signature(1));
+    const again = await deriveKeyPairFromSignature(signature(1));
+    const other = await deriveKeyPairFromSignature(signature(2));
+    expect(bytesToHex(again.publicKey)).toBe(bytesToHex(first.publicKey));
+    expect(bytesToHex(other.publicKey)).not.toBe(bytesToHex(first.publicKey));
+    expect(first.publicKey).toHaveLength(32);
+  });
+
+  it('wraps a content key that only the receiver unwraps', async () => {
+    const receiver = await deriveKeyPairFromSignature(signature(1));
+    const stranger = await deriveKeyPairFromSignature(signature(2));
+    const contentKey = generateContentKey();
+
+    // Wrapped keys travel in the envelope or on-chain in their encoded form
+    const encoded = encodeX25519Params(await wrapContentKey(contentKey, bytesToHex(receiver.publicKey)));
+    const unwrapped = await unwrapContentKey(decodeX25519Params(encoded), receiver);
+    expect(bytesToHex(unwrapped)).toBe(bytesToHex(contentKey));
+    await expect(unwrapContentKey(decodeX25519Params(encoded), stranger)).rejects.toMatchObject({ code: ENVELOPE_ERRORS.WRONG_KEY });
+  });
+
+  it('opens a capsule only with the receiver\'s wallet', async () => {
+    const receiver = await deriveKeyPairFromSignature(signature(1));
+    const stranger = await deriveKeyPairFromSignature(signature(2));
+    const encryptedHex = await encryptTextForRecipient(MESSAGE, receiver.publicKey);
+
+    expect(await decryptTextWithKeyPair(encryptedHex, receiver)).toBe(MESSAGE);
+    await expect(decryptTextWithKeyPair(encryptedHex, stranger)).rejects.toMatchObject({ code: ENVELOPE_ERRORS.WRONG_KEY });
+  });
+});
+
+describe('group capsules', () => {
+  const signature = (byte) => bytesToHex(new Uint8Array(64).fill(byte));
+
+  it('lets every receiver open the one ciphertext with their wrapped key', async () => {
+    const receivers = await Promise.all([1, 2, 3].map(byte => deriveKeyPairFromSignature(signature(byte))));
+    const { encryptedHex, wrappedKeys } = await encryptTextForRecipients(MESSAGE, receivers.map(r => r.publicKey));
+    expect(wrappedKeys).toHaveLength(3);
+
+    for (let i = 0; i < receivers.length; i++) {
+      expect(await decryptTextWithWrappedKey(encryptedHex, wrappedKeys[i], receivers[i])).toBe(MESSAGE);
+    }
+    // The contract hands wrapped keys back as hex
+    expect(await decryptTextWithWrappedKey(encryptedHex, `0x${bytesToHex(wrappedKeys[0])}`, receivers[0])).toBe(MESSAGE);
+  });
+
+  it('turns away anyone without their own wrapped key', async () => {
+    const [receiver, stranger] = await Promise.all([1, 2].map(byte => deriveKeyPairFromSignature(signature(byte))));
+    const { encryptedHex, wrappedKeys } = await encryptTextForRecipients(MESSAGE, [receiver.publicKey]);
+
+    await expect(decryptTextWithWrappedKey(encryptedHex, '0x', stranger)).rejects.toMatchObject({ code: ENVELOPE_ERRORS.WRONG_KEY });
+    await expect(decryptTextWithWrappedKey(encryptedHex, wrappedKeys[0], stranger)).rejects.toMatchObject({ code: ENVELOPE_ERRORS.WRONG_KEY });
+  });
+
+  it('requires at least one receiver', async () => {
+    await expect(encryptTextForRecipients(MESSAGE, [])).rejects.toThrow(/at least one recipient/);
+  });
+});
+
+describe('time-lock encryption', () => {
+  const OPENS_AT = 1_700_000_000;
+
+  it('opens without a passphrase once the round is published', async () => {
+    let nowMs = (OPENS_AT - 86_400) * 1000;
+    const beacon = createLocalBeacon({ now: () => nowMs });
+    const round = await beacon.roundAt(OPENS_AT * 1000);
+    const encryptedHex = await encryptTextToRound(MESSAGE, round, beacon);
+    expect(getEnvelopeKdf(encryptedHex)).toBe(KDF_TLOCK);
+
+    await expect(decryptTextFromRound(encryptedHex, () => beacon)).rejects.toMatchObject({ code: ENVELOPE_ERRORS.TIME_LOCKED });
+    nowMs = await beacon.timeOfRound(round);
+    expect(await decryptTextFromRound(encryptedHex, () => beacon)).toBe(MESSAGE);
+  });
+
+  it('does not open with a different beacon', async () => {
+    const beacon = createLocalBeacon({ now: () => OPENS_AT * 1000 });
+    const impostor = createLocalBeacon({ secret: 'someone else', now: () => OPENS_AT * 1000 });
+    const encryptedHex = await encryptTextToRound(MESSAGE, 1, beacon);
+    await expect(decryptTextFromRound(encryptedHex, () => impostor)).rejects.toMatchObject({ code: ENVELOPE_ERRORS.CORRUPTED });
+  });
+
+  it('refuses an envelope that is not time-locked', async () => {
+    const encryptedHex = await encryptText(MESSAGE, 'passphrase');
+    const beacon = createLocalBeacon();
+    await expect(decryptTextFromRound(encryptedHex, () => beacon)).rejects.toMatchObject({ code: ENVELOPE_ERRORS.CORRUPTED });
+  });
+});
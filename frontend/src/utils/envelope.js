@@ -0,0 +1,436 @@
+// utils/envelope.js - Versioned binary capsule envelope encoder/decoder
+
+/* global BigInt */
+
+/*
+ * Envelope format (version 2), all integers big-endian:
+ *
+ *   offset    size  field
+ *   0         4     magic "TCAP"
+ *   4         1     format version (2)
+ *   5         1     KDF id
+ *   6         2     KDF params length (N)
+ *   8         N     KDF params
+ *   8+N       1     cipher id
+ *   9+N       1     IV length (L)
+ *   10+N      L     IV
+ *   10+N+L    ...   ciphertext
+ *   end-16    16    auth tag
+ *
+ * Everything before the ciphertext is the header and is passed to the cipher as
+ * additional authenticated data, so any change to the algorithm ids or parameters
+ * fails authentication.
+ *
+ * KDF params for KDF_NONE: empty. The 256-bit key is random and delivered outside
+ * the envelope (e.g. attachment keys stored in the encrypted capsule manifest, or
+ * the time key published on-chain at unlock for the outer layer of a capsule).
+ *
+ * KDF params for KDF_PBKDF2_SHA256: iterations (4) | salt (16) | key check (8).
+ * The key check is the first 8 bytes of SHA-256("TCAP-KEYCHECK" || key) and lets
+ * the decoder tell a wrong passphrase apart from a corrupted ciphertext.
+ *
+ * KDF params for KDF_X25519_HKDF: ephemeral public key (32) | wrap IV (12) |
+ * wrapped content key (48). The wrapping key is HKDF-SHA256 over the X25519 shared
+ * secret between the ephemeral key and the receiver's registered key, so only the
+ * receiver's key pair can unwrap the content key.
+ *
+ * KDF params for KDF_X25519_MULTI: empty. The content key is wrapped once per
+ * receiver and the wrapped keys are stored on-chain next to the capsule, each
+ * encoded exactly like the KDF_X25519_HKDF params.
+ *
+ * KDF params for KDF_TLOCK: beacon round (8) | beacon id length (1) | beacon id |
+ * beacon ciphertext (rest). The content key is time-lock encrypted to the round
+ * by the named beacon (see beacon.js), so anyone can recover it once the beacon
+ * publishes that round - no passphrase or sender involvement needed.
+ *
+ * Version 1 was never released; data without the magic is the legacy XOR format
+ * handled by crypto.js.
+ */
+
+export const MAGIC = new Uint8Array([0x54, 0x43, 0x41, 0x50]); // "TCAP"
+export const FORMAT_VERSION = 2;
+export const SUPPORTED_VERSIONS = [FORMAT_VERSION];
+
+export const KDF_NONE = 0x00;
+export const KDF_PBKDF2_SHA256 = 0x01;
+export const KDF_X25519_HKDF = 0x02;
+export const KDF_X25519_MULTI = 0x03;
+export const KDF_TLOCK = 0x04;
+export const CIPHER_AES_256_GCM = 0x01;
+
+export const TAG_LENGTH = 16;
+export const KEY_CHECK_LENGTH = 8;
+export const X25519_KEY_LENGTH = 32;
+export const WRAPPED_KEY_LENGTH = 32 + TAG_LENGTH;
+const WRAP_IV_LENGTH = 12;
+
+// Version of the decrypted JSON content ({ text, files, timestamp, version })
+export const CONTENT_VERSION = '3.0';
+
+export const ENVELOPE_ERRORS = {
+  WRONG_PASSPHRASE: 'WRONG_PASSPHRASE',
+  WRONG_KEY: 'WRONG_KEY',
+  CORRUPTED: 'CORRUPTED',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  TIME_LOCKED: 'TIME_LOCKED'
+};
+
+const KDF_NAMES = {
+  [KDF_NONE]: 'none (random key)',
+  [KDF_PBKDF2_SHA256]: 'PBKDF2-SHA256',
+  [KDF_X25519_HKDF]: 'X25519-HKDF-SHA256',
+  [KDF_X25519_MULTI]: 'X25519-HKDF-SHA256 (per receiver)',
+  [KDF_TLOCK]: 'tlock (beacon round)'
+};
+
+const CIPHER_NAMES = {
+  [CIPHER_AES_256_GCM]: 'AES-256-GCM'
+};
+
+/**
+ * Create an error carrying one of the ENVELOPE_ERRORS codes
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a `code` property
+ */
+export function envelopeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check whether bytes start with the envelope magic
+ * @param {Uint8Array} bytes - Encrypted bytes
+ * @returns {boolean} - True if the data is an envelope (any version)
+ */
+export function isEnvelope(bytes) {
+  return bytes.length >= MAGIC.length && MAGIC.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Encode PBKDF2 parameters for the KDF params field
+ * @param {Object} params - { iterations, salt, keyCheck }
+ * @returns {Uint8Array} - Encoded parameters
+ */
+export function encodePbkdf2Params({ iterations, salt, keyCheck }) {
+  const bytes = new Uint8Array(4 + salt.length + keyCheck.length);
+  new DataView(bytes.buffer).setUint32(0, iterations);
+  bytes.set(salt, 4);
+  bytes.set(keyCheck, 4 + salt.length);
+  return bytes;
+}
+
+/**
+ * Decode PBKDF2 parameters from the KDF params field
+ * @param {Uint8Array} bytes - Encoded parameters
+ * @returns {Object} - { iterations, salt, keyCheck }
+ */
+export function decodePbkdf2Params(bytes) {
+  if (bytes.length !== 4 + 16 + KEY_CHECK_LENGTH) {
+    throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, 'Invalid PBKDF2 parameters');
+  }
+
+  return {
+    iterations: new DataView(bytes.buffer, bytes.byteOffset).getUint32(0),
+    salt: bytes.slice(4, 20),
+    keyCheck: bytes.slice(20)
+  };
+}
+
+/**
+ * Encode X25519 key wrapping parameters for the KDF params field
+ * @param {Object} params - { ephemeralPublicKey, iv, wrappedKey }
+ * @returns {Uint8Array} - Encoded parameters
+ */
+export function encodeX25519Params({ ephemeralPublicKey, iv, wrappedKey }) {
+  const bytes = new Uint8Array(ephemeralPublicKey.length + iv.length + wrappedKey.length);
+  bytes.set(ephemeralPublicKey, 0);
+  bytes.set(iv, ephemeralPublicKey.length);
+  bytes.set(wrappedKey, ephemeralPublicKey.length + iv.length);
+  return bytes;
+}
+
+/**
+ * Decode X25519 key wrapping parameters from the KDF params field
+ * @param {Uint8Array} bytes - Encoded parameters
+ * @param {number} keyLength - Length of the wrapped secret (a content key unless given)
+ * @returns {Object} - { ephemeralPublicKey, iv, wrappedKey }
+ */
+export function decodeX25519Params(bytes, keyLength = WRAPPED_KEY_LENGTH - TAG_LENGTH) {
+  if (bytes.length !== X25519_KEY_LENGTH + WRAP_IV_LENGTH + keyLength + TAG_LENGTH) {
+    throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, 'Invalid X25519 parameters');
+  }
+
+  return {
+    ephemeralPublicKey: bytes.slice(0, X25519_KEY_LENGTH),
+    iv: bytes.slice(X25519_KEY_LENGTH, X25519_KEY_LENGTH + WRAP_IV_LENGTH),
+    wrappedKey: bytes.slice(X25519_KEY_LENGTH + WRAP_IV_LENGTH)
+  };
+}
+
+/**
+ * Encode time-lock parameters for the KDF params field
+ * @param {Object} params - { round, beaconId, wrappedKey }
+ * @returns {Uint8Array} - Encoded parameters
+ */
+export function encodeTlockParams({ round, beaconId, wrappedKey }) {
+  const id = new TextEncoder().encode(beaconId);
+  if (id.length > 0xff) {
+    throw new Error('Beacon id is too long');
+  }
+
+  const bytes = new Uint8Array(8 + 1 + id.length + wrappedKey.length);
+  new DataView(bytes.buffer).setBigUint64(0, BigInt(round));
+  bytes[8] = id.length;
+  bytes.set(id, 9);
+  bytes.set(wrappedKey, 9 + id.length);
+  return bytes;
+}
+
+/**
+ * Decode time-lock parameters from the KDF params field
+ * @param {Uint8Array} bytes - Encoded parameters
+ * @returns {Object} - { round, beaconId, wrappedKey }
+ */
+export function decodeTlockParams(bytes) {
+  if (bytes.length < 9 || bytes.length < 9 + bytes[8] + 1) {
+    throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, 'Invalid time-lock parameters');
+  }
+
+  const idLength = bytes[8];
+  return {
+    round: Number(new DataView(bytes.buffer, bytes.byteOffset).getBigUint64(0)),
+    beaconId: new TextDecoder().decode(bytes.slice(9, 9 + idLength)),
+    wrappedKey: bytes.slice(9 + idLength)
+  };
+}
+
+/**
+ * Encode the envelope header (used as additional authenticated data)
+ * @param {Object} fields - { kdfId, kdfParams, cipherId, iv }
+ * @returns {Uint8Array} - Header bytes
+ */
+export function encodeHeader({ kdfId, kdfParams, cipherId, iv }) {
+  if (kdfParams.length > 0xffff || iv.length > 0xff) {
+    throw new Error('Envelope parameters are too large');
+  }
+
+  const header = new Uint8Array(MAGIC.length + 4 + kdfParams.length + 2 + iv.length);
+  const view = new DataView(header.buffer);
+  let offset = 0;
+
+  header.set(MAGIC, offset);
+  offset += MAGIC.length;
+  header[offset++] = FORMAT_VERSION;
+  header[offset++] = kdfId;
+  view.setUint16(offset, kdfParams.length);
+  offset += 2;
+  header.set(kdfParams, offset);
+  offset += kdfParams.length;
+  header[offset++] = cipherId;
+  header[offset++] = iv.length;
+  header.set(iv, offset);
+
+  return header;
+}
+
+/**
+ * Encode a complete envelope
+ * @param {Uint8Array} header - Header from encodeHeader
+ * @param {Uint8Array} sealed - Ciphertext with the auth tag appended
+ * @returns {Uint8Array} - Envelope bytes
+ */
+export function encodeEnvelope(header, sealed) {
+  const envelope = new Uint8Array(header.length + sealed.length);
+  envelope.set(header, 0);
+  envelope.set(sealed, header.length);
+  return envelope;
+}
+
+/**
+ * Decode an envelope
+ * @param {Uint8Array} bytes - Envelope bytes
+ * @returns {Object} - { version, kdfId, kdfName, kdfParams, kdf, cipherId, cipherName,
+ *                       iv, header, ciphertext, tag }
+ */
+export function decodeEnvelope(bytes) {
+  if (!isEnvelope(bytes)) {
+    throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, 'Missing envelope header');
+  }
+  if (bytes.length < MAGIC.length + 1) {
+    throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, 'Envelope is truncated');
+  }
+
+  const version = bytes[MAGIC.length];
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw envelopeError(
+      ENVELOPE_ERRORS.UNSUPPORTED_VERSION,
+      `Unsupported envelope version ${version} (supported: ${SUPPORTED_VERSIONS.join(', ')})`
+    );
+  }
+
+  const envelope = decodeV2(bytes);
+
+  if (!(envelope.kdfId in KDF_NAMES)) {
+    throw envelopeError(ENVELOPE_ERRORS.UNSUPPORTED_VERSION, `Unsupported key derivation id ${envelope.kdfId}`);
+  }
+  if (!(envelope.cipherId in CIPHER_NAMES)) {
+    throw envelopeError(ENVELOPE_ERRORS.UNSUPPORTED_VERSION, `Unsupported cipher id ${envelope.cipherId}`);
+  }
+
+  return {
+    ...envelope,
+    version,
+    kdfName: KDF_NAMES[envelope.kdfId],
+    cipherName: CIPHER_NAMES[envelope.cipherId]
+  };
+}
+
+/**
+ * Decode the self-describing version 2 layout
+ * @param {Uint8Array} bytes - Envelope bytes
+ * @returns {Object} - Decoded fields
+ */
+function decodeV2(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = MAGIC.length + 1;
+
+  const need = (length) => {
+    if (offset + length > bytes.length) {
+      throw envelopeError(ENVELOPE_ERRORS.CORRUPTED, 'Envelope is truncated');
+    }
+  };
+
+  need(3);
+  const kdfId = bytes[offset++];
+  const kdfParamsLength = view.getUint16(offset);
+  offset += 2;
+
+  need(kdfParamsLength);
+  const kdfParams = bytes.slice(offset, offset + kdfParamsLength);
+  offset += kdfParamsLength;
+
+  need(2);
+  const cipherId = bytes[offset++];
+  const ivLength = bytes[offset++];
+
+  need(ivLength);
+  const iv = bytes.slice(offset, offset + ivLength);
+  offset += ivLength;
+
+  need(TAG_LENGTH);
+  const header = bytes.slice(0, offset);
+  const sealed = bytes.slice(offset);
+
+  return {
+    kdfId,
+    kdfParams,
+    kdf: decodeKdfParams(kdfId, kdfParams),
+    cipherId,
+    iv,
+    header,
+    ciphertext: sealed.slice(0, sealed.length - TAG_LENGTH),
+    tag: sealed.slice(sealed.length - TAG_LENGTH)
+  };
+}
+
+/**
+ * Decode the KDF params field for a known KDF id
+ * @param {number} kdfId - KDF id
+ * @param {Uint8Array} kdfParams - Encoded parameters
+ * @returns {Object|null} - Decoded parameters (null for KDF_NONE or unknown ids)
+ */
+function decodeKdfParams(kdfId, kdfParams) {
+  switch (kdfId) {
+    case KDF_PBKDF2_SHA256:
+      return decodePbkdf2Params(kdfParams);
+    case KDF_X25519_HKDF:
+      return decodeX25519Params(kdfParams);
+    case KDF_TLOCK:
+      return decodeTlockParams(kdfParams);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse decrypted capsule content, checking its content version
+ * @param {string} text - Decrypted text
+ * @returns {Object} - { text, files, timestamp, version }
+ */
+export function parseContent(text) {
+  let content;
+  try {
+    content = JSON.parse(text);
+  } catch (jsonError) {
+    // Capsules from before the JSON content format hold plain text
+    return { text, files: [], timestamp: null, version: '1.0' };
+  }
+
+  if (!content || typeof content !== 'object') {
+    return { text, files: [], timestamp: null, version: '1.0' };
+  }
+
+  const major = parseInt(content.version || '1', 10);
+  if (major > parseInt(CONTENT_VERSION, 10)) {
+    throw envelopeError(
+      ENVELOPE_ERRORS.UNSUPPORTED_VERSION,
+      `Capsule content version ${content.version} is newer than this app supports (${CONTENT_VERSION})`
+    );
+  }
+
+  return {
+    ...content,
+    files: content.files || []
+  };
+}
+
+/**
+ * Get a user-facing explanation for an envelope error
+ * @param {Error} error - Error thrown while opening a capsule
+ * @returns {string} - Message for the status log
+ */
+export function describeEnvelopeError(error) {
+  switch (error?.code) {
+    case ENVELOPE_ERRORS.WRONG_PASSPHRASE:
+      return '🔑 Wrong passphrase.\n\nThe capsule data is intact but the passphrase does not match. Please verify it with the sender.';
+    case ENVELOPE_ERRORS.WRONG_KEY:
+      return '🔑 This capsule was encrypted to a different wallet key.\n\nOnly the receiver\'s wallet can open it. Make sure you are connected with the receiver account and that its encryption key has not been re-registered since the capsule was created.';
+    case ENVELOPE_ERRORS.CORRUPTED:
+      return '💥 Corrupted capsule data.\n\nThe encrypted data failed its integrity check and cannot be opened, even with the right passphrase.';
+    case ENVELOPE_ERRORS.UNSUPPORTED_VERSION:
+      return `🆕 Unsupported capsule format.\n\n${error.message}\n\nPlease update the app and try again.`;
+    case ENVELOPE_ERRORS.TIME_LOCKED:
+      return `⏳ Not yet openable.\n\n${error.message}`;
+    default:
+      return `❌ Decryption failed: ${error?.message || 'Unknown error'}`;
+  }
+}
+
+export default {
+  MAGIC,
+  FORMAT_VERSION,
+  SUPPORTED_VERSIONS,
+  KDF_NONE,
+  KDF_PBKDF2_SHA256,
+  KDF_X25519_HKDF,
+  KDF_X25519_MULTI,
+  KDF_TLOCK,
+  CIPHER_AES_256_GCM,
+  CONTENT_VERSION,
+  ENVELOPE_ERRORS,
+  envelopeError,
+  isEnvelope,
+  encodePbkdf2Params,
+  decodePbkdf2Params,
+  encodeX25519Params,
+  decodeX25519Params,
+  encodeTlockParams,
+  decodeTlockParams,
+  encodeHeader,
+  encodeEnvelope,
+  decodeEnvelope,
+  parseContent,
+  describeEnvelopeError
+};
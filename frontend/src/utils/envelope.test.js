@@ -0,0 +1,101 @@
+import {
+  MAGIC,
+  FORMAT_VERSION,
+  KDF_PBKDF2_SHA256,
+  KDF_TLOCK,
+  CIPHER_AES_256_GCM,
+  CONTENT_VERSION,
+  ENVELOPE_ERRORS,
+  isEnvelope,
+  encodePbkdf2Params,
+  encodeTlockParams,
+  decodeTlockParams,
+  encodeHeader,
+  encodeEnvelope,
+  decodeEnvelope,
+  parseContent
+} from './envelope';
+import { encryptText } from './crypto';
+
+const SALT = new Uint8Array(16).fill(1);
+const IV = new Uint8Array(12).fill(2);
+const KEY_CHECK = new Uint8Array(8).fill(3);
+const SEALED = new Uint8Array(24).fill(4); // 8 bytes of ciphertext and the 16-byte tag
+
+const pbkdf2Envelope = () => encodeEnvelope(
+  encodeHeader({
+    kdfId: KDF_PBKDF2_SHA256,
+    kdfParams: encodePbkdf2Params({ iterations: 600000, salt: SALT, keyCheck: KEY_CHECK }),
+    cipherId: CIPHER_AES_256_GCM,
+    iv: IV
+  }),
+  SEALED
+);
+
+describe('envelope encoding', () => {
+  it('decodes what it encodes', () => {
+    const envelope = decodeEnvelope(pbkdf2Envelope());
+    expect(envelope.version).toBe(FORMAT_VERSION);
+    expect(envelope.kdfId).toBe(KDF_PBKDF2_SHA256);
+    expect(envelope.kdf).toEqual({ iterations: 600000, salt: SALT, keyCheck: KEY_CHECK });
+    expect(envelope.cipherName).toBe('AES-256-GCM');
+    expect(envelope.iv).toEqual(IV);
+    expect(envelope.ciphertext).toHaveLength(8);
+    expect(envelope.tag).toHaveLength(16);
+  });
+
+  it('keeps the whole header as the authenticated data', () => {
+    const bytes = pbkdf2Envelope();
+    expect(isEnvelope(bytes)).toBe(true);
+    expect(decodeEnvelope(bytes).header).toEqual(bytes.slice(0, bytes.length - SEALED.length));
+  });
+
+  it('rejects data without the magic or cut short', () => {
+    expect(isEnvelope(new Uint8Array([1, 2, 3, 4, 5]))).toBe(false);
+    expect(() => decodeEnvelope(new Uint8Array([1, 2, 3, 4, 5]))).toThrow(expect.objectContaining({ code: ENVELOPE_ERRORS.CORRUPTED }));
+
+    const bytes = pbkdf2Envelope();
+    expect(() => decodeEnvelope(bytes.slice(0, 20))).toThrow(expect.objectContaining({ code: ENVELOPE_ERRORS.CORRUPTED }));
+    expect(() => decodeEnvelope(bytes.slice(0, bytes.length - SEALED.length))).toThrow(/truncated/);
+  });
+
+  it('round-trips time-lock parameters', () => {
+    const params = { round: 2 ** 40 + 7, beaconId: 'quicknet', wrappedKey: new Uint8Array([9, 8, 7]) };
+    expect(decodeTlockParams(encodeTlockParams(params))).toEqual(params);
+    const header = encodeHeader({ kdfId: KDF_TLOCK, kdfParams: encodeTlockParams(params), cipherId: CIPHER_AES_256_GCM, iv: IV });
+    expect(decodeEnvelope(encodeEnvelope(header, SEALED)).kdf).toEqual(params);
+  });
+});
+
+describe('envelope versions', () => {
+  it('reports versions and algorithms it does not know as unsupported', () => {
+    const newer = pbkdf2Envelope();
+    newer[MAGIC.length] = FORMAT_VERSION + 1;
+    expect(() => decodeEnvelope(newer)).toThrow(expect.objectContaining({ code: ENVELOPE_ERRORS.UNSUPPORTED_VERSION }));
+    // Version 1 was never released
+    const older = pbkdf2Envelope();
+    older[MAGIC.length] = 1;
+    expect(() => decodeEnvelope(older)).toThrow(/Unsupported envelope version 1 \(supported: 2\)/);
+
+    const unknownKdf = pbkdf2Envelope();
+    unknownKdf[MAGIC.length + 1] = 0x7f;
+    expect(() => decodeEnvelope(unknownKdf)).toThrow(/key derivation id 127/);
+  });
+
+  it('writes version 2 envelopes', async () => {
+    const encryptedHex = await encryptText('hello', 'passphrase');
+    expect(encryptedHex.slice(0, 10)).toBe('5443415002');
+  });
+});
+
+describe('content versions', () => {
+  it('reads JSON content and plain text from before the JSON format', () => {
+    expect(parseContent(JSON.stringify({ text: 'hi', version: CONTENT_VERSION }))).toMatchObject({ text: 'hi', files: [] });
+    expect(parseContent('just text')).toEqual({ text: 'just text', files: [], timestamp: null, version: '1.0' });
+  });
+
+  it('refuses content from a newer major version', () => {
+    expect(() => parseContent(JSON.stringify({ text: 'hi', version: '99.0' })))
+      .toThrow(expect.objectContaining({ code: ENVELOPE_ERRORS.UNSUPPORTED_VERSION }));
+  });
+});
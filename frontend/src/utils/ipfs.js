@@ -244,6 +244,50 @@ export async function downloadFromIPFS(ipfsHash, fileName = 'downloaded-file') {
   }
 }
 
+/**
+ * SHA-256 of a capsule payload, as stored on-chain for off-chain payloads
+ * @param {Uint8Array} bytes - Encrypted envelope
+ * @returns {Promise<Uint8Array>} - 32-byte digest
+ */
+export async function payloadHash(bytes) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+/**
+ * Upload an encrypted capsule envelope for an off-chain capsule
+ * @param {Uint8Array} bytes - Encrypted envelope (already sealed with its time key)
+ * @returns {Promise<{cid: string, hash: Uint8Array, size: number}>} - What the capsule records on-chain
+ */
+export async function uploadCapsulePayload(bytes) {
+  const hash = await payloadHash(bytes);
+  const cid = await uploadToIPFS(new File([bytes], 'capsule.tcap', { type: 'application/octet-stream' }));
+  console.log(`📦 Capsule payload uploaded: ${cid} (${bytes.length} bytes)`);
+  return { cid, hash, size: bytes.length };
+}
+
+/**
+ * Download an off-chain capsule envelope and check it against the on-chain hash and size
+ * @param {string} cid - IPFS CID recorded in the capsule
+ * @param {Uint8Array} expectedHash - SHA-256 recorded in the capsule
+ * @param {number} expectedSize - Size recorded in the capsule
+ * @returns {Promise<Uint8Array>} - Verified envelope bytes
+ */
+export async function downloadCapsulePayload(cid, expectedHash, expectedSize) {
+  const blob = await downloadFromIPFS(cid, 'capsule.tcap');
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  if (bytes.length !== expectedSize) {
+    throw new Error(`Capsule payload from IPFS has ${bytes.length} bytes, expected ${expectedSize}`);
+  }
+  
+  const hash = await payloadHash(bytes);
+  if (hash.length !== expectedHash.length || hash.some((b, i) => b !== expectedHash[i])) {
+    throw new Error('Capsule payload from IPFS does not match the hash recorded on-chain - it may have been tampered with');
+  }
+  
+  console.log(`✅ Capsule payload verified: ${cid}`);
+  return bytes;
+}
+
 /**
  * Download from mock IPFS storage (localStorage fallback)
  * @param {string} mockHash - The mock IPFS hash
@@ -0,0 +1,229 @@
+// utils/timelock.js - Commit-reveal time lock for capsule payloads
+
+import {
+  generateContentKey,
+  encryptBytes,
+  decryptBytes,
+  hexToBytes,
+  bytesToHex
+} from './crypto';
+import { KDF_NONE, ENVELOPE_ERRORS, envelopeError, isEnvelope, decodeEnvelope, encodeTlockParams, decodeTlockParams } from './envelope';
+
+/*
+ * The encrypted capsule (passphrase or wallet-key envelope) is sealed once more
+ * with a random 256-bit time key before it goes on-chain. Only SHA-256(time key)
+ * is stored with the capsule. After the unlock time the sender, or a keeper
+ * holding the key for them, publishes the key with publish_time_key; the
+ * contract checks it against the commitment and refuses it before unlock.
+ *
+ * Until then the on-chain payload is unreadable even to the receiver and even if
+ * the passphrase has leaked. The sender's browser keeps the time key in
+ * localStorage, keyed by the commitment, to split it between guardians and to
+ * reseal it on check-ins.
+ *
+ * No capsule may depend on its sender coming back, so every one also carries
+ * the time key tlock-sealed to the beacon round just after its unlock time.
+ * Once that round is out anyone can recover the key; a dead man's switch
+ * reseals it to the new deadline on each check-in.
+ */
+
+const STORAGE_PREFIX = 'timeCapsule:timeKey:';
+
+/*
+ * Guardians get the time key split threshold-of-n (Shamir's secret sharing over
+ * GF(256), byte by byte). A share is its x coordinate followed by one y byte per
+ * key byte; any threshold shares rebuild the key and fewer reveal nothing about it.
+ */
+
+// Sealed time keys open this long after the deadline, so clock skew between the
+// chain and the beacon can't release a key before its capsule unlocks
+const SEAL_MARGIN_SECONDS = 300;
+
+// x coordinate plus one byte per byte of a 256-bit time key
+export const TIME_KEY_SHARE_LENGTH = 33;
+
+// GF(256) exp/log tables for the AES polynomial x^8 + x^4 + x^3 + x + 1, generator 3
+const GF_EXP = new Uint8Array(510);
+const GF_LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  GF_EXP[i] = GF_EXP[i + 255] = x;
+  GF_LOG[x] = i;
+  x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+}
+
+const gfMul = (a, b) => (a && b ? GF_EXP[GF_LOG[a] + GF_LOG[b]] : 0);
+const gfDiv = (a, b) => (a ? GF_EXP[GF_LOG[a] + 255 - GF_LOG[b]] : 0);
+
+/**
+ * Commitment stored on-chain for a time key
+ * @param {Uint8Array} timeKey - 256-bit time key
+ * @returns {Promise<Uint8Array>} - SHA-256 digest
+ */
+export async function timeKeyCommitment(timeKey) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', timeKey));
+}
+
+/**
+ * Seal an encrypted capsule payload with a fresh time key
+ * @param {string} encryptedHex - Hex encoded capsule envelope
+ * @returns {Promise<{sealedHex: string, timeKey: string, commitment: Uint8Array}>} - Outer envelope, hex time key and its commitment
+ */
+export async function sealWithTimeKey(encryptedHex) {
+  const timeKey = generateContentKey();
+  const sealed = await encryptBytes(hexToBytes(encryptedHex), timeKey);
+  const commitment = await timeKeyCommitment(timeKey);
+  
+  console.log('⏳ Payload sealed with time key, commitment:', bytesToHex(commitment).slice(0, 16) + '...');
+  return { sealedHex: bytesToHex(sealed), timeKey: bytesToHex(timeKey), commitment };
+}
+
+/**
+ * Check whether an on-chain payload carries the time-key layer
+ * @param {string} hex - Hex payload from the contract
+ * @returns {boolean} - True if the payload needs the published time key
+ */
+export function isTimeSealed(hex) {
+  const bytes = hexToBytes(hex);
+  return isEnvelope(bytes) && decodeEnvelope(bytes).kdfId === KDF_NONE;
+}
+
+/**
+ * Remove the time-key layer from an on-chain payload
+ * @param {string} sealedHex - Hex payload from the contract
+ * @param {string} timeKeyHex - Published time key ("" or "0x" if not yet published)
+ * @returns {Promise<string>} - Hex encoded inner capsule envelope
+ */
+export async function openWithTimeKey(sealedHex, timeKeyHex) {
+  if (!timeKeyHex || timeKeyHex === '0x') {
+    throw envelopeError(
+      ENVELOPE_ERRORS.TIME_LOCKED,
+      'The capsule has unlocked but its time key has not been published yet. The sender (or their keeper) publishes it after the unlock time - try again shortly.'
+    );
+  }
+  
+  const inner = await decryptBytes(hexToBytes(sealedHex), hexToBytes(timeKeyHex));
+  return bytesToHex(inner);
+}
+
+/**
+ * Time-lock encrypt a time key to the beacon round just after a deadline
+ * @param {string} timeKeyHex - Hex time key
+ * @param {number} deadlineSeconds - Unix time the capsule unlocks at
+ * @param {Object} beacon - Beacon from beacon.js
+ * @returns {Promise<Uint8Array>} - Sealed key (round, beacon id and tlock ciphertext)
+ */
+export async function sealTimeKeyToDeadline(timeKeyHex, deadlineSeconds, beacon) {
+  const round = await beacon.roundAt((deadlineSeconds + SEAL_MARGIN_SECONDS) * 1000);
+  const wrappedKey = await beacon.encrypt(round, hexToBytes(timeKeyHex));
+  return encodeTlockParams({ round, beaconId: beacon.id, wrappedKey });
+}
+
+/**
+ * Recover a time key sealed by sealTimeKeyToDeadline once its round is published
+ * @param {Uint8Array|string} sealed - Sealed key (bytes or hex)
+ * @param {Function} resolveBeacon - Returns the beacon for an id (getBeacon from beacon.js)
+ * @returns {Promise<string>} - Hex time key; throws TIME_LOCKED before the round
+ */
+export async function openSealedTimeKey(sealed, resolveBeacon) {
+  const { round, beaconId, wrappedKey } = decodeTlockParams(typeof sealed === 'string' ? hexToBytes(sealed) : sealed);
+  return bytesToHex(await resolveBeacon(beaconId).decrypt(round, wrappedKey));
+}
+
+/**
+ * Split a time key between guardians so that any threshold of them can rebuild it
+ * @param {string} timeKeyHex - Hex time key
+ * @param {number} threshold - Shares needed to rebuild the key
+ * @param {number} count - Number of shares, one per guardian (at most 255)
+ * @returns {Uint8Array[]} - Shares, in guardian order
+ */
+export function splitTimeKey(timeKeyHex, threshold, count) {
+  if (!Number.isInteger(threshold) || !Number.isInteger(count) || threshold < 1 || threshold > count || count > 255) {
+    throw new Error('Threshold must be between 1 and the number of shares (at most 255)');
+  }
+  
+  const secret = hexToBytes(timeKeyHex);
+  const shares = Array.from({ length: count }, (_, i) => {
+    const share = new Uint8Array(secret.length + 1);
+    share[0] = i + 1;
+    return share;
+  });
+  const coefficients = new Uint8Array(threshold);
+  secret.forEach((byte, b) => {
+    coefficients[0] = byte;
+    crypto.getRandomValues(coefficients.subarray(1));
+    for (const share of shares) {
+      let y = 0;
+      for (let c = threshold - 1; c >= 0; c--) {
+        y = gfMul(y, share[0]) ^ coefficients[c];
+      }
+      share[b + 1] = y;
+    }
+  });
+  coefficients.fill(0);
+  
+  return shares;
+}
+
+/**
+ * Rebuild a time key from guardian shares
+ * @param {Array<Uint8Array|string>} shares - At least threshold shares (bytes or hex)
+ * @returns {string} - Hex time key
+ */
+export function combineTimeKeyShares(shares) {
+  const points = shares.map(share => (typeof share === 'string' ? hexToBytes(share) : share));
+  if (points.length === 0 || points.some(p => p.length < 2 || p[0] === 0 || p.length !== points[0].length)) {
+    throw new Error('Invalid time key shares');
+  }
+  if (new Set(points.map(p => p[0])).size !== points.length) {
+    throw new Error('Time key shares must come from different guardians');
+  }
+  
+  // Lagrange interpolation at x = 0
+  const secret = new Uint8Array(points[0].length - 1);
+  points.forEach((p, j) => {
+    let basis = 1;
+    points.forEach((q, m) => {
+      if (m !== j) {
+        basis = gfMul(basis, gfDiv(q[0], q[0] ^ p[0]));
+      }
+    });
+    for (let b = 0; b < secret.length; b++) {
+      secret[b] ^= gfMul(p[b + 1], basis);
+    }
+  });
+  
+  return bytesToHex(secret);
+}
+
+/**
+ * Remember a time key in this browser, for guardians and check-ins
+ * @param {Uint8Array|string} commitment - Commitment (bytes or hex)
+ * @param {string} timeKeyHex - Hex time key
+ */
+export function saveTimeKey(commitment, timeKeyHex) {
+  const id = typeof commitment === 'string' ? commitment.replace(/^0x/, '') : bytesToHex(commitment);
+  localStorage.setItem(STORAGE_PREFIX + id.toLowerCase(), timeKeyHex);
+}
+
+/**
+ * Look up a time key saved by saveTimeKey
+ * @param {Uint8Array|string} commitment - Commitment (bytes or hex)
+ * @returns {string|null} - Hex time key, or null if this browser does not hold it
+ */
+export function loadTimeKey(commitment) {
+  const id = typeof commitment === 'string' ? commitment.replace(/^0x/, '') : bytesToHex(commitment);
+  return localStorage.getItem(STORAGE_PREFIX + id.toLowerCase());
+}
+
+export default {
+  timeKeyCommitment,
+  sealWithTimeKey,
+  isTimeSealed,
+  openWithTimeKey,
+  sealTimeKeyToDeadline,
+  openSealedTimeKey,
+  splitTimeKey,
+  combineTimeKeyShares,
+  saveTimeKey,
+  loadTimeKey
+};
@@ -0,0 +1,135 @@
+import {
+  timeKeyCommitment,
+  sealWithTimeKey,
+  openWithTimeKey,
+  isTimeSealed,
+  saveTimeKey,
+  loadTimeKey,
+  sealTimeKeyToDeadline,
+  openSealedTimeKey,
+  splitTimeKey,
+  combineTimeKeyShares,
+  TIME_KEY_SHARE_LENGTH
+} from './timelock';
+import { deriveKeyPairFromSeed, wrapContentKey, unwrapContentKey, encryptText, hexToBytes, bytesToHex } from './crypto';
+import { encodeX25519Params, decodeX25519Params, ENVELOPE_ERRORS } from './envelope';
+import { createLocalBeacon } from './beacon';
+
+const TIME_KEY = '5f3c9a0b7e21d4c86a1f0e93b2754dc8e0a61b2f9c47d3856e12a0bf7c9d4e31';
+
+describe('commit-reveal time key', () => {
+  it('seals the payload under a key that matches its on-chain commitment', async () => {
+    const innerHex = await encryptText('sealed until unlock', 'passphrase');
+    const { sealedHex, timeKey, commitment } = await sealWithTimeKey(innerHex);
+
+    expect(isTimeSealed(sealedHex)).toBe(true);
+    expect(isTimeSealed(innerHex)).toBe(false);
+    expect(bytesToHex(await timeKeyCommitment(hexToBytes(timeKey)))).toBe(bytesToHex(commitment));
+    expect(await openWithTimeKey(sealedHex, timeKey)).toBe(innerHex);
+  });
+
+  it('stays closed until the time key is published', async () => {
+    const { sealedHex } = await sealWithTimeKey(TIME_KEY);
+    await expect(openWithTimeKey(sealedHex, '0x')).rejects.toMatchObject({ code: ENVELOPE_ERRORS.TIME_LOCKED });
+    await expect(openWithTimeKey(sealedHex, TIME_KEY)).rejects.toMatchObject({ code: ENVELOPE_ERRORS.CORRUPTED });
+  });
+
+  it('keeps the key in this browser under its commitment until it is published', async () => {
+    const { timeKey, commitment } = await sealWithTimeKey(TIME_KEY);
+    saveTimeKey(commitment, timeKey);
+    expect(loadTimeKey(`0x${bytesToHex(commitment).toUpperCase()}`)).toBe(timeKey);
+    expect(loadTimeKey(new Uint8Array(32))).toBeNull();
+  });
+});
+
+describe('guardian time key shares', () => {
+  it('rebuilds the key from any threshold of the shares', () => {
+    const shares = splitTimeKey(TIME_KEY, 3, 5);
+    expect(shares).toHaveLength(5);
+    shares.forEach(share => expect(share).toHaveLength(TIME_KEY_SHARE_LENGTH));
+
+    expect(combineTimeKeyShares([shares[0], shares[1], shares[2]])).toBe(TIME_KEY);
+    expect(combineTimeKeyShares([shares[4], shares[1], shares[3]])).toBe(TIME_KEY);
+    expect(combineTimeKeyShares(shares)).toBe(TIME_KEY);
+  });
+
+  it('does not rebuild the key from fewer than threshold shares', () => {
+    const shares = splitTimeKey(TIME_KEY, 3, 5);
+    expect(combineTimeKeyShares([shares[0], shares[2]])).not.toBe(TIME_KEY);
+  });
+
+  it('accepts hex shares as returned by the contract', () => {
+    const shares = splitTimeKey(TIME_KEY, 2, 2).map(share => Buffer.from(share).toString('hex'));
+    expect(combineTimeKeyShares(shares)).toBe(TIME_KEY);
+  });
+
+  it('hands a one-of-n guardian the key itself', () => {
+    const shares = splitTimeKey(TIME_KEY, 1, 3);
+    shares.forEach(share => expect(combineTimeKeyShares([share])).toBe(TIME_KEY));
+  });
+
+  it('rejects thresholds outside 1..count', () => {
+    expect(() => splitTimeKey(TIME_KEY, 0, 3)).toThrow();
+    expect(() => splitTimeKey(TIME_KEY, 4, 3)).toThrow();
+  });
+
+  it('survives wrapping to the guardian\'s encryption key', async () => {
+    const guardian = await deriveKeyPairFromSeed(new Uint8Array(32).fill(7));
+    const [share] = splitTimeKey(TIME_KEY, 1, 1);
+
+    const wrapped = encodeX25519Params(await wrapContentKey(share, guardian.publicKey));
+    const unwrapped = await unwrapContentKey(decodeX25519Params(wrapped, TIME_KEY_SHARE_LENGTH), guardian);
+    expect(unwrapped).toEqual(share);
+    expect(() => decodeX25519Params(wrapped)).toThrow();
+  });
+
+  it('rejects the same share twice', () => {
+    const shares = splitTimeKey(TIME_KEY, 2, 3);
+    expect(() => combineTimeKeyShares([shares[0], shares[0]])).toThrow(/different guardians/);
+  });
+});
+
+describe('dead man\'s switch time key', () => {
+  const CREATED = 1_700_000_000;
+  const INTERVAL = 30 * 86_400;
+  const innerHex = bytesToHex(new TextEncoder().encode('{"text":"If you are reading this..."}'));
+
+  it('opens the capsule without the sender once the deadline passes', async () => {
+    let nowMs = CREATED * 1000;
+    const beacon = createLocalBeacon({ now: () => nowMs });
+    const { sealedHex, timeKey } = await sealWithTimeKey(innerHex);
+    const sealedKey = await sealTimeKeyToDeadline(timeKey, CREATED + INTERVAL, beacon);
+
+    // Only what the contract stores from here on: the sealed payload and the sealed key
+    await expect(openSealedTimeKey(sealedKey, () => beacon)).rejects.toMatchObject({ code: ENVELOPE_ERRORS.TIME_LOCKED });
+
+    nowMs = (CREATED + INTERVAL + 3600) * 1000;
+    const recovered = await openSealedTimeKey(bytesToHex(sealedKey), () => beacon);
+    expect(recovered).toBe(timeKey);
+    expect(await openWithTimeKey(sealedHex, recovered)).toBe(innerHex);
+  });
+
+  it('keeps the key locked past the old deadline after a check-in', async () => {
+    let nowMs = CREATED * 1000;
+    const beacon = createLocalBeacon({ now: () => nowMs });
+    const { timeKey } = await sealWithTimeKey(innerHex);
+    await sealTimeKeyToDeadline(timeKey, CREATED + INTERVAL, beacon);
+
+    // The sender checks in a week later; the heartbeat replaces the sealed key
+    nowMs = (CREATED + 7 * 86_400) * 1000;
+    const resealed = await sealTimeKeyToDeadline(timeKey, CREATED + 7 * 86_400 + INTERVAL, beacon);
+
+    nowMs = (CREATED + INTERVAL + 3600) * 1000;
+    await expect(openSealedTimeKey(resealed, () => beacon)).rejects.toMatchObject({ code: ENVELOPE_ERRORS.TIME_LOCKED });
+    nowMs = (CREATED + 7 * 86_400 + INTERVAL + 3600) * 1000;
+    expect(await openSealedTimeKey(resealed, () => beacon)).toBe(timeKey);
+  });
+
+  it('does not open before the deadline even with a skewed clock', async () => {
+    const deadline = CREATED + INTERVAL;
+    const beacon = createLocalBeacon({ now: () => (deadline + 60) * 1000 });
+    const { timeKey } = await sealWithTimeKey(innerHex);
+    const sealedKey = await sealTimeKeyToDeadline(timeKey, deadline, beacon);
+    await expect(openSealedTimeKey(sealedKey, () => beacon)).rejects.toMatchObject({ code: ENVELOPE_ERRORS.TIME_LOCKED });
+  });
+});
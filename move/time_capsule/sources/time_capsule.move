@@ -1,83 +1,1584 @@
 module time_capsule::time_capsule {
+    use std::error;
+    use std::hash;
+    use std::option;
     use std::signer;
     use std::vector;
     use std::string::{Self, String};
+    use aptos_std::string_utils;
+    use aptos_std::table::{Self, Table};
+    use aptos_framework::account::{Self, SignerCapability};
+    use aptos_framework::aptos_account;
+    use aptos_framework::aptos_coin::AptosCoin;
+    use aptos_framework::code;
+    use aptos_framework::coin;
+    use aptos_framework::event;
+    use aptos_framework::fungible_asset::{Self, FungibleAsset, Metadata};
+    use aptos_framework::object::{Self, ExtendRef, Object, TransferRef};
+    use aptos_framework::primary_fungible_store;
+    use aptos_framework::resource_account;
     use aptos_framework::timestamp;
+    use aptos_token_objects::collection;
+    use aptos_token_objects::token::{Self, BurnRef, Token};
 
     struct Capsule has store, drop, copy {
         id: u64,
         sender: address,
-        receiver: address,
+        receivers: vector<address>,       // Original receivers; access follows the tokens below
+        tokens: vector<Object<Token>>,    // One transferable token per receiver slot (parallel to receivers)
         unlock_time: u64,
-        encrypted_hex: String, // Stores encrypted JSON containing both text and file data
+        encrypted: vector<u8>, // Encrypted JSON containing both text and file data
+        payload_cid: String,       // Off-chain payload: IPFS CID of the encrypted envelope; empty when stored on-chain
+        payload_hash: vector<u8>,  // sha2-256 of the off-chain envelope, checked by the reader after download
+        payload_size: u64,         // Size of the off-chain envelope in bytes
         content_type: String,  // "text", "file", or "mixed" - to help frontend handle display
+        wrapped_keys: vector<vector<u8>>, // Content key wrapped to each slot's holder (parallel to tokens), or empty
+        claimed_by: vector<address>,      // Receivers who have claimed the capsule since it unlocked
+        key_commitment: vector<u8>,       // sha2-256 of the time key sealing the payload
+        time_key: vector<u8>,             // Published at or after unlock; empty until then
+        tlock_round: u64,                 // Beacon round a tlock capsule opens at; 0 for commit-reveal capsules
+        heartbeat_interval: u64,          // Dead man's switch: unlock_time slides to now + interval on every heartbeat; 0 if off
+        sealed_time_key: vector<u8>,      // Time key tlock-encrypted to the beacon round after unlock, so it opens without the sender; empty for tlock capsules
+        unlock_history: vector<UnlockChange>,
+        proposed_unlock_time: u64,        // Earlier unlock time receivers are consenting to; 0 if none
+        unlock_consents: vector<address>, // Receivers who consented to proposed_unlock_time
+        guardians: vector<address>,       // May open the capsule early together; empty if none
+        guardian_threshold: u64,          // Approvals needed for an early unlock
+        guardian_approvals: vector<address>,
+        guardian_share_hashes: vector<vector<u8>>,   // sha2-256 of each guardian's share of the time key (parallel to guardians)
+        guardian_wrapped_shares: vector<vector<u8>>, // Each guardian's share, wrapped to their registered encryption key
+        guardian_shares: vector<vector<u8>>,         // Shares revealed with the approvals (parallel to guardian_approvals)
+        unlocked_early_at: u64,           // When the guardians' approvals reached the threshold; 0 if not
+        segments: vector<Segment>,        // Later sections of a staged capsule, in unlock order; empty otherwise
+        visibility: u8,                   // Who may read the payload once unlocked; see VISIBILITY_*
+    }
+
+    // One section of a staged capsule. The capsule's own payload is section 0; these follow it,
+    // each sealed with its own time key so opening one section reveals nothing about the next.
+    struct Segment has store, drop, copy {
+        unlock_time: u64,
+        encrypted: vector<u8>,
+        key_commitment: vector<u8>,
+        time_key: vector<u8>,
+        sealed_time_key: vector<u8>, // The section's time key tlock-encrypted to the beacon round after its unlock
     }
 
+    struct UnlockChange has store, drop, copy {
+        old_unlock_time: u64,
+        new_unlock_time: u64,
+        changed_at: u64,
+    }
+
+    // Capsules are keyed by id so each create/read touches a single table slot.
+    // The original module kept them in a vector; this layout can't be reached by an upgrade,
+    // so it is published as a fresh deployment (see "Moving From the Original Deployment" in the README).
     struct Capsules has key {
-        items: vector<Capsule>,
+        items: Table<u64, Capsule>,
         next_id: u64,
+        sent: Table<address, vector<u64>>,     // sender -> capsule ids, oldest first
+        received: Table<address, vector<u64>>, // token holder -> capsule ids, oldest first
+        guarding: Table<address, vector<u64>>, // guardian -> capsule ids, oldest first
+        cancelled: Table<u64, bool>,           // Tombstones for capsules removed by cancel_capsule
+        public_ids: vector<u64>,               // Public capsule ids, oldest first
+        escrows: Table<u64, Escrow>,           // Funds attached to a capsule, keyed by capsule id
+        burn_refs: Table<u64, vector<BurnRef>>, // Lets cancel_capsule burn a capsule's tokens
+        transfer_refs: Table<u64, vector<TransferRef>>, // Lets transfer_capsule move a capsule's tokens, which can't move on their own
+        minter: ExtendRef,                     // Object that owns the capsule collection and mints its tokens
+    }
+
+    // Deposits live in the primary stores of an object owned by the module, one per capsule,
+    // so each capsule's funds are kept apart and only this module can move them out.
+    struct Escrow has store {
+        extend_ref: ExtendRef,
+        assets: vector<Object<Metadata>>, // Every asset ever deposited, in deposit order
     }
 
-    public entry fun init_storage(admin: &signer) {
-        assert!(signer::address_of(admin) == @time_capsule, 1);
-        move_to(admin, Capsules { 
-            items: vector::empty<Capsule>(), 
-            next_id: 0 
+    // Row returned by the inbox/outbox views
+    struct CapsuleSummary has copy, drop {
+        id: u64,
+        sender: address,
+        receivers: vector<address>,
+        unlock_time: u64,
+        content_type: String,
+        heartbeat_interval: u64,
+        unlocked: bool,
+    }
+
+    #[event]
+    struct CapsuleCreated has drop, store {
+        id: u64,
+        sender: address,
+        receivers: vector<address>,
+        unlock_time: u64,
+        content_type: String,
+    }
+
+    #[event]
+    struct CapsuleClaimed has drop, store {
+        id: u64,
+        sender: address,
+        receiver: address,
+        unlock_time: u64,
+        content_type: String,
+        claimed_at: u64,
+    }
+
+    #[event]
+    struct CapsuleCancelled has drop, store {
+        id: u64,
+        sender: address,
+        receivers: vector<address>,
+        unlock_time: u64,
+        content_type: String,
+        cancelled_at: u64,
+    }
+
+    #[event]
+    struct CapsuleTransferred has drop, store {
+        id: u64,
+        from: address,
+        to: address,
+    }
+
+    #[event]
+    struct UnlockTimeUpdated has drop, store {
+        id: u64,
+        sender: address,
+        old_unlock_time: u64,
+        new_unlock_time: u64,
+        updated_at: u64,
+    }
+
+    #[event]
+    struct GuardiansUpdated has drop, store {
+        id: u64,
+        sender: address,
+        guardians: vector<address>,
+        threshold: u64,
+    }
+
+    #[event]
+    struct EarlyUnlockApproved has drop, store {
+        id: u64,
+        guardian: address,
+        approvals: u64,
+        threshold: u64,
+        unlocked: bool,
+        approved_at: u64,
+    }
+
+    #[event]
+    struct CapsuleFunded has drop, store {
+        id: u64,
+        sender: address,
+        asset: address,
+        amount: u64,
+    }
+
+    #[event]
+    struct EscrowReleased has drop, store {
+        id: u64,
+        recipient: address,
+        assets: vector<address>,
+        amounts: vector<u64>,
+        refunded: bool,
+    }
+
+    #[event]
+    struct HeartbeatReceived has drop, store {
+        id: u64,
+        sender: address,
+        unlock_time: u64,
+        received_at: u64,
+    }
+
+    #[event]
+    struct TimeKeyPublished has drop, store {
+        id: u64,
+        segment: u64, // 0 for the capsule's own payload
+        publisher: address,
+        published_at: u64,
+    }
+
+    // X25519 public key registered by an account so senders can wrap content keys to it
+    struct EncryptionKey has key {
+        public_key: vector<u8>,
+    }
+
+    // Lets the module sign for the resource account it is published to; nobody holds a key for it
+    struct ModuleSigner has key {
+        signer_cap: SignerCapability,
+    }
+
+    // Admin settings, kept at the module address next to Capsules. They only govern creating
+    // capsules: existing ones still unlock, get claimed and can be cancelled while paused.
+    struct Config has key {
+        admin: address,
+        pending_admin: address,                // Set by transfer_admin until accepted, @0x0 when none
+        paused: bool,
+        max_payload_size: u64,                 // Bytes, for an on-chain payload and each later section
+        allowed_content_types: vector<String>, // Empty allows any content type
+        creation_fee: u64,                     // Octas of APT charged per capsule, 0 for none
+        treasury: address,                     // Receives creation fees
+    }
+
+    #[event]
+    struct AdminChanged has drop, store {
+        old_admin: address,
+        new_admin: address,
+    }
+
+    const COLLECTION_NAME: vector<u8> = b"Time Capsules";
+    const COLLECTION_DESCRIPTION: vector<u8> = b"Each token is the right to open one time capsule once it unlocks.";
+    const COLLECTION_URI: vector<u8> = b"https://harshavardhan2006-svg.github.io/DecentralizedTimeCapsule";
+
+    const X25519_PUBLIC_KEY_LENGTH: u64 = 32;
+    const KEY_COMMITMENT_LENGTH: u64 = 32;
+    const MAX_RECEIVERS: u64 = 200;
+    const MAX_PAGE_SIZE: u64 = 50;
+    const MIN_HEARTBEAT_INTERVAL: u64 = 3600;
+    const MAX_GUARDIANS: u64 = 20;
+    const MAX_SEGMENTS: u64 = 20;
+    const MAX_CID_LENGTH: u64 = 128;
+    const DEFAULT_MAX_PAYLOAD_SIZE: u64 = 32768;
+
+    // Who can read a capsule's payload once it unlocks
+    const VISIBILITY_PRIVATE: u8 = 0;   // The sender and the receivers' token holders
+    const VISIBILITY_RECEIVERS: u8 = 1; // Only the receivers' token holders
+    const VISIBILITY_PUBLIC: u8 = 2;    // Anyone
+
+    // Status returned with the payload by reveal / reveal_bytes
+    const REVEAL_OK: u8 = 0;
+    const REVEAL_NOT_FOUND: u8 = 1;
+    const REVEAL_CANCELLED: u8 = 2;
+    const REVEAL_LOCKED: u8 = 3;       // Not unlocked yet and no guardian early unlock
+    const REVEAL_UNAUTHORIZED: u8 = 4; // The capsule's visibility doesn't include the caller
+
+    // Abort reasons; call sites wrap them in std::error categories, so the abort code is
+    // category << 16 | reason (e.g. 0x60009 for E_CAPSULE_NOT_FOUND)
+
+    /// The unlock time is in the past, or doesn't fit the capsule's schedule when rescheduling
+    const E_INVALID_UNLOCK_TIME: u64 = 3;
+    /// An encryption key must be a 32-byte X25519 public key
+    const E_INVALID_PUBLIC_KEY: u64 = 4;
+    /// A capsule needs at least one receiver
+    const E_NO_RECEIVERS: u64 = 5;
+    /// A capsule can have at most 200 receivers
+    const E_TOO_MANY_RECEIVERS: u64 = 6;
+    /// A receiver is listed more than once, or already holds one of the capsule's tokens
+    const E_DUPLICATE_RECEIVER: u64 = 7;
+    /// Wrapped keys must be empty or one non-empty key per receiver
+    const E_WRAPPED_KEYS_MISMATCH: u64 = 8;
+    /// No capsule with this id exists, or it was cancelled
+    const E_CAPSULE_NOT_FOUND: u64 = 9;
+    /// The capsule has not unlocked yet
+    const E_CAPSULE_LOCKED: u64 = 10;
+    /// Only a holder of the capsule's tokens can do this
+    const E_NOT_RECEIVER: u64 = 11;
+    /// The capsule was already claimed by this receiver
+    const E_ALREADY_CLAIMED: u64 = 12;
+    /// A time key commitment must be a 32-byte SHA-256 hash
+    const E_INVALID_COMMITMENT: u64 = 13;
+    /// The time key has already been published
+    const E_TIME_KEY_PUBLISHED: u64 = 14;
+    /// The time key does not match the capsule's commitment
+    const E_TIME_KEY_MISMATCH: u64 = 15;
+    /// A tlock capsule needs a beacon round, and its unlock time and guardians can't change
+    const E_INVALID_TLOCK_ROUND: u64 = 16;
+    /// Only the capsule's sender can do this
+    const E_NOT_SENDER: u64 = 17;
+    /// The capsule has already unlocked
+    const E_CAPSULE_UNLOCKED: u64 = 18;
+    /// Every receiver must consent before the capsule opens earlier
+    const E_CONSENT_REQUIRED: u64 = 19;
+    /// The deposit amount must be greater than zero
+    const E_INVALID_AMOUNT: u64 = 20;
+    /// Funds can only be attached to a capsule with a single receiver
+    const E_ESCROW_SINGLE_RECEIVER: u64 = 21;
+    /// Not available for this kind of capsule (dead man's switch or fixed unlock time)
+    const E_HEARTBEAT_MODE: u64 = 22;
+    /// Guardians must be new, distinct and at most 20, can't be the sender or a receiver, and each needs a share of the time key
+    const E_INVALID_GUARDIANS: u64 = 23;
+    /// The guardian threshold must be between one and the number of guardians
+    const E_INVALID_THRESHOLD: u64 = 24;
+    /// Only a guardian of the capsule can approve an early unlock
+    const E_NOT_GUARDIAN: u64 = 25;
+    /// This guardian already approved the early unlock
+    const E_ALREADY_APPROVED: u64 = 26;
+    /// Later sections must number 1 to 20, with matching payloads and commitments and strictly increasing unlock times
+    const E_INVALID_SEGMENTS: u64 = 27;
+    /// The capsule has no section with this index
+    const E_SEGMENT_NOT_FOUND: u64 = 28;
+    /// Visibility must be 0 (private), 1 (receivers) or 2 (public)
+    const E_INVALID_VISIBILITY: u64 = 29;
+    /// An off-chain payload needs a CID of at most 128 characters, a 32-byte hash and a non-zero size
+    const E_INVALID_PAYLOAD_REF: u64 = 31;
+    /// Only the admin can do this
+    const E_NOT_ADMIN: u64 = 32;
+    /// Creating capsules is paused by the admin
+    const E_PAUSED: u64 = 33;
+    /// The payload is larger than the admin's maximum payload size
+    const E_PAYLOAD_TOO_LARGE: u64 = 34;
+    /// The content type is not on the admin's allowlist
+    const E_CONTENT_TYPE_NOT_ALLOWED: u64 = 35;
+    /// The maximum payload size must be greater than zero
+    const E_INVALID_CONFIG: u64 = 36;
+    /// Only the account proposed by transfer_admin can accept the admin role
+    const E_NOT_PENDING_ADMIN: u64 = 37;
+    /// A dead man's switch needs a check-in interval of at least an hour
+    const E_INVALID_HEARTBEAT_INTERVAL: u64 = 38;
+    /// The share doesn't match the one the sender gave this guardian
+    const E_SHARE_MISMATCH: u64 = 39;
+    /// A capsule has to open without the sender: tlock it, or seal its time key to the unlock round
+    const E_SEALED_TIME_KEY_REQUIRED: u64 = 40;
+
+    // Runs once, when the package is published with create-resource-account-and-publish-package.
+    // @time_capsule is then a resource account derived from @deployer, so storage isn't tied to
+    // any key: the deployer starts as admin and can rotate its key, or hand over the role.
+    fun init_module(resource_signer: &signer) {
+        let signer_cap = resource_account::retrieve_resource_account_cap(resource_signer, @deployer);
+        move_to(resource_signer, ModuleSigner { signer_cap });
+
+        let allowed_content_types = vector::empty<String>();
+        vector::push_back(&mut allowed_content_types, string::utf8(b"text"));
+        vector::push_back(&mut allowed_content_types, string::utf8(b"file"));
+        vector::push_back(&mut allowed_content_types, string::utf8(b"mixed"));
+        move_to(resource_signer, Config {
+            admin: @deployer,
+            pending_admin: @0x0,
+            paused: false,
+            max_payload_size: DEFAULT_MAX_PAYLOAD_SIZE,
+            allowed_content_types,
+            creation_fee: 0,
+            treasury: @deployer,
+        });
+
+        // Tokens are minted from an object rather than the module account so no key can sign for it
+        let minter_ref = object::create_object(@time_capsule);
+        collection::create_unlimited_collection(
+            &object::generate_signer(&minter_ref),
+            string::utf8(COLLECTION_DESCRIPTION),
+            string::utf8(COLLECTION_NAME),
+            option::none(),
+            string::utf8(COLLECTION_URI),
+        );
+
+        move_to(resource_signer, Capsules { 
+            items: table::new<u64, Capsule>(), 
+            next_id: 0,
+            sent: table::new(),
+            received: table::new(),
+            guarding: table::new(),
+            cancelled: table::new(),
+            public_ids: vector::empty(),
+            escrows: table::new(),
+            burn_refs: table::new(),
+            transfer_refs: table::new(),
+            minter: object::generate_extend_ref(&minter_ref),
         });
     }
 
+    // The resource account has no key to publish with, so upgrades go through the module
+    public entry fun upgrade_package(
+        admin: &signer,
+        metadata_serialized: vector<u8>,
+        code: vector<vector<u8>>,
+    ) acquires Config, ModuleSigner {
+        borrow_config_as_admin(admin);
+        let resource_signer = account::create_signer_with_capability(&borrow_global<ModuleSigner>(@time_capsule).signer_cap);
+        code::publish_package_txn(&resource_signer, metadata_serialized, code);
+    }
+
+    public entry fun set_paused(admin: &signer, paused: bool) acquires Config {
+        borrow_config_as_admin(admin).paused = paused;
+    }
+
+    public entry fun set_max_payload_size(admin: &signer, max_payload_size: u64) acquires Config {
+        assert!(max_payload_size > 0, error::invalid_argument(E_INVALID_CONFIG));
+        borrow_config_as_admin(admin).max_payload_size = max_payload_size;
+    }
+
+    // An empty list lifts the restriction
+    public entry fun set_allowed_content_types(admin: &signer, content_types: vector<String>) acquires Config {
+        borrow_config_as_admin(admin).allowed_content_types = content_types;
+    }
+
+    public entry fun set_creation_fee(admin: &signer, creation_fee: u64, treasury: address) acquires Config {
+        let config = borrow_config_as_admin(admin);
+        config.creation_fee = creation_fee;
+        config.treasury = treasury;
+    }
+
+    // Two steps so a mistyped address can't lock everyone out: the new admin has to accept
+    public entry fun transfer_admin(admin: &signer, new_admin: address) acquires Config {
+        borrow_config_as_admin(admin).pending_admin = new_admin;
+    }
+
+    public entry fun accept_admin(new_admin: &signer) acquires Config {
+        let config = borrow_global_mut<Config>(@time_capsule);
+        let new_admin_addr = signer::address_of(new_admin);
+        assert!(config.pending_admin != @0x0 && config.pending_admin == new_admin_addr, error::permission_denied(E_NOT_PENDING_ADMIN));
+        event::emit(AdminChanged { old_admin: config.admin, new_admin: new_admin_addr });
+        config.admin = new_admin_addr;
+        config.pending_admin = @0x0;
+    }
+
+    fun borrow_config_as_admin(admin: &signer): &mut Config acquires Config {
+        let config = borrow_global_mut<Config>(@time_capsule);
+        assert!(signer::address_of(admin) == config.admin, error::permission_denied(E_NOT_ADMIN));
+        config
+    }
+
+    fun assert_payload_size(config: &Config, payload: &vector<u8>) {
+        assert!(vector::length(payload) <= config.max_payload_size, error::out_of_range(E_PAYLOAD_TOO_LARGE));
+    }
+
     public entry fun create_capsule(
         sender: &signer,
         receiver: address,
         unlock_time: u64,
         encrypted: vector<u8>, // Still accept bytes from frontend
         content_type: String,  // New parameter to specify content type
-    ) acquires Capsules {
-        assert!(exists<Capsules>(@time_capsule), 2);
+        key_commitment: vector<u8>,
+        sealed_time_key: vector<u8>,
+    ) acquires Capsules, Config {
+        create_capsule_internal(sender, vector::singleton(receiver), unlock_time, encrypted, content_type, vector::empty(), key_commitment, sealed_time_key, 0, 0);
+    }
+
+    // create_capsule plus an APT gift for the receiver in a single transaction
+    public entry fun create_capsule_with_apt(
+        sender: &signer,
+        receiver: address,
+        unlock_time: u64,
+        encrypted: vector<u8>,
+        content_type: String,
+        key_commitment: vector<u8>,
+        sealed_time_key: vector<u8>,
+        amount: u64,
+    ) acquires Capsules, Config {
+        let id = create_capsule_internal(sender, vector::singleton(receiver), unlock_time, encrypted, content_type, vector::empty(), key_commitment, sealed_time_key, 0, 0);
+        deposit_apt(sender, id, amount);
+    }
+
+    // One ciphertext for a whole group. wrapped_keys is either empty (shared passphrase)
+    // or holds one wrapped content key per receiver, in the same order as receivers.
+    public entry fun create_capsule_multi(
+        sender: &signer,
+        receivers: vector<address>,
+        unlock_time: u64,
+        encrypted: vector<u8>,
+        content_type: String,
+        wrapped_keys: vector<vector<u8>>,
+        key_commitment: vector<u8>,
+        sealed_time_key: vector<u8>,
+    ) acquires Capsules, Config {
+        create_capsule_internal(sender, receivers, unlock_time, encrypted, content_type, wrapped_keys, key_commitment, sealed_time_key, 0, 0);
+    }
+
+    // Content is time-lock encrypted to a beacon round off-chain, so it opens without the
+    // sender: no time key commitment, and anyone can decrypt once the round is published.
+    public entry fun create_tlock_capsule(
+        sender: &signer,
+        receivers: vector<address>,
+        unlock_time: u64,
+        encrypted: vector<u8>,
+        content_type: String,
+        tlock_round: u64,
+    ) acquires Capsules, Config {
+        assert!(tlock_round > 0, error::invalid_argument(E_INVALID_TLOCK_ROUND));
+        create_capsule_internal(sender, receivers, unlock_time, encrypted, content_type, vector::empty(), vector::empty(), vector::empty(), tlock_round, 0);
+    }
+
+    // create_capsule_multi / create_tlock_capsule with a chosen visibility (tlock_round 0 and a
+    // sealed_time_key for a time key capsule, or a tlock_round and an empty sealed_time_key).
+    // Public capsules are listed in the public feed.
+    public entry fun create_capsule_with_visibility(
+        sender: &signer,
+        receivers: vector<address>,
+        unlock_time: u64,
+        encrypted: vector<u8>,
+        content_type: String,
+        wrapped_keys: vector<vector<u8>>,
+        key_commitment: vector<u8>,
+        sealed_time_key: vector<u8>,
+        tlock_round: u64,
+        visibility: u8,
+    ) acquires Capsules, Config {
+        assert!(visibility <= VISIBILITY_PUBLIC, error::invalid_argument(E_INVALID_VISIBILITY));
+        let id = create_capsule_internal(sender, receivers, unlock_time, encrypted, content_type, wrapped_keys, key_commitment, sealed_time_key, tlock_round, 0);
+        set_visibility(borrow_global_mut<Capsules>(@time_capsule), id, visibility);
+    }
+
+    // create_capsule_with_visibility for payloads too large to keep on-chain: the encrypted
+    // envelope lives on IPFS and the capsule only records its CID, SHA-256 and size.
+    public entry fun create_offchain_capsule(
+        sender: &signer,
+        receivers: vector<address>,
+        unlock_time: u64,
+        payload_cid: String,
+        payload_hash: vector<u8>,
+        payload_size: u64,
+        content_type: String,
+        wrapped_keys: vector<vector<u8>>,
+        key_commitment: vector<u8>,
+        sealed_time_key: vector<u8>,
+        tlock_round: u64,
+        visibility: u8,
+    ) acquires Capsules, Config {
+        let cid_length = string::length(&payload_cid);
+        assert!(cid_length > 0 && cid_length <= MAX_CID_LENGTH, error::invalid_argument(E_INVALID_PAYLOAD_REF));
+        assert!(vector::length(&payload_hash) == 32 && payload_size > 0, error::invalid_argument(E_INVALID_PAYLOAD_REF));
+        assert!(visibility <= VISIBILITY_PUBLIC, error::invalid_argument(E_INVALID_VISIBILITY));
+
+        let id = create_capsule_internal(sender, receivers, unlock_time, vector::empty(), content_type, wrapped_keys, key_commitment, sealed_time_key, tlock_round, 0);
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        let cap = table::borrow_mut(&mut store.items, id);
+        cap.payload_cid = payload_cid;
+        cap.payload_hash = payload_hash;
+        cap.payload_size = payload_size;
+        set_visibility(store, id, visibility);
+    }
+
+    fun set_visibility(store: &mut Capsules, id: u64, visibility: u8) {
+        table::borrow_mut(&mut store.items, id).visibility = visibility;
+        if (visibility == VISIBILITY_PUBLIC) {
+            vector::push_back(&mut store.public_ids, id);
+        };
+    }
+
+    // Dead man's switch: the capsule opens once the sender goes heartbeat_interval seconds
+    // without calling heartbeat. The sender won't be there to publish the time key, so it comes
+    // tlock-sealed to the beacon round just after the deadline, and every heartbeat reseals it.
+    public entry fun create_switch_capsule(
+        sender: &signer,
+        receivers: vector<address>,
+        encrypted: vector<u8>,
+        content_type: String,
+        wrapped_keys: vector<vector<u8>>,
+        key_commitment: vector<u8>,
+        sealed_time_key: vector<u8>,
+        heartbeat_interval: u64,
+    ) acquires Capsules, Config {
+        assert!(heartbeat_interval >= MIN_HEARTBEAT_INTERVAL, error::invalid_argument(E_INVALID_HEARTBEAT_INTERVAL));
+        let unlock_time = timestamp::now_seconds() + heartbeat_interval;
+        create_capsule_internal(sender, receivers, unlock_time, encrypted, content_type, wrapped_keys, key_commitment, sealed_time_key, 0, heartbeat_interval);
+    }
+
+    // Staged capsule: the payload opens at unlock_time and each later section at its own time,
+    // e.g. a letter per year. Section times must be strictly increasing after unlock_time.
+    // All sections share the capsule's encryption, so the receivers need one passphrase or key.
+    // Each section's time key comes sealed to that section's own unlock time, like the capsule's.
+    public entry fun create_staged_capsule(
+        sender: &signer,
+        receivers: vector<address>,
+        unlock_time: u64,
+        encrypted: vector<u8>,
+        content_type: String,
+        wrapped_keys: vector<vector<u8>>,
+        key_commitment: vector<u8>,
+        sealed_time_key: vector<u8>,
+        segment_unlock_times: vector<u64>,
+        segment_payloads: vector<vector<u8>>,
+        segment_commitments: vector<vector<u8>>,
+        segment_sealed_time_keys: vector<vector<u8>>,
+    ) acquires Capsules, Config {
+        let count = vector::length(&segment_unlock_times);
+        assert!(count > 0 && count <= MAX_SEGMENTS, error::invalid_argument(E_INVALID_SEGMENTS));
+        assert!(vector::length(&segment_payloads) == count && vector::length(&segment_commitments) == count, error::invalid_argument(E_INVALID_SEGMENTS));
+        assert!(vector::length(&segment_sealed_time_keys) == count, error::invalid_argument(E_INVALID_SEGMENTS));
+
+        let segments = vector::empty<Segment>();
+        let previous = unlock_time;
+        let i = 0;
+        while (i < count) {
+            let segment_unlock_time = *vector::borrow(&segment_unlock_times, i);
+            assert!(segment_unlock_time > previous, error::invalid_argument(E_INVALID_SEGMENTS));
+            let commitment = *vector::borrow(&segment_commitments, i);
+            assert!(vector::length(&commitment) == KEY_COMMITMENT_LENGTH, error::invalid_argument(E_INVALID_COMMITMENT));
+            assert_payload_size(borrow_global<Config>(@time_capsule), vector::borrow(&segment_payloads, i));
+            let segment_sealed_time_key = *vector::borrow(&segment_sealed_time_keys, i);
+            assert!(!vector::is_empty(&segment_sealed_time_key), error::invalid_argument(E_SEALED_TIME_KEY_REQUIRED));
+            vector::push_back(&mut segments, Segment {
+                unlock_time: segment_unlock_time,
+                encrypted: *vector::borrow(&segment_payloads, i),
+                key_commitment: commitment,
+                time_key: vector::empty(),
+                sealed_time_key: segment_sealed_time_key,
+            });
+            previous = segment_unlock_time;
+            i = i + 1;
+        };
+
+        let id = create_capsule_internal(sender, receivers, unlock_time, encrypted, content_type, wrapped_keys, key_commitment, sealed_time_key, 0, 0);
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        table::borrow_mut(&mut store.items, id).segments = segments;
+    }
+
+    fun create_capsule_internal(
+        sender: &signer,
+        receivers: vector<address>,
+        unlock_time: u64,
+        encrypted: vector<u8>,
+        content_type: String,
+        wrapped_keys: vector<vector<u8>>,
+        key_commitment: vector<u8>,
+        sealed_time_key: vector<u8>,
+        tlock_round: u64,
+        heartbeat_interval: u64,
+    ): u64 acquires Capsules, Config {
+        let config = borrow_global<Config>(@time_capsule);
+        assert!(!config.paused, error::unavailable(E_PAUSED));
+        assert_payload_size(config, &encrypted);
+        assert!(
+            vector::is_empty(&config.allowed_content_types) || vector::contains(&config.allowed_content_types, &content_type),
+            error::invalid_argument(E_CONTENT_TYPE_NOT_ALLOWED)
+        );
         let now = timestamp::now_seconds();
-        assert!(unlock_time > now, 3);
+        assert!(unlock_time > now, error::invalid_argument(E_INVALID_UNLOCK_TIME));
+        validate_receivers(&receivers, &wrapped_keys);
+        // Unless tlocked, the payload is sealed with a time key that only becomes public at unlock
+        assert!(tlock_round > 0 || vector::length(&key_commitment) == KEY_COMMITMENT_LENGTH, error::invalid_argument(E_INVALID_COMMITMENT));
+        // ...and the time key is tlock-sealed to the unlock round, so the capsule opens even if the sender never returns to publish it
+        assert!(tlock_round > 0 || !vector::is_empty(&sealed_time_key), error::invalid_argument(E_SEALED_TIME_KEY_REQUIRED));
+        // Only charged once the capsule has passed every check
+        if (config.creation_fee > 0) {
+            aptos_account::transfer(sender, config.treasury, config.creation_fee);
+        };
 
         let store = borrow_global_mut<Capsules>(@time_capsule);
         let id = store.next_id;
         store.next_id = id + 1;
 
-        // Convert bytes to hex string for storage
-        let hex_string = bytes_to_hex_string(encrypted);
+        let sender_addr = signer::address_of(sender);
+        event::emit(CapsuleCreated {
+            id,
+            sender: sender_addr,
+            receivers,
+            unlock_time,
+            content_type,
+        });
+
+        index_capsule(&mut store.sent, sender_addr, id);
+        let minter = object::generate_signer_for_extending(&store.minter);
+        let tokens = vector::empty<Object<Token>>();
+        let burn_refs = vector::empty<BurnRef>();
+        let transfer_refs = vector::empty<TransferRef>();
+        let i = 0;
+        while (i < vector::length(&receivers)) {
+            let receiver = *vector::borrow(&receivers, i);
+            index_capsule(&mut store.received, receiver, id);
 
-        vector::push_back(&mut store.items, Capsule {
+            let token_ref = token::create(
+                &minter,
+                string::utf8(COLLECTION_NAME),
+                string_utils::format1(&b"Opens time capsule #{} once it unlocks.", id),
+                string_utils::format1(&b"Time Capsule #{}", id),
+                option::none(),
+                string::utf8(COLLECTION_URI),
+            );
+            vector::push_back(&mut burn_refs, token::generate_burn_ref(&token_ref));
+            // Only transfer_capsule moves the token, so the inbox and wrapped key follow it
+            let transfer_ref = object::generate_transfer_ref(&token_ref);
+            object::disable_ungated_transfer(&transfer_ref);
+            object::transfer_with_ref(object::generate_linear_transfer_ref(&transfer_ref), receiver);
+            vector::push_back(&mut transfer_refs, transfer_ref);
+            vector::push_back(&mut tokens, object::object_from_constructor_ref<Token>(&token_ref));
+            i = i + 1;
+        };
+        table::add(&mut store.burn_refs, id, burn_refs);
+        table::add(&mut store.transfer_refs, id, transfer_refs);
+
+        table::add(&mut store.items, id, Capsule {
             id,
-            sender: signer::address_of(sender),
-            receiver,
+            sender: sender_addr,
+            receivers,
+            tokens,
             unlock_time,
-            encrypted_hex: hex_string,
+            encrypted,
+            payload_cid: string::utf8(b""),
+            payload_hash: vector::empty(),
+            payload_size: 0,
             content_type,
+            wrapped_keys,
+            claimed_by: vector::empty(),
+            key_commitment,
+            time_key: vector::empty(),
+            tlock_round,
+            heartbeat_interval,
+            sealed_time_key,
+            unlock_history: vector::empty(),
+            proposed_unlock_time: 0,
+            unlock_consents: vector::empty(),
+            guardians: vector::empty(),
+            guardian_threshold: 0,
+            guardian_approvals: vector::empty(),
+            guardian_share_hashes: vector::empty(),
+            guardian_wrapped_shares: vector::empty(),
+            guardian_shares: vector::empty(),
+            unlocked_early_at: 0,
+            segments: vector::empty(),
+            visibility: VISIBILITY_PRIVATE,
+        });
+        id
+    }
+
+    // The sender can lock APT or any fungible asset into a capsule until it unlocks. The
+    // receiver collects it with claim_capsule; cancel_capsule returns it to the sender.
+    public entry fun deposit_apt(sender: &signer, id: u64, amount: u64) acquires Capsules {
+        // coin::withdraw draws on both a CoinStore and the paired APT primary store
+        let fa = coin::coin_to_fungible_asset(coin::withdraw<AptosCoin>(sender, amount));
+        deposit_internal(sender, id, fa);
+    }
+
+    public entry fun deposit_fa(sender: &signer, id: u64, metadata: Object<Metadata>, amount: u64) acquires Capsules {
+        let fa = primary_fungible_store::withdraw(sender, metadata, amount);
+        deposit_internal(sender, id, fa);
+    }
+
+    fun deposit_internal(sender: &signer, id: u64, fa: FungibleAsset) acquires Capsules {
+        let sender_addr = signer::address_of(sender);
+        let amount = fungible_asset::amount(&fa);
+        assert!(amount > 0, error::invalid_argument(E_INVALID_AMOUNT));
+
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        assert!(table::contains(&store.items, id), error::not_found(E_CAPSULE_NOT_FOUND));
+        let cap = table::borrow(&store.items, id);
+        assert!(cap.sender == sender_addr, error::permission_denied(E_NOT_SENDER));
+        assert!(!is_open(cap), error::invalid_state(E_CAPSULE_UNLOCKED));
+        // With several receivers there is no fair way to decide who the funds belong to
+        assert!(vector::length(&cap.receivers) == 1, error::invalid_state(E_ESCROW_SINGLE_RECEIVER));
+
+        if (!table::contains(&store.escrows, id)) {
+            let constructor_ref = object::create_object(@time_capsule);
+            object::disable_ungated_transfer(&object::generate_transfer_ref(&constructor_ref));
+            table::add(&mut store.escrows, id, Escrow {
+                extend_ref: object::generate_extend_ref(&constructor_ref),
+                assets: vector::empty(),
+            });
+        };
+        let escrow = table::borrow_mut(&mut store.escrows, id);
+        let metadata = fungible_asset::metadata_from_asset(&fa);
+        if (!vector::contains(&escrow.assets, &metadata)) {
+            vector::push_back(&mut escrow.assets, metadata);
+        };
+        primary_fungible_store::deposit(object::address_from_extend_ref(&escrow.extend_ref), fa);
+
+        event::emit(CapsuleFunded {
+            id,
+            sender: sender_addr,
+            asset: object::object_address(&metadata),
+            amount,
+        });
+    }
+
+    // Pays everything held for a capsule to recipient and drops its escrow record
+    fun release_escrow(escrows: &mut Table<u64, Escrow>, id: u64, recipient: address, refunded: bool) {
+        if (!table::contains(escrows, id)) {
+            return
+        };
+        let Escrow { extend_ref, assets } = table::remove(escrows, id);
+        let escrow_signer = object::generate_signer_for_extending(&extend_ref);
+        let escrow_addr = signer::address_of(&escrow_signer);
+
+        let paid_assets = vector::empty<address>();
+        let amounts = vector::empty<u64>();
+        let i = 0;
+        while (i < vector::length(&assets)) {
+            let metadata = *vector::borrow(&assets, i);
+            let balance = primary_fungible_store::balance(escrow_addr, metadata);
+            if (balance > 0) {
+                primary_fungible_store::transfer(&escrow_signer, metadata, recipient, balance);
+                vector::push_back(&mut paid_assets, object::object_address(&metadata));
+                vector::push_back(&mut amounts, balance);
+            };
+            i = i + 1;
+        };
+
+        event::emit(EscrowReleased {
+            id,
+            recipient,
+            assets: paid_assets,
+            amounts,
+            refunded,
+        });
+    }
+
+    // The sender can withdraw a capsule until it unlocks. The payload is deleted (refunding its
+    // storage deposit), any escrowed funds go back to the sender, and only a tombstone is kept
+    // so the id reads as cancelled, not missing.
+    public entry fun cancel_capsule(sender: &signer, id: u64) acquires Capsules {
+        let sender_addr = signer::address_of(sender);
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        assert!(table::contains(&store.items, id), error::not_found(E_CAPSULE_NOT_FOUND));
+
+        let cap = table::borrow(&store.items, id);
+        assert!(cap.sender == sender_addr, error::permission_denied(E_NOT_SENDER));
+        assert!(!is_open(cap), error::invalid_state(E_CAPSULE_UNLOCKED));
+        let now = timestamp::now_seconds();
+
+        let cap = table::remove(&mut store.items, id);
+        unindex_capsule(&mut store.sent, sender_addr, id);
+        let current_holders = holders(&cap);
+        let i = 0;
+        while (i < vector::length(&current_holders)) {
+            unindex_capsule(&mut store.received, *vector::borrow(&current_holders, i), id);
+            i = i + 1;
+        };
+        let i = 0;
+        while (i < vector::length(&cap.guardians)) {
+            unindex_capsule(&mut store.guarding, *vector::borrow(&cap.guardians, i), id);
+            i = i + 1;
+        };
+        if (cap.visibility == VISIBILITY_PUBLIC) {
+            let (found, i) = vector::index_of(&store.public_ids, &id);
+            if (found) {
+                vector::remove(&mut store.public_ids, i);
+            };
+        };
+        table::add(&mut store.cancelled, id, true);
+        release_escrow(&mut store.escrows, id, sender_addr, true);
+
+        table::remove(&mut store.transfer_refs, id);
+        let burn_refs = table::remove(&mut store.burn_refs, id);
+        while (!vector::is_empty(&burn_refs)) {
+            token::burn(vector::pop_back(&mut burn_refs));
+        };
+        vector::destroy_empty(burn_refs);
+
+        event::emit(CapsuleCancelled {
+            id,
+            sender: sender_addr,
+            receivers: cap.receivers,
+            unlock_time: cap.unlock_time,
+            content_type: cap.content_type,
+            cancelled_at: now,
+        });
+    }
+
+    // Hands the caller's token for a capsule to another account. The token can't be moved any other way,
+    // so the inbox follows it and the slot's wrapped content key is replaced with one wrapped to the new
+    // holder's encryption key; capsules without wrapped keys take an empty wrapped_key. Consents to an
+    // earlier unlock time stay with the old holder, so the new one has to consent again.
+    public entry fun transfer_capsule(holder: &signer, id: u64, to: address, wrapped_key: vector<u8>) acquires Capsules {
+        let holder_addr = signer::address_of(holder);
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        assert!(table::contains(&store.items, id), error::not_found(E_CAPSULE_NOT_FOUND));
+
+        let cap = table::borrow_mut(&mut store.items, id);
+        let current_holders = holders(cap);
+        let (found, slot) = vector::index_of(&current_holders, &holder_addr);
+        assert!(found, error::permission_denied(E_NOT_RECEIVER));
+        assert!(!vector::contains(&current_holders, &to), error::invalid_argument(E_DUPLICATE_RECEIVER));
+        // Guardians must stay outside the capsule's readers, as add_guardians requires
+        assert!(!vector::contains(&cap.guardians, &to), error::invalid_argument(E_INVALID_GUARDIANS));
+        if (vector::is_empty(&cap.wrapped_keys)) {
+            assert!(vector::is_empty(&wrapped_key), error::invalid_argument(E_WRAPPED_KEYS_MISMATCH));
+        } else {
+            assert!(!vector::is_empty(&wrapped_key), error::invalid_argument(E_WRAPPED_KEYS_MISMATCH));
+            *vector::borrow_mut(&mut cap.wrapped_keys, slot) = wrapped_key;
+        };
+
+        let transfer_ref = vector::borrow(table::borrow(&store.transfer_refs, id), slot);
+        object::transfer_with_ref(object::generate_linear_transfer_ref(transfer_ref), to);
+        unindex_capsule(&mut store.received, holder_addr, id);
+        index_capsule(&mut store.received, to, id);
+        event::emit(CapsuleTransferred { id, from: holder_addr, to });
+    }
+
+    // Senders may push the unlock time later at any point before unlock. Moving it earlier
+    // needs every current token holder to have called consent_to_unlock_time for exactly that time.
+    // Tlock capsules are encrypted to a fixed beacon round and cannot be rescheduled;
+    // dead man's switch capsules are only moved by heartbeat. The time key comes resealed
+    // to the new unlock time, since the old seal would open at the old one.
+    public entry fun update_unlock_time(sender: &signer, id: u64, new_unlock_time: u64, sealed_time_key: vector<u8>) acquires Capsules {
+        let sender_addr = signer::address_of(sender);
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        assert!(table::contains(&store.items, id), error::not_found(E_CAPSULE_NOT_FOUND));
+        let cap = table::borrow_mut(&mut store.items, id);
+
+        assert!(cap.sender == sender_addr, error::permission_denied(E_NOT_SENDER));
+        assert!(cap.tlock_round == 0, error::invalid_state(E_INVALID_TLOCK_ROUND));
+        assert!(cap.heartbeat_interval == 0, error::invalid_state(E_HEARTBEAT_MODE));
+        assert!(!is_open(cap), error::invalid_state(E_CAPSULE_UNLOCKED));
+        assert!(!vector::is_empty(&sealed_time_key), error::invalid_argument(E_SEALED_TIME_KEY_REQUIRED));
+        let now = timestamp::now_seconds();
+        assert!(new_unlock_time > now && new_unlock_time != cap.unlock_time, error::invalid_argument(E_INVALID_UNLOCK_TIME));
+        // The payload must still open before the first later section of a staged capsule
+        assert!(vector::is_empty(&cap.segments) || new_unlock_time < vector::borrow(&cap.segments, 0).unlock_time, error::invalid_argument(E_INVALID_UNLOCK_TIME));
+
+        if (new_unlock_time < cap.unlock_time) {
+            assert!(cap.proposed_unlock_time == new_unlock_time, error::invalid_state(E_CONSENT_REQUIRED));
+            let holders = holders(cap);
+            let i = 0;
+            while (i < vector::length(&holders)) {
+                assert!(vector::contains(&cap.unlock_consents, vector::borrow(&holders, i)), error::invalid_state(E_CONSENT_REQUIRED));
+                i = i + 1;
+            };
+        };
+
+        let old_unlock_time = cap.unlock_time;
+        cap.unlock_time = new_unlock_time;
+        cap.sealed_time_key = sealed_time_key;
+        cap.proposed_unlock_time = 0;
+        cap.unlock_consents = vector::empty();
+        vector::push_back(&mut cap.unlock_history, UnlockChange {
+            old_unlock_time,
+            new_unlock_time,
+            changed_at: now,
+        });
+
+        event::emit(UnlockTimeUpdated {
+            id,
+            sender: sender_addr,
+            old_unlock_time,
+            new_unlock_time,
+            updated_at: now,
+        });
+    }
+
+    // The sender checks in, pushing a dead man's switch capsule's unlock time to a full interval
+    // from now. The time key sealed to the old deadline would open too early, so it comes
+    // resealed to the new one. Once a deadline has passed the capsule is open and can no
+    // longer be revived.
+    public entry fun heartbeat(sender: &signer, id: u64, sealed_time_key: vector<u8>) acquires Capsules {
+        let sender_addr = signer::address_of(sender);
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        assert!(table::contains(&store.items, id), error::not_found(E_CAPSULE_NOT_FOUND));
+        let cap = table::borrow_mut(&mut store.items, id);
+
+        assert!(cap.sender == sender_addr, error::permission_denied(E_NOT_SENDER));
+        assert!(cap.heartbeat_interval > 0, error::invalid_state(E_HEARTBEAT_MODE));
+        assert!(!is_open(cap), error::invalid_state(E_CAPSULE_UNLOCKED));
+        assert!(!vector::is_empty(&sealed_time_key), error::invalid_argument(E_SEALED_TIME_KEY_REQUIRED));
+        let now = timestamp::now_seconds();
+
+        cap.unlock_time = now + cap.heartbeat_interval;
+        cap.sealed_time_key = sealed_time_key;
+        event::emit(HeartbeatReceived {
+            id,
+            sender: sender_addr,
+            unlock_time: cap.unlock_time,
+            received_at: now,
+        });
+    }
+
+    // The sender names guardians who can open the capsule early together, e.g. in a medical
+    // emergency or for estate handling. The time key sealing the payload is split threshold-of-n
+    // (Shamir) between the guardians: each gets a share wrapped to their encryption key, and
+    // reveals it when approving, so the shares only rebuild the key once enough have approved.
+    // Calling again adds more guardians; the key is split afresh across the whole set, so
+    // wrapped_shares and share_hashes cover every guardian and earlier approvals start over.
+    // Not available for tlock or staged capsules, whose keys the guardians don't hold.
+    public entry fun add_guardians(
+        sender: &signer,
+        id: u64,
+        guardians: vector<address>,
+        threshold: u64,
+        wrapped_shares: vector<vector<u8>>,
+        share_hashes: vector<vector<u8>>,
+    ) acquires Capsules {
+        let sender_addr = signer::address_of(sender);
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        assert!(table::contains(&store.items, id), error::not_found(E_CAPSULE_NOT_FOUND));
+        let cap = table::borrow_mut(&mut store.items, id);
+
+        assert!(cap.sender == sender_addr, error::permission_denied(E_NOT_SENDER));
+        assert!(cap.tlock_round == 0, error::invalid_state(E_INVALID_TLOCK_ROUND));
+        assert!(vector::is_empty(&cap.segments), error::invalid_state(E_INVALID_GUARDIANS));
+        assert!(!is_open(cap), error::invalid_state(E_CAPSULE_UNLOCKED));
+
+        // A guardian who could also open the capsule would be approving their own early access
+        let holders = holders(cap);
+        let i = 0;
+        while (i < vector::length(&guardians)) {
+            let guardian = *vector::borrow(&guardians, i);
+            assert!(!vector::contains(&cap.guardians, &guardian), error::invalid_argument(E_INVALID_GUARDIANS));
+            assert!(guardian != sender_addr, error::invalid_argument(E_INVALID_GUARDIANS));
+            assert!(!vector::contains(&cap.receivers, &guardian) && !vector::contains(&holders, &guardian), error::invalid_argument(E_INVALID_GUARDIANS));
+            vector::push_back(&mut cap.guardians, guardian);
+            index_capsule(&mut store.guarding, guardian, id);
+            i = i + 1;
+        };
+        let total = vector::length(&cap.guardians);
+        assert!(total > 0 && total <= MAX_GUARDIANS, error::invalid_argument(E_INVALID_GUARDIANS));
+        assert!(threshold > 0 && threshold <= total, error::invalid_argument(E_INVALID_THRESHOLD));
+        assert!(vector::length(&wrapped_shares) == total && vector::length(&share_hashes) == total, error::invalid_argument(E_INVALID_GUARDIANS));
+        let i = 0;
+        while (i < total) {
+            assert!(!vector::is_empty(vector::borrow(&wrapped_shares, i)), error::invalid_argument(E_INVALID_GUARDIANS));
+            assert!(vector::length(vector::borrow(&share_hashes, i)) == KEY_COMMITMENT_LENGTH, error::invalid_argument(E_INVALID_GUARDIANS));
+            i = i + 1;
+        };
+        cap.guardian_threshold = threshold;
+        cap.guardian_wrapped_shares = wrapped_shares;
+        cap.guardian_share_hashes = share_hashes;
+        // Shares of the old split don't combine with the new ones
+        cap.guardian_approvals = vector::empty();
+        cap.guardian_shares = vector::empty();
+
+        event::emit(GuardiansUpdated {
+            id,
+            sender: sender_addr,
+            guardians: cap.guardians,
+            threshold,
+        });
+    }
+
+    // A guardian approves with their unwrapped share of the time key. Fewer than threshold
+    // shares say nothing about the key; once guardian_threshold guardians have approved, the
+    // capsule is unlocked for good and anyone can rebuild the key and publish it.
+    public entry fun approve_early_unlock(guardian: &signer, id: u64, share: vector<u8>) acquires Capsules {
+        let guardian_addr = signer::address_of(guardian);
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        assert!(table::contains(&store.items, id), error::not_found(E_CAPSULE_NOT_FOUND));
+        let cap = table::borrow_mut(&mut store.items, id);
+
+        let (is_guardian, index) = vector::index_of(&cap.guardians, &guardian_addr);
+        assert!(is_guardian, error::permission_denied(E_NOT_GUARDIAN));
+        assert!(!is_open(cap), error::invalid_state(E_CAPSULE_UNLOCKED));
+        assert!(!vector::contains(&cap.guardian_approvals, &guardian_addr), error::already_exists(E_ALREADY_APPROVED));
+        assert!(hash::sha2_256(copy share) == *vector::borrow(&cap.guardian_share_hashes, index), error::invalid_argument(E_SHARE_MISMATCH));
+
+        let now = timestamp::now_seconds();
+        vector::push_back(&mut cap.guardian_approvals, guardian_addr);
+        vector::push_back(&mut cap.guardian_shares, share);
+        let approvals = vector::length(&cap.guardian_approvals);
+        let unlocked = approvals >= cap.guardian_threshold;
+        if (unlocked) {
+            cap.unlocked_early_at = now;
+        };
+
+        event::emit(EarlyUnlockApproved {
+            id,
+            guardian: guardian_addr,
+            approvals,
+            threshold: cap.guardian_threshold,
+            unlocked,
+            approved_at: now,
         });
     }
 
+    // A token holder agrees to the capsule opening earlier, at new_unlock_time. Consenting to a
+    // different time than the one already proposed starts a fresh round of consents.
+    public entry fun consent_to_unlock_time(receiver: &signer, id: u64, new_unlock_time: u64) acquires Capsules {
+        let receiver_addr = signer::address_of(receiver);
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        assert!(table::contains(&store.items, id), error::not_found(E_CAPSULE_NOT_FOUND));
+        let cap = table::borrow_mut(&mut store.items, id);
+
+        assert!(vector::contains(&holders(cap), &receiver_addr), error::permission_denied(E_NOT_RECEIVER));
+        assert!(cap.heartbeat_interval == 0, error::invalid_state(E_HEARTBEAT_MODE));
+        assert!(!is_open(cap), error::invalid_state(E_CAPSULE_UNLOCKED));
+        assert!(new_unlock_time < cap.unlock_time, error::invalid_argument(E_INVALID_UNLOCK_TIME));
+
+        if (cap.proposed_unlock_time != new_unlock_time) {
+            cap.proposed_unlock_time = new_unlock_time;
+            cap.unlock_consents = vector::empty();
+        };
+        if (!vector::contains(&cap.unlock_consents, &receiver_addr)) {
+            vector::push_back(&mut cap.unlock_consents, receiver_addr);
+        };
+    }
+
+    // Anyone holding the time key (the sender, a keeper acting for them, or anyone who decrypted
+    // the sealed time key) can publish it once the capsule unlocks; it must match the commitment
+    // made at creation.
+    public entry fun publish_time_key(publisher: &signer, id: u64, time_key: vector<u8>) acquires Capsules {
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        assert!(table::contains(&store.items, id), error::not_found(E_CAPSULE_NOT_FOUND));
+        let cap = table::borrow_mut(&mut store.items, id);
+
+        let now = timestamp::now_seconds();
+        assert!(is_open(cap), error::invalid_state(E_CAPSULE_LOCKED));
+        assert!(cap.tlock_round == 0, error::invalid_state(E_INVALID_TLOCK_ROUND));
+        assert!(vector::is_empty(&cap.time_key), error::already_exists(E_TIME_KEY_PUBLISHED));
+        assert!(hash::sha2_256(copy time_key) == cap.key_commitment, error::invalid_argument(E_TIME_KEY_MISMATCH));
+
+        cap.time_key = time_key;
+        event::emit(TimeKeyPublished {
+            id,
+            segment: 0,
+            publisher: signer::address_of(publisher),
+            published_at: now,
+        });
+    }
+
+    // Publishes the time key of one section of a staged capsule once that section unlocks.
+    // Section 0 is the capsule's own payload, the same as publish_time_key.
+    public entry fun publish_segment_time_key(publisher: &signer, id: u64, segment: u64, time_key: vector<u8>) acquires Capsules {
+        if (segment == 0) {
+            publish_time_key(publisher, id, time_key);
+            return
+        };
+
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        assert!(table::contains(&store.items, id), error::not_found(E_CAPSULE_NOT_FOUND));
+        let cap = table::borrow_mut(&mut store.items, id);
+        assert!(segment <= vector::length(&cap.segments), error::not_found(E_SEGMENT_NOT_FOUND));
+
+        let section = vector::borrow_mut(&mut cap.segments, segment - 1);
+        let now = timestamp::now_seconds();
+        assert!(is_segment_open(section), error::invalid_state(E_CAPSULE_LOCKED));
+        assert!(vector::is_empty(&section.time_key), error::already_exists(E_TIME_KEY_PUBLISHED));
+        assert!(hash::sha2_256(copy time_key) == section.key_commitment, error::invalid_argument(E_TIME_KEY_MISMATCH));
+
+        section.time_key = time_key;
+        event::emit(TimeKeyPublished {
+            id,
+            segment,
+            publisher: signer::address_of(publisher),
+            published_at: now,
+        });
+    }
+
+    // Token holders mark an unlocked capsule as opened; the event lets senders see who has claimed it.
+    // Funds escrowed in the capsule are paid out to the first holder to claim.
+    public entry fun claim_capsule(receiver: &signer, id: u64) acquires Capsules {
+        let receiver_addr = signer::address_of(receiver);
+        let store = borrow_global_mut<Capsules>(@time_capsule);
+        assert!(table::contains(&store.items, id), error::not_found(E_CAPSULE_NOT_FOUND));
+        let cap = table::borrow_mut(&mut store.items, id);
+
+        let now = timestamp::now_seconds();
+        assert!(is_open(cap), error::invalid_state(E_CAPSULE_LOCKED));
+        assert!(vector::contains(&holders(cap), &receiver_addr), error::permission_denied(E_NOT_RECEIVER));
+        assert!(!vector::contains(&cap.claimed_by, &receiver_addr), error::already_exists(E_ALREADY_CLAIMED));
+
+        vector::push_back(&mut cap.claimed_by, receiver_addr);
+        event::emit(CapsuleClaimed {
+            id,
+            sender: cap.sender,
+            receiver: receiver_addr,
+            unlock_time: cap.unlock_time,
+            content_type: cap.content_type,
+            claimed_at: now,
+        });
+        release_escrow(&mut store.escrows, id, receiver_addr, false);
+    }
+
+    fun validate_receivers(receivers: &vector<address>, wrapped_keys: &vector<vector<u8>>) {
+        let len = vector::length(receivers);
+        assert!(len > 0, error::invalid_argument(E_NO_RECEIVERS));
+        assert!(len <= MAX_RECEIVERS, error::invalid_argument(E_TOO_MANY_RECEIVERS));
+
+        let keys_len = vector::length(wrapped_keys);
+        assert!(keys_len == 0 || keys_len == len, error::invalid_argument(E_WRAPPED_KEYS_MISMATCH));
+
+        let i = 0;
+        while (i < len) {
+            let receiver = vector::borrow(receivers, i);
+            let j = i + 1;
+            while (j < len) {
+                assert!(receiver != vector::borrow(receivers, j), error::invalid_argument(E_DUPLICATE_RECEIVER));
+                j = j + 1;
+            };
+            if (keys_len > 0) {
+                assert!(!vector::is_empty(vector::borrow(wrapped_keys, i)), error::invalid_argument(E_WRAPPED_KEYS_MISMATCH));
+            };
+            i = i + 1;
+        };
+    }
+
+    fun index_capsule(index: &mut Table<address, vector<u64>>, owner: address, id: u64) {
+        if (table::contains(index, owner)) {
+            vector::push_back(table::borrow_mut(index, owner), id);
+        } else {
+            table::add(index, owner, vector::singleton(id));
+        }
+    }
+
+    fun unindex_capsule(index: &mut Table<address, vector<u64>>, owner: address, id: u64) {
+        let ids = table::borrow_mut(index, owner);
+        let (found, i) = vector::index_of(ids, &id);
+        if (found) {
+            vector::remove(ids, i);
+        };
+    }
+
+    fun borrow_capsule(id: u64): &Capsule acquires Capsules {
+        let store = borrow_global<Capsules>(@time_capsule);
+        assert!(table::contains(&store.items, id), error::not_found(E_CAPSULE_NOT_FOUND));
+        table::borrow(&store.items, id)
+    }
+
+    // Open once unlock_time has passed, or earlier if enough guardians approved
+    fun is_open(cap: &Capsule): bool {
+        timestamp::now_seconds() >= cap.unlock_time || cap.unlocked_early_at > 0
+    }
+
+    // Each section has its own time key, which guardians don't hold, so only its unlock time opens it
+    fun is_segment_open(segment: &Segment): bool {
+        timestamp::now_seconds() >= segment.unlock_time
+    }
+
+    // Whoever owns a capsule token now acts as that receiver, so opening rights move with the token
+    fun is_authorized(cap: &Capsule, caller: address): bool {
+        caller == cap.sender || vector::contains(&holders(cap), &caller)
+    }
+
+    // Who may read the payload once it is open, by the capsule's visibility
+    fun can_read(cap: &Capsule, caller: address): bool {
+        if (cap.visibility == VISIBILITY_PUBLIC) {
+            true
+        } else if (cap.visibility == VISIBILITY_RECEIVERS) {
+            vector::contains(&holders(cap), &caller)
+        } else {
+            is_authorized(cap, caller)
+        }
+    }
+
+    // Current owner of each receiver slot's token
+    fun holders(cap: &Capsule): vector<address> {
+        let result = vector::empty<address>();
+        let i = 0;
+        while (i < vector::length(&cap.tokens)) {
+            vector::push_back(&mut result, object::owner(*vector::borrow(&cap.tokens, i)));
+            i = i + 1;
+        };
+        result
+    }
+
+    public entry fun register_encryption_key(account: &signer, public_key: vector<u8>) acquires EncryptionKey {
+        assert!(vector::length(&public_key) == X25519_PUBLIC_KEY_LENGTH, error::invalid_argument(E_INVALID_PUBLIC_KEY));
+        let addr = signer::address_of(account);
+        if (exists<EncryptionKey>(addr)) {
+            borrow_global_mut<EncryptionKey>(addr).public_key = public_key;
+        } else {
+            move_to(account, EncryptionKey { public_key });
+        }
+    }
+
     #[view]
-    public fun get_capsules_len(): u64 acquires Capsules {
+    public fun encryption_key(owner: address): vector<u8> acquires EncryptionKey {
+        if (exists<EncryptionKey>(owner)) {
+            borrow_global<EncryptionKey>(owner).public_key
+        } else {
+            vector::empty<u8>() // No key registered
+        }
+    }
+
+    // (admin, pending_admin, paused, max_payload_size, allowed_content_types, creation_fee, treasury)
+    #[view]
+    public fun config(): (address, address, bool, u64, vector<String>, u64, address) acquires Config {
+        let config = borrow_global<Config>(@time_capsule);
+        (
+            config.admin,
+            config.pending_admin,
+            config.paused,
+            config.max_payload_size,
+            config.allowed_content_types,
+            config.creation_fee,
+            config.treasury,
+        )
+    }
+
+    #[view]
+    public fun outbox_count(owner: address): u64 acquires Capsules {
+        index_count(&borrow_global<Capsules>(@time_capsule).sent, owner)
+    }
+
+    #[view]
+    public fun inbox_count(owner: address): u64 acquires Capsules {
+        index_count(&borrow_global<Capsules>(@time_capsule).received, owner)
+    }
+
+    // Capsules sent by owner, newest first; offset/limit page through the list
+    #[view]
+    public fun outbox(owner: address, offset: u64, limit: u64): vector<CapsuleSummary> acquires Capsules {
+        let store = borrow_global<Capsules>(@time_capsule);
+        index_page(store, &store.sent, owner, offset, limit)
+    }
+
+    // Capsules whose tokens owner holds, newest first; offset/limit page through the list
+    #[view]
+    public fun inbox(owner: address, offset: u64, limit: u64): vector<CapsuleSummary> acquires Capsules {
+        let store = borrow_global<Capsules>(@time_capsule);
+        index_page(store, &store.received, owner, offset, limit)
+    }
+
+    #[view]
+    public fun public_count(): u64 acquires Capsules {
+        vector::length(&borrow_global<Capsules>(@time_capsule).public_ids)
+    }
+
+    // Public capsules, newest first; unlocked ones can be revealed by anyone
+    #[view]
+    public fun public_capsules(offset: u64, limit: u64): vector<CapsuleSummary> acquires Capsules {
+        let store = borrow_global<Capsules>(@time_capsule);
+        ids_page(store, &store.public_ids, offset, limit)
+    }
+
+    #[view]
+    public fun guarding_count(guardian: address): u64 acquires Capsules {
+        index_count(&borrow_global<Capsules>(@time_capsule).guarding, guardian)
+    }
+
+    // Capsules the account is a guardian of, newest first
+    #[view]
+    public fun guarding(guardian: address, offset: u64, limit: u64): vector<CapsuleSummary> acquires Capsules {
         let store = borrow_global<Capsules>(@time_capsule);
-        vector::length(&store.items)
+        index_page(store, &store.guarding, guardian, offset, limit)
+    }
+
+    fun index_count(index: &Table<address, vector<u64>>, owner: address): u64 {
+        if (table::contains(index, owner)) {
+            vector::length(table::borrow(index, owner))
+        } else {
+            0
+        }
+    }
+
+    fun index_page(
+        store: &Capsules,
+        index: &Table<address, vector<u64>>,
+        owner: address,
+        offset: u64,
+        limit: u64,
+    ): vector<CapsuleSummary> {
+        if (!table::contains(index, owner)) {
+            return vector::empty()
+        };
+        ids_page(store, table::borrow(index, owner), offset, limit)
+    }
+
+    // Summaries for a page of an id list, walking back from the newest id
+    fun ids_page(store: &Capsules, ids: &vector<u64>, offset: u64, limit: u64): vector<CapsuleSummary> {
+        let page = vector::empty<CapsuleSummary>();
+        let total = vector::length(ids);
+        if (offset >= total) {
+            return page
+        };
+        if (limit > MAX_PAGE_SIZE) {
+            limit = MAX_PAGE_SIZE;
+        };
+
+        let i = total - offset; // Walk backwards from the newest id
+        while (i > 0 && vector::length(&page) < limit) {
+            i = i - 1;
+            let cap = table::borrow(&store.items, *vector::borrow(ids, i));
+            vector::push_back(&mut page, CapsuleSummary {
+                id: cap.id,
+                sender: cap.sender,
+                receivers: cap.receivers,
+                unlock_time: cap.unlock_time,
+                content_type: cap.content_type,
+                heartbeat_interval: cap.heartbeat_interval,
+                unlocked: is_open(cap),
+            });
+        };
+        page
+    }
+
+    // Ids are sequential, so this is also the next id to be assigned
+    #[view]
+    public fun get_capsules_len(): u64 acquires Capsules {
+        borrow_global<Capsules>(@time_capsule).next_id
+    }
+
+    #[view]
+    public fun capsule_exists(id: u64): bool acquires Capsules {
+        table::contains(&borrow_global<Capsules>(@time_capsule).items, id)
+    }
+
+    #[view]
+    public fun is_cancelled(id: u64): bool acquires Capsules {
+        table::contains(&borrow_global<Capsules>(@time_capsule).cancelled, id)
     }
 
+    // Returns the first receiver; use capsule_receivers for group capsules
     #[view]
     public fun capsule_meta(id: u64): (address, address, u64, String) acquires Capsules {
+        let cap = borrow_capsule(id);
+        (cap.sender, *vector::borrow(&cap.receivers, 0), cap.unlock_time, cap.content_type)
+    }
+
+    #[view]
+    public fun capsule_receivers(id: u64): vector<address> acquires Capsules {
+        borrow_capsule(id).receivers
+    }
+
+    // Token object address for each receiver slot
+    #[view]
+    public fun capsule_tokens(id: u64): vector<address> acquires Capsules {
+        let cap = borrow_capsule(id);
+        let result = vector::empty<address>();
+        let i = 0;
+        while (i < vector::length(&cap.tokens)) {
+            vector::push_back(&mut result, object::object_address(vector::borrow(&cap.tokens, i)));
+            i = i + 1;
+        };
+        result
+    }
+
+    // Who can open the capsule now: the current owner of each receiver slot's token
+    #[view]
+    public fun capsule_holders(id: u64): vector<address> acquires Capsules {
+        holders(borrow_capsule(id))
+    }
+
+    #[view]
+    public fun claimed_by(id: u64): vector<address> acquires Capsules {
+        borrow_capsule(id).claimed_by
+    }
+
+    #[view]
+    public fun key_commitment(id: u64): vector<u8> acquires Capsules {
+        borrow_capsule(id).key_commitment
+    }
+
+    // Every unlock time change, oldest first
+    #[view]
+    public fun unlock_history(id: u64): vector<UnlockChange> acquires Capsules {
+        borrow_capsule(id).unlock_history
+    }
+
+    // Earlier unlock time proposed by receivers (0 if none) and who has consented so far
+    #[view]
+    public fun unlock_consents(id: u64): (u64, vector<address>) acquires Capsules {
+        let cap = borrow_capsule(id);
+        (cap.proposed_unlock_time, cap.unlock_consents)
+    }
+
+    // Assets still held for the capsule (metadata addresses) and their balances; empty once paid out
+    #[view]
+    public fun escrow_balances(id: u64): (vector<address>, vector<u64>) acquires Capsules {
         let store = borrow_global<Capsules>(@time_capsule);
-        (store.items[id].sender, store.items[id].receiver, store.items[id].unlock_time, store.items[id].content_type)
+        let assets = vector::empty<address>();
+        let amounts = vector::empty<u64>();
+        if (table::contains(&store.escrows, id)) {
+            let escrow = table::borrow(&store.escrows, id);
+            let escrow_addr = object::address_from_extend_ref(&escrow.extend_ref);
+            let i = 0;
+            while (i < vector::length(&escrow.assets)) {
+                let metadata = *vector::borrow(&escrow.assets, i);
+                vector::push_back(&mut assets, object::object_address(&metadata));
+                vector::push_back(&mut amounts, primary_fungible_store::balance(escrow_addr, metadata));
+                i = i + 1;
+            };
+        };
+        (assets, amounts)
     }
 
+    // Whether the capsule can be opened now, counting guardian early unlocks
     #[view]
-    public fun reveal_encrypted(caller: address, id: u64): String acquires Capsules {
+    public fun is_unlocked(id: u64): bool acquires Capsules {
+        is_open(borrow_capsule(id))
+    }
+
+    // Guardians, approvals needed, who has approved so far, and when the threshold was reached (0 if not)
+    #[view]
+    public fun guardians(id: u64): (vector<address>, u64, vector<address>, u64) acquires Capsules {
+        let cap = borrow_capsule(id);
+        (cap.guardians, cap.guardian_threshold, cap.guardian_approvals, cap.unlocked_early_at)
+    }
+
+    // The guardian's share of the time key, wrapped to their encryption key; empty for non-guardians
+    #[view]
+    public fun guardian_wrapped_share(id: u64, guardian: address): vector<u8> acquires Capsules {
+        let cap = borrow_capsule(id);
+        let (found, index) = vector::index_of(&cap.guardians, &guardian);
+        if (found) {
+            *vector::borrow(&cap.guardian_wrapped_shares, index)
+        } else {
+            vector::empty()
+        }
+    }
+
+    // Shares revealed by the approvals so far, in approval order. Once there are threshold of
+    // them they rebuild the time key, which anyone can then publish with publish_time_key.
+    #[view]
+    public fun guardian_shares(id: u64): vector<vector<u8>> acquires Capsules {
+        borrow_capsule(id).guardian_shares
+    }
+
+    // 0 unless the capsule is a dead man's switch
+    #[view]
+    public fun heartbeat_interval(id: u64): u64 acquires Capsules {
+        borrow_capsule(id).heartbeat_interval
+    }
+
+    // 0 for commit-reveal capsules
+    #[view]
+    public fun tlock_round(id: u64): u64 acquires Capsules {
+        borrow_capsule(id).tlock_round
+    }
+
+    // Empty until the time key has been published
+    #[view]
+    public fun time_key(id: u64): vector<u8> acquires Capsules {
+        borrow_capsule(id).time_key
+    }
+
+    // The time key tlock-sealed to the round after unlock (empty if none). Anyone can decrypt it
+    // once the round is out and publish the key with publish_time_key.
+    #[view]
+    public fun sealed_time_key(id: u64): vector<u8> acquires Capsules {
+        borrow_capsule(id).sealed_time_key
+    }
+
+    // The wrapped content key of the slot the caller holds. The time key still seals the payload
+    // until unlock, so holders get it early too: they re-wrap it for transfer_capsule.
+    #[view]
+    public fun wrapped_key(caller: address, id: u64): vector<u8> acquires Capsules {
+        let cap = borrow_capsule(id);
+        let (found, index) = vector::index_of(&holders(cap), &caller);
+        if (found && !vector::is_empty(&cap.wrapped_keys)) {
+            *vector::borrow(&cap.wrapped_keys, index)
+        } else {
+            vector::empty<u8>() // Not a holder, or passphrase capsule
+        }
+    }
+
+    // The payload with a REVEAL_* status saying why it is empty, when it is
+    #[view]
+    public fun reveal_bytes(caller: address, id: u64): (u8, vector<u8>) acquires Capsules {
         let store = borrow_global<Capsules>(@time_capsule);
-        let cap = vector::borrow(&store.items, id);
-        if (timestamp::now_seconds() >= cap.unlock_time && 
-            (caller == cap.receiver || caller == cap.sender)) {
-            cap.encrypted_hex // Return hex string directly
+        let status = reveal_status(store, caller, id);
+        if (status == REVEAL_OK) {
+            (status, table::borrow(&store.items, id).encrypted)
+        } else {
+            (status, vector::empty())
+        }
+    }
+
+    // Where to fetch an off-chain payload, with the same status as reveal_bytes. The CID is empty for
+    // capsules stored on-chain, whose payload comes from reveal_bytes instead.
+    #[view]
+    public fun reveal_payload_ref(caller: address, id: u64): (u8, String, vector<u8>, u64) acquires Capsules {
+        let store = borrow_global<Capsules>(@time_capsule);
+        let status = reveal_status(store, caller, id);
+        if (status == REVEAL_OK) {
+            let cap = table::borrow(&store.items, id);
+            (status, cap.payload_cid, cap.payload_hash, cap.payload_size)
+        } else {
+            (status, string::utf8(b""), vector::empty(), 0)
+        }
+    }
+
+    fun reveal_status(store: &Capsules, caller: address, id: u64): u8 {
+        if (table::contains(&store.cancelled, id)) {
+            return REVEAL_CANCELLED
+        };
+        if (!table::contains(&store.items, id)) {
+            return REVEAL_NOT_FOUND
+        };
+        let cap = table::borrow(&store.items, id);
+        if (!is_open(cap)) {
+            REVEAL_LOCKED
+        } else if (!can_read(cap, caller)) {
+            REVEAL_UNAUTHORIZED
         } else {
-            string::utf8(b"") // Return empty string if conditions fail
+            REVEAL_OK
         }
     }
 
+    // Hex-encoded payload; empty when it can't be revealed, use reveal_bytes for the reason
+    #[view]
+    public fun reveal_encrypted(caller: address, id: u64): String acquires Capsules {
+        let (_, encrypted) = reveal_bytes(caller, id);
+        bytes_to_hex_string(encrypted)
+    }
+
     // Helper function to convert bytes to hex string
     fun bytes_to_hex_string(bytes: vector<u8>): String {
         let hex_chars = b"0123456789abcdef";
@@ -99,52 +1600,89 @@ module time_capsule::time_capsule {
         string::utf8(result)
     }
 
-    // Optional: Helper function to get raw bytes if needed
+    // VISIBILITY_PRIVATE, VISIBILITY_RECEIVERS or VISIBILITY_PUBLIC
     #[view]
-    public fun reveal_encrypted_bytes(caller: address, id: u64): vector<u8> acquires Capsules {
-        let store = borrow_global<Capsules>(@time_capsule);
-        let cap = vector::borrow(&store.items, id);
-        if (timestamp::now_seconds() >= cap.unlock_time && 
-            (caller == cap.receiver || caller == cap.sender)) {
-            hex_string_to_bytes(cap.encrypted_hex)
-        } else {
-            vector::empty<u8>() // Return empty bytes if conditions fail
-        }
+    public fun capsule_visibility(id: u64): u8 acquires Capsules {
+        borrow_capsule(id).visibility
     }
 
-    // Helper function to convert hex string back to bytes
-    fun hex_string_to_bytes(hex_str: String): vector<u8> {
-        let hex_bytes = string::bytes(&hex_str);
-        let result = vector::empty<u8>();
-        
+    // Unlock time of every section, section 0 first; lets the frontend draw the whole timeline
+    #[view]
+    public fun segment_unlock_times(id: u64): vector<u64> acquires Capsules {
+        let cap = borrow_capsule(id);
+        let times = vector::singleton(cap.unlock_time);
         let i = 0;
-        let len = vector::length(hex_bytes);
-        while (i < len) {
-            let high_char = *vector::borrow(hex_bytes, i);
-            let low_char = *vector::borrow(hex_bytes, i + 1);
-            
-            let high_val = hex_char_to_value(high_char);
-            let low_val = hex_char_to_value(low_char);
-            
-            let byte_val = high_val * 16 + low_val;
-            vector::push_back(&mut result, (byte_val as u8));
-            
-            i = i + 2;
+        while (i < vector::length(&cap.segments)) {
+            vector::push_back(&mut times, vector::borrow(&cap.segments, i).unlock_time);
+            i = i + 1;
+        };
+        times
+    }
+
+    // Key commitment, published time key (empty until then) and sealed time key of every section,
+    // section 0 first. Public, so anyone can open a sealed key once its round is out and publish it.
+    #[view]
+    public fun segment_time_keys(id: u64): (vector<vector<u8>>, vector<vector<u8>>, vector<vector<u8>>) acquires Capsules {
+        let cap = borrow_capsule(id);
+        let commitments = vector::singleton(cap.key_commitment);
+        let time_keys = vector::singleton(cap.time_key);
+        let sealed_time_keys = vector::singleton(cap.sealed_time_key);
+        let i = 0;
+        while (i < vector::length(&cap.segments)) {
+            let segment = vector::borrow(&cap.segments, i);
+            vector::push_back(&mut commitments, segment.key_commitment);
+            vector::push_back(&mut time_keys, segment.time_key);
+            vector::push_back(&mut sealed_time_keys, segment.sealed_time_key);
+            i = i + 1;
+        };
+        (commitments, time_keys, sealed_time_keys)
+    }
+
+    // The sections the caller may read right now, section 0 (the capsule's payload) first.
+    // Sections still locked are left out, so the result grows as the capsule unfolds.
+    #[view]
+    public fun reveal_segments(caller: address, id: u64): vector<Segment> acquires Capsules {
+        let cap = borrow_capsule(id);
+        let result = vector::empty<Segment>();
+        if (!is_open(cap) || !can_read(cap, caller)) {
+            return result
+        };
+
+        vector::push_back(&mut result, Segment {
+            unlock_time: cap.unlock_time,
+            encrypted: cap.encrypted,
+            key_commitment: cap.key_commitment,
+            time_key: cap.time_key,
+            sealed_time_key: cap.sealed_time_key,
+        });
+        let i = 0;
+        while (i < vector::length(&cap.segments)) {
+            let segment = vector::borrow(&cap.segments, i);
+            if (!is_segment_open(segment)) {
+                break
+            };
+            vector::push_back(&mut result, Segment {
+                unlock_time: segment.unlock_time,
+                encrypted: segment.encrypted,
+                key_commitment: segment.key_commitment,
+                time_key: segment.time_key,
+                sealed_time_key: segment.sealed_time_key,
+            });
+            i = i + 1;
         };
-        
         result
     }
 
-    // Helper function to convert hex character to numeric value
-    fun hex_char_to_value(c: u8): u8 {
-        if (c >= 48 && c <= 57) { // '0' to '9'
-            c - 48
-        } else if (c >= 97 && c <= 102) { // 'a' to f'
-            c - 97 + 10
-        } else if (c >= 65 && c <= 70) { // 'A' to 'F'
-            c - 65 + 10
-        } else {
-            0 // Invalid hex character, return 0
-        }
+    // Optional: Helper function to get raw bytes if needed
+    #[view]
+    public fun reveal_encrypted_bytes(caller: address, id: u64): vector<u8> acquires Capsules {
+        let (_, encrypted) = reveal_bytes(caller, id);
+        encrypted
+    }
+
+    // Tests publish through a resource account created for @deployer, as a real deployment does
+    #[test_only]
+    public fun init_module_for_test(resource_signer: &signer) {
+        init_module(resource_signer);
     }
 }
\ No newline at end of file
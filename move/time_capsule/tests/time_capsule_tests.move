@@ -0,0 +1,640 @@
+#[test_only]
+module time_capsule::time_capsule_tests {
+    use std::hash;
+    use std::signer;
+    use std::string;
+    use std::vector;
+    use aptos_framework::account;
+    use aptos_framework::aptos_account;
+    use aptos_framework::aptos_coin::{Self, AptosCoin};
+    use aptos_framework::coin;
+    use aptos_framework::object;
+    use aptos_framework::resource_account;
+    use aptos_framework::timestamp;
+    use time_capsule::time_capsule;
+
+    const NOW: u64 = 1_000_000;
+    const DAY: u64 = 86_400;
+    const TIME_KEY: vector<u8> = b"0123456789abcdef0123456789abcdef";
+    // Stand-in for TIME_KEY tlock-sealed to the unlock round; the contract only stores it
+    const SEALED_TIME_KEY: vector<u8> = b"time key sealed to the unlock round";
+    const RESEALED_TIME_KEY: vector<u8> = b"time key sealed to the new unlock round";
+    const SECTION_TIME_KEY: vector<u8> = b"fedcba9876543210fedcba9876543210";
+
+    // Publishes the module the way create-resource-account-and-publish-package does
+    fun setup(aptos_framework: &signer, deployer: &signer) {
+        timestamp::set_time_has_started_for_testing(aptos_framework);
+        timestamp::update_global_time_for_test_secs(NOW);
+        account::create_account_for_test(signer::address_of(deployer));
+        resource_account::create_resource_account(deployer, b"time_capsule", vector::empty());
+        time_capsule::init_module_for_test(&account::create_signer_for_test(@time_capsule));
+    }
+
+    // A capsule for @0x456 sealed with TIME_KEY, opening in a day; its id
+    fun create_capsule(sender: &signer): u64 {
+        time_capsule::create_capsule(
+            sender,
+            @0x456,
+            NOW + DAY,
+            b"sealed payload",
+            string::utf8(b"text"),
+            hash::sha2_256(TIME_KEY),
+            SEALED_TIME_KEY,
+        );
+        time_capsule::get_capsules_len() - 1
+    }
+
+    // Stand-ins for the Shamir shares the frontend wraps to each guardian; the contract only checks their hashes
+    fun add_guardians(sender: &signer, id: u64, guardians: vector<address>, threshold: u64, shares: vector<vector<u8>>) {
+        let wrapped_shares = vector::empty<vector<u8>>();
+        let share_hashes = vector::empty<vector<u8>>();
+        let i = 0;
+        while (i < vector::length(&shares)) {
+            let share = *vector::borrow(&shares, i);
+            vector::push_back(&mut wrapped_shares, copy share);
+            vector::push_back(&mut share_hashes, hash::sha2_256(share));
+            i = i + 1;
+        };
+        time_capsule::add_guardians(sender, id, guardians, threshold, wrapped_shares, share_hashes);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, g1 = @0xa1, g2 = @0xa2)]
+    fun test_guardians_unlock_early_and_reveal_their_shares(aptos_framework: &signer, deployer: &signer, sender: &signer, g1: &signer, g2: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        add_guardians(sender, id, vector[@0xa1, @0xa2, @0xa3], 2, vector[b"share-1", b"share-2", b"share-3"]);
+
+        assert!(time_capsule::guardian_wrapped_share(id, @0xa2) == b"share-2", 0);
+        assert!(vector::is_empty(&time_capsule::guardian_wrapped_share(id, @0x456)), 1);
+
+        time_capsule::approve_early_unlock(g2, id, b"share-2");
+        assert!(!time_capsule::is_unlocked(id), 2);
+        time_capsule::approve_early_unlock(g1, id, b"share-1");
+        assert!(time_capsule::is_unlocked(id), 3);
+        assert!(time_capsule::guardian_shares(id) == vector[b"share-2", b"share-1"], 4);
+
+        // The receivers don't have to wait for the unlock time once the key is rebuilt and published
+        time_capsule::publish_time_key(g1, id, TIME_KEY);
+        assert!(time_capsule::time_key(id) == TIME_KEY, 5);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, g1 = @0xa1)]
+    #[expected_failure(abort_code = 0x10027, location = time_capsule::time_capsule)]
+    fun test_approval_needs_the_guardians_own_share(aptos_framework: &signer, deployer: &signer, sender: &signer, g1: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        add_guardians(sender, id, vector[@0xa1, @0xa2], 2, vector[b"share-1", b"share-2"]);
+        time_capsule::approve_early_unlock(g1, id, b"share-2");
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x10017, location = time_capsule::time_capsule)]
+    fun test_sender_cannot_be_a_guardian(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        add_guardians(sender, id, vector[@0x123], 1, vector[b"share-1"]);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x10017, location = time_capsule::time_capsule)]
+    fun test_receiver_cannot_be_a_guardian(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        add_guardians(sender, id, vector[@0xa1, @0x456], 1, vector[b"share-1", b"share-2"]);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x10017, location = time_capsule::time_capsule)]
+    fun test_every_guardian_needs_a_share(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        add_guardians(sender, id, vector[@0xa1, @0xa2], 1, vector[b"share-1"]);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, g1 = @0xa1)]
+    fun test_adding_guardians_splits_the_key_afresh(aptos_framework: &signer, deployer: &signer, sender: &signer, g1: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        add_guardians(sender, id, vector[@0xa1, @0xa2], 2, vector[b"old-1", b"old-2"]);
+        time_capsule::approve_early_unlock(g1, id, b"old-1");
+
+        // Old shares don't combine with the new split, so the approval starts over
+        add_guardians(sender, id, vector[@0xa3], 2, vector[b"new-1", b"new-2", b"new-3"]);
+        let (guardians, threshold, approvals, unlocked_early_at) = time_capsule::guardians(id);
+        assert!(guardians == vector[@0xa1, @0xa2, @0xa3] && threshold == 2, 0);
+        assert!(vector::is_empty(&approvals) && unlocked_early_at == 0, 1);
+        assert!(vector::is_empty(&time_capsule::guardian_shares(id)), 2);
+        time_capsule::approve_early_unlock(g1, id, b"new-1");
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, outsider = @0xbad)]
+    #[expected_failure(abort_code = 0x50019, location = time_capsule::time_capsule)]
+    fun test_only_guardians_can_approve(aptos_framework: &signer, deployer: &signer, sender: &signer, outsider: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        add_guardians(sender, id, vector[@0xa1], 1, vector[b"share-1"]);
+        time_capsule::approve_early_unlock(outsider, id, b"share-1");
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, keeper = @0xbeef)]
+    fun test_switch_opens_without_the_sender(aptos_framework: &signer, deployer: &signer, sender: &signer, keeper: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::create_switch_capsule(
+            sender,
+            vector[@0x456],
+            b"sealed payload",
+            string::utf8(b"text"),
+            vector::empty(),
+            hash::sha2_256(TIME_KEY),
+            b"key sealed to the first deadline",
+            DAY,
+        );
+        let id = time_capsule::get_capsules_len() - 1;
+
+        // Each check-in moves the deadline and reseals the key to it
+        timestamp::update_global_time_for_test_secs(NOW + DAY / 2);
+        time_capsule::heartbeat(sender, id, b"key sealed to the second deadline");
+        assert!(time_capsule::sealed_time_key(id) == b"key sealed to the second deadline", 0);
+        timestamp::update_global_time_for_test_secs(NOW + DAY + 1);
+        assert!(!time_capsule::is_unlocked(id), 1);
+
+        // The sender goes quiet; whoever decrypts the sealed key after the deadline publishes it
+        timestamp::update_global_time_for_test_secs(NOW + DAY / 2 + DAY);
+        assert!(time_capsule::is_unlocked(id), 2);
+        time_capsule::publish_time_key(keeper, id, TIME_KEY);
+        assert!(time_capsule::time_key(id) == TIME_KEY, 3);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x10028, location = time_capsule::time_capsule)]
+    fun test_switch_needs_a_sealed_time_key(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::create_switch_capsule(
+            sender,
+            vector[@0x456],
+            b"sealed payload",
+            string::utf8(b"text"),
+            vector::empty(),
+            hash::sha2_256(TIME_KEY),
+            vector::empty(),
+            DAY,
+        );
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x10028, location = time_capsule::time_capsule)]
+    fun test_check_in_must_reseal_the_time_key(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::create_switch_capsule(
+            sender,
+            vector[@0x456],
+            b"sealed payload",
+            string::utf8(b"text"),
+            vector::empty(),
+            hash::sha2_256(TIME_KEY),
+            b"key sealed to the first deadline",
+            DAY,
+        );
+        time_capsule::heartbeat(sender, time_capsule::get_capsules_len() - 1, vector::empty());
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    fun test_public_capsule_carries_its_sealed_time_key(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::create_capsule_with_visibility(
+            sender,
+            vector[@0x456],
+            NOW + DAY,
+            b"sealed payload",
+            string::utf8(b"text"),
+            vector::empty(),
+            hash::sha2_256(TIME_KEY),
+            b"key sealed to the unlock time",
+            0,
+            2,
+        );
+        let id = time_capsule::get_capsules_len() - 1;
+        assert!(time_capsule::public_count() == 1, 0);
+        assert!(time_capsule::sealed_time_key(id) == b"key sealed to the unlock time", 1);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x10028, location = time_capsule::time_capsule)]
+    fun test_public_capsule_needs_a_key_anyone_can_open(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::create_capsule_with_visibility(
+            sender,
+            vector[@0x456],
+            NOW + DAY,
+            b"sealed payload",
+            string::utf8(b"text"),
+            vector::empty(),
+            hash::sha2_256(TIME_KEY),
+            vector::empty(),
+            0,
+            2,
+        );
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    fun test_payload_is_stored_and_revealed_as_raw_bytes(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        timestamp::update_global_time_for_test_secs(NOW + DAY);
+
+        let (status, encrypted) = time_capsule::reveal_bytes(@0x123, id);
+        assert!(status == 0 && encrypted == b"sealed payload", 0);
+        assert!(time_capsule::reveal_encrypted(@0x123, id) == string::utf8(b"7365616c6564207061796c6f6164"), 1);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, receiver = @0x456, heir = @0x789)]
+    fun test_transfer_moves_the_inbox_and_rewraps_the_key(aptos_framework: &signer, deployer: &signer, sender: &signer, receiver: &signer, heir: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::create_capsule_multi(
+            sender,
+            vector[@0x456, @0xabc],
+            NOW + DAY,
+            b"sealed payload",
+            string::utf8(b"text"),
+            vector[b"key for 0x456", b"key for 0xabc"],
+            hash::sha2_256(TIME_KEY),
+            SEALED_TIME_KEY,
+        );
+        let id = time_capsule::get_capsules_len() - 1;
+        assert!(time_capsule::wrapped_key(@0x456, id) == b"key for 0x456", 0);
+
+        time_capsule::transfer_capsule(receiver, id, @0x789, b"key for 0x789");
+        assert!(time_capsule::capsule_holders(id) == vector[@0x789, @0xabc], 1);
+        assert!(time_capsule::inbox_count(@0x456) == 0 && time_capsule::inbox_count(@0x789) == 1, 2);
+        assert!(time_capsule::wrapped_key(@0x789, id) == b"key for 0x789", 3);
+        assert!(vector::is_empty(&time_capsule::wrapped_key(@0x456, id)), 4);
+
+        // The new holder can hand it on in turn
+        time_capsule::transfer_capsule(heir, id, @0x456, b"key for 0x456 again");
+        assert!(time_capsule::capsule_holders(id) == vector[@0x456, @0xabc], 5);
+        assert!(time_capsule::inbox_count(@0x789) == 0 && time_capsule::inbox_count(@0x456) == 1, 6);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, receiver = @0x456)]
+    fun test_cancel_clears_the_current_holders_inbox(aptos_framework: &signer, deployer: &signer, sender: &signer, receiver: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        time_capsule::transfer_capsule(receiver, id, @0x789, vector::empty());
+        time_capsule::cancel_capsule(sender, id);
+        assert!(time_capsule::inbox_count(@0x789) == 0, 0);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, receiver = @0x456)]
+    #[expected_failure(abort_code = 0x50003, location = aptos_framework::object)]
+    fun test_tokens_only_move_through_transfer_capsule(aptos_framework: &signer, deployer: &signer, sender: &signer, receiver: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        let token = *vector::borrow(&time_capsule::capsule_tokens(id), 0);
+        object::transfer_raw(receiver, token, @0x789);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x5000b, location = time_capsule::time_capsule)]
+    fun test_only_a_holder_can_transfer(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        time_capsule::transfer_capsule(sender, id, @0x789, vector::empty());
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, receiver = @0x456)]
+    #[expected_failure(abort_code = 0x10008, location = time_capsule::time_capsule)]
+    fun test_group_wallet_key_transfer_needs_a_rewrapped_key(aptos_framework: &signer, deployer: &signer, sender: &signer, receiver: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::create_capsule_multi(
+            sender,
+            vector[@0x456],
+            NOW + DAY,
+            b"sealed payload",
+            string::utf8(b"text"),
+            vector[b"key for 0x456"],
+            hash::sha2_256(TIME_KEY),
+            SEALED_TIME_KEY,
+        );
+        time_capsule::transfer_capsule(receiver, time_capsule::get_capsules_len() - 1, @0x789, vector::empty());
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, receiver = @0x456)]
+    #[expected_failure(abort_code = 0x10017, location = time_capsule::time_capsule)]
+    fun test_cannot_transfer_to_a_guardian(aptos_framework: &signer, deployer: &signer, sender: &signer, receiver: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        add_guardians(sender, id, vector[@0xa1], 1, vector[b"share-1"]);
+        time_capsule::transfer_capsule(receiver, id, @0xa1, vector::empty());
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x3000a, location = time_capsule::time_capsule)]
+    fun test_time_key_stays_secret_until_unlock(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        time_capsule::publish_time_key(sender, id, TIME_KEY);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x1000f, location = time_capsule::time_capsule)]
+    fun test_published_time_key_must_match_the_commitment(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        timestamp::update_global_time_for_test_secs(NOW + DAY);
+        time_capsule::publish_time_key(sender, id, b"not the time key");
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x8000e, location = time_capsule::time_capsule)]
+    fun test_time_key_is_published_once(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        timestamp::update_global_time_for_test_secs(NOW + DAY);
+        time_capsule::publish_time_key(sender, id, TIME_KEY);
+        assert!(time_capsule::time_key(id) == TIME_KEY, 0);
+        time_capsule::publish_time_key(sender, id, TIME_KEY);
+    }
+
+    // A capsule for @0x456 and @0xabc, opening in a day; its id
+    fun create_shared_capsule(sender: &signer): u64 {
+        time_capsule::create_capsule_multi(
+            sender,
+            vector[@0x456, @0xabc],
+            NOW + DAY,
+            b"sealed payload",
+            string::utf8(b"text"),
+            vector[b"key for 0x456", b"key for 0xabc"],
+            hash::sha2_256(TIME_KEY),
+            SEALED_TIME_KEY,
+        );
+        time_capsule::get_capsules_len() - 1
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    fun test_sender_can_push_the_unlock_time_later(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_shared_capsule(sender);
+        time_capsule::update_unlock_time(sender, id, NOW + 2 * DAY, RESEALED_TIME_KEY);
+
+        let (_, _, unlock_time, _) = time_capsule::capsule_meta(id);
+        assert!(unlock_time == NOW + 2 * DAY, 0);
+        assert!(vector::length(&time_capsule::unlock_history(id)) == 1, 1);
+        // The key sealed to the old time would open a day early
+        assert!(time_capsule::sealed_time_key(id) == RESEALED_TIME_KEY, 2);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x10028, location = time_capsule::time_capsule)]
+    fun test_rescheduling_needs_a_resealed_time_key(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_shared_capsule(sender);
+        time_capsule::update_unlock_time(sender, id, NOW + 2 * DAY, vector::empty());
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, r1 = @0x456, r2 = @0xabc)]
+    fun test_earlier_unlock_time_with_every_holders_consent(aptos_framework: &signer, deployer: &signer, sender: &signer, r1: &signer, r2: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_shared_capsule(sender);
+        time_capsule::consent_to_unlock_time(r1, id, NOW + 3600);
+        time_capsule::consent_to_unlock_time(r2, id, NOW + 3600);
+        time_capsule::update_unlock_time(sender, id, NOW + 3600, RESEALED_TIME_KEY);
+
+        let (_, _, unlock_time, _) = time_capsule::capsule_meta(id);
+        assert!(unlock_time == NOW + 3600, 0);
+        let (proposed, consents) = time_capsule::unlock_consents(id);
+        assert!(proposed == 0 && vector::is_empty(&consents), 1);
+        assert!(time_capsule::sealed_time_key(id) == RESEALED_TIME_KEY, 2);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, r1 = @0x456)]
+    #[expected_failure(abort_code = 0x30013, location = time_capsule::time_capsule)]
+    fun test_earlier_unlock_time_needs_every_holder(aptos_framework: &signer, deployer: &signer, sender: &signer, r1: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_shared_capsule(sender);
+        time_capsule::consent_to_unlock_time(r1, id, NOW + 3600);
+        time_capsule::update_unlock_time(sender, id, NOW + 3600, RESEALED_TIME_KEY);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, r1 = @0x456, r2 = @0xabc)]
+    #[expected_failure(abort_code = 0x30013, location = time_capsule::time_capsule)]
+    fun test_consent_is_for_one_unlock_time(aptos_framework: &signer, deployer: &signer, sender: &signer, r1: &signer, r2: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_shared_capsule(sender);
+        time_capsule::consent_to_unlock_time(r1, id, NOW + 3600);
+        time_capsule::consent_to_unlock_time(r2, id, NOW + 7200);
+        time_capsule::update_unlock_time(sender, id, NOW + 7200, RESEALED_TIME_KEY);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, r1 = @0x456, r2 = @0xabc)]
+    #[expected_failure(abort_code = 0x30013, location = time_capsule::time_capsule)]
+    fun test_consent_stays_with_the_holder_who_gave_it(aptos_framework: &signer, deployer: &signer, sender: &signer, r1: &signer, r2: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_shared_capsule(sender);
+        time_capsule::consent_to_unlock_time(r1, id, NOW + 3600);
+        time_capsule::consent_to_unlock_time(r2, id, NOW + 3600);
+        time_capsule::transfer_capsule(r1, id, @0x789, b"key for 0x789");
+        time_capsule::update_unlock_time(sender, id, NOW + 3600, RESEALED_TIME_KEY);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, r1 = @0x456)]
+    #[expected_failure(abort_code = 0x50011, location = time_capsule::time_capsule)]
+    fun test_only_the_sender_reschedules(aptos_framework: &signer, deployer: &signer, sender: &signer, r1: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_shared_capsule(sender);
+        time_capsule::update_unlock_time(r1, id, NOW + 2 * DAY, RESEALED_TIME_KEY);
+    }
+
+    // Mints APT straight into an account; call at most once per test
+    fun fund(aptos_framework: &signer, owner: address, amount: u64) {
+        let (burn_cap, mint_cap) = aptos_coin::initialize_for_test(aptos_framework);
+        aptos_account::deposit_coins(owner, coin::mint(amount, &mint_cap));
+        coin::destroy_burn_cap(burn_cap);
+        coin::destroy_mint_cap(mint_cap);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, receiver = @0x456)]
+    fun test_receiver_claims_the_deposit_at_unlock(aptos_framework: &signer, deployer: &signer, sender: &signer, receiver: &signer) {
+        setup(aptos_framework, deployer);
+        fund(aptos_framework, @0x123, 1000);
+        let id = create_capsule(sender);
+        time_capsule::deposit_apt(sender, id, 600);
+
+        let (assets, amounts) = time_capsule::escrow_balances(id);
+        assert!(assets == vector[@0xa] && amounts == vector[600], 0);
+        assert!(coin::balance<AptosCoin>(@0x123) == 400, 1);
+
+        timestamp::update_global_time_for_test_secs(NOW + DAY);
+        time_capsule::claim_capsule(receiver, id);
+        assert!(coin::balance<AptosCoin>(@0x456) == 600, 2);
+        let (assets, _) = time_capsule::escrow_balances(id);
+        assert!(vector::is_empty(&assets), 3);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    fun test_cancel_returns_the_deposit(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        fund(aptos_framework, @0x123, 1000);
+        let id = create_capsule(sender);
+        time_capsule::deposit_apt(sender, id, 600);
+        time_capsule::cancel_capsule(sender, id);
+        assert!(coin::balance<AptosCoin>(@0x123) == 1000, 0);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, receiver = @0x456)]
+    #[expected_failure(abort_code = 0x3000a, location = time_capsule::time_capsule)]
+    fun test_deposit_stays_locked_until_unlock(aptos_framework: &signer, deployer: &signer, sender: &signer, receiver: &signer) {
+        setup(aptos_framework, deployer);
+        fund(aptos_framework, @0x123, 1000);
+        let id = create_capsule(sender);
+        time_capsule::deposit_apt(sender, id, 600);
+        time_capsule::claim_capsule(receiver, id);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x30015, location = time_capsule::time_capsule)]
+    fun test_group_capsules_cannot_hold_funds(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        fund(aptos_framework, @0x123, 1000);
+        let id = create_shared_capsule(sender);
+        time_capsule::deposit_apt(sender, id, 600);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0xd0021, location = time_capsule::time_capsule)]
+    fun test_admin_can_pause_creation(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::set_paused(deployer, true);
+        create_capsule(sender);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    fun test_creation_resumes_after_unpausing(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::set_paused(deployer, true);
+        time_capsule::set_paused(deployer, false);
+        create_capsule(sender);
+        assert!(time_capsule::get_capsules_len() == 1, 0);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x20022, location = time_capsule::time_capsule)]
+    fun test_payload_size_is_capped(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::set_max_payload_size(deployer, 8);
+        create_capsule(sender);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x10023, location = time_capsule::time_capsule)]
+    fun test_only_allowed_content_types(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::set_allowed_content_types(deployer, vector[string::utf8(b"file")]);
+        create_capsule(sender);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x50020, location = time_capsule::time_capsule)]
+    fun test_only_the_admin_configures(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::set_paused(sender, true);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    fun test_creation_fee_goes_to_the_treasury(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        fund(aptos_framework, @0x123, 1000);
+        time_capsule::set_creation_fee(deployer, 300, @0xfee);
+        create_capsule(sender);
+
+        assert!(coin::balance<AptosCoin>(@0x123) == 700, 0);
+        assert!(coin::balance<AptosCoin>(@0xfee) == 300, 1);
+        let (_, _, _, _, _, creation_fee, treasury) = time_capsule::config();
+        assert!(creation_fee == 300 && treasury == @0xfee, 2);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x10003, location = time_capsule::time_capsule)]
+    fun test_fee_is_charged_only_after_validation(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        // An unfunded sender gets the capsule's own error, not a failed fee transfer
+        time_capsule::set_creation_fee(deployer, 300, @0xfee);
+        time_capsule::create_capsule(sender, @0x456, NOW, b"sealed payload", string::utf8(b"text"), hash::sha2_256(TIME_KEY), SEALED_TIME_KEY);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, new_admin = @0xad)]
+    fun test_admin_handover_takes_two_steps(aptos_framework: &signer, deployer: &signer, new_admin: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::transfer_admin(deployer, @0xad);
+        let (admin, pending_admin, _, _, _, _, _) = time_capsule::config();
+        assert!(admin == @deployer && pending_admin == @0xad, 0);
+
+        time_capsule::accept_admin(new_admin);
+        time_capsule::set_paused(new_admin, true);
+        let (admin, pending_admin, paused, _, _, _, _) = time_capsule::config();
+        assert!(admin == @0xad && pending_admin == @0x0 && paused, 1);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x50025, location = time_capsule::time_capsule)]
+    fun test_only_the_proposed_admin_accepts(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::transfer_admin(deployer, @0xad);
+        time_capsule::accept_admin(sender);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    fun test_private_capsule_carries_its_sealed_time_key(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_capsule(sender);
+        assert!(time_capsule::sealed_time_key(id) == SEALED_TIME_KEY, 0);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x10028, location = time_capsule::time_capsule)]
+    fun test_capsule_must_open_without_the_sender(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        time_capsule::create_capsule(sender, @0x456, NOW + DAY, b"sealed payload", string::utf8(b"text"), hash::sha2_256(TIME_KEY), vector::empty());
+    }
+
+    // A staged capsule for @0x456 opening in a day, with one more section a day after; its id
+    fun create_staged_capsule(sender: &signer, section_sealed_time_key: vector<u8>): u64 {
+        time_capsule::create_staged_capsule(
+            sender,
+            vector[@0x456],
+            NOW + DAY,
+            b"first section",
+            string::utf8(b"text"),
+            vector::empty(),
+            hash::sha2_256(TIME_KEY),
+            SEALED_TIME_KEY,
+            vector[NOW + 2 * DAY],
+            vector[b"second section"],
+            vector[hash::sha2_256(SECTION_TIME_KEY)],
+            vector[section_sealed_time_key],
+        );
+        time_capsule::get_capsules_len() - 1
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123, outsider = @0xbad)]
+    fun test_anyone_publishes_a_sections_sealed_time_key(aptos_framework: &signer, deployer: &signer, sender: &signer, outsider: &signer) {
+        setup(aptos_framework, deployer);
+        let id = create_staged_capsule(sender, b"section key sealed to its unlock round");
+        let (commitments, time_keys, sealed_time_keys) = time_capsule::segment_time_keys(id);
+        assert!(commitments == vector[hash::sha2_256(TIME_KEY), hash::sha2_256(SECTION_TIME_KEY)], 0);
+        assert!(time_keys == vector[vector::empty(), vector::empty()], 1);
+        assert!(sealed_time_keys == vector[SEALED_TIME_KEY, b"section key sealed to its unlock round"], 2);
+
+        // Whoever opened the sealed key after the section's round can publish it, not only the sender
+        timestamp::update_global_time_for_test_secs(NOW + 2 * DAY);
+        time_capsule::publish_segment_time_key(outsider, id, 1, SECTION_TIME_KEY);
+        let (_, time_keys, _) = time_capsule::segment_time_keys(id);
+        assert!(*vector::borrow(&time_keys, 1) == SECTION_TIME_KEY, 3);
+    }
+
+    #[test(aptos_framework = @aptos_framework, deployer = @deployer, sender = @0x123)]
+    #[expected_failure(abort_code = 0x10028, location = time_capsule::time_capsule)]
+    fun test_every_section_needs_a_sealed_time_key(aptos_framework: &signer, deployer: &signer, sender: &signer) {
+        setup(aptos_framework, deployer);
+        create_staged_capsule(sender, vector::empty());
+    }
+}